@@ -9,11 +9,14 @@ import productVariantRoutes from './routes/productVariant.js';
 import productImageRoutes from './routes/productImage.js';
 import cartRoutes from './routes/cart.js';
 import orderRoutes from './routes/order.js';
+import returnRoutes from './routes/return.js';
 import addressRoutes from './routes/address.js';
 import wishlistRoutes from './routes/wishlist.js';
 import adminRoutes from './routes/admin.js';
 import paymentRoutes, { handleStripeWebhook } from './routes/payment.js';
 import path from 'path';
+import { assignRequestId, REQUEST_ID_HEADER } from './utils/requestId.js';
+import { IDEMPOTENCY_KEY_HEADER } from './utils/refunds.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,9 +28,13 @@ const corsOptions = {
     // Permitir credenciais (cookies, cabeçalhos de autenticação)
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'], // Métodos permitidos
-    allowedHeaders: ['Content-Type', 'Authorization'], // Cabeçalhos permitidos
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token', REQUEST_ID_HEADER, IDEMPOTENCY_KEY_HEADER], // Cabeçalhos permitidos
+    exposedHeaders: ['X-Cart-Token', REQUEST_ID_HEADER], // Token do carrinho de visitante e id do pedido lidos pelo frontend
 };
 
+// 0. Id do pedido (X-Request-Id) para correlação de logs e do registo de auditoria
+app.use(assignRequestId);
+
 // 1. Webhook do Stripe deve ser o primeiro, usando o body em raw
 app.post('/api/payment/webhook', raw({ type: 'application/json' }), handleStripeWebhook);
 
@@ -56,6 +63,7 @@ app.use('/api/variants', productVariantRoutes);
 app.use('/api/product-images', productImageRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/returns', returnRoutes);
 app.use('/api/addresses', addressRoutes);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/admin', adminRoutes);
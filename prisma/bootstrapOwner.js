@@ -0,0 +1,91 @@
+// prisma/bootstrapOwner.js
+// Cria o primeiro OWNER (utilização única: recusa se já existir um OWNER)
+// Uso: npm run bootstrap-owner -- --email dono@loja.pt --first-name Nome [--last-name Apelido]
+// A password é lida de OWNER_PASSWORD; sem ela é gerada uma password temporária (mostrada uma vez)
+// No primeiro login o OWNER tem de ativar a 2FA antes de aceder à administração
+
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import prisma from '../db.js';
+import { hashPassword } from '../utils/auth.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../utils/securityLog.js';
+import { SYSTEM_ROLES } from '../utils/permissions.js';
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            email: { type: 'string' },
+            'first-name': { type: 'string' },
+            'last-name': { type: 'string', default: '' },
+        },
+    });
+
+    const email = values.email?.trim();
+    const firstName = values['first-name']?.trim();
+
+    if (!email || !firstName) {
+        console.error('Uso: npm run bootstrap-owner -- --email <email> --first-name <nome> [--last-name <apelido>]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const providedPassword = process.env.OWNER_PASSWORD;
+    if (providedPassword !== undefined && providedPassword.length < 8) {
+        console.error('❌ OWNER_PASSWORD deve ter pelo menos 8 caracteres.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const password = providedPassword || crypto.randomBytes(12).toString('base64url');
+    const passwordHash = await hashPassword(password);
+
+    const owner = await prisma.$transaction(async (tx) => {
+        const existingOwner = await tx.user.findFirst({ where: { role: { key: SYSTEM_ROLES.OWNER } }, select: { id: true } });
+        if (existingOwner) return null;
+
+        const existingUser = await tx.user.findUnique({ where: { email }, select: { id: true } });
+        if (existingUser) {
+            throw new Error(`Já existe uma conta com o email ${email}.`);
+        }
+
+        const user = await tx.user.create({
+            data: {
+                email,
+                firstName,
+                lastName: values['last-name'],
+                passwordHash,
+                role: { connect: { key: SYSTEM_ROLES.OWNER } },
+                emailVerifiedAt: new Date(),
+            },
+        });
+
+        await recordSecurityEvent({
+            type: SECURITY_EVENTS.OWNER_BOOTSTRAPPED,
+            userId: user.id,
+            email,
+            details: { source: 'bootstrap-owner' },
+        }, tx);
+
+        return user;
+    }, { isolationLevel: 'Serializable' });
+
+    if (!owner) {
+        console.error('❌ Já existe um OWNER. Novas contas de administração são criadas por convite (POST /api/admin/invites).');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`✅ OWNER criado: ${owner.email} (id ${owner.id})`);
+    if (!providedPassword) {
+        console.log(`🔑 Password temporária: ${password}`);
+        console.log('   Altere-a após o primeiro login (PUT /api/users/change-password).');
+    }
+    console.log('🔐 Ative a 2FA (POST /api/users/profile/2fa/setup) para aceder à administração.');
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Erro ao criar OWNER:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
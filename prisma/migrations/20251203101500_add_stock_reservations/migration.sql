@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "ReservationStatus" AS ENUM ('active', 'released', 'converted');
+
+-- CreateTable
+CREATE TABLE "stock_reservations" (
+    "id" SERIAL NOT NULL,
+    "reference" TEXT NOT NULL,
+    "stripe_session_id" TEXT,
+    "variant_id" INTEGER NOT NULL,
+    "cart_id" INTEGER,
+    "user_id" INTEGER,
+    "quantity" INTEGER NOT NULL,
+    "status" "ReservationStatus" NOT NULL DEFAULT 'active',
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_reservations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_variant_id_status_idx" ON "stock_reservations"("variant_id", "status");
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_reference_idx" ON "stock_reservations"("reference");
+
+-- AddForeignKey
+ALTER TABLE "stock_reservations" ADD CONSTRAINT "stock_reservations_variant_id_fkey" FOREIGN KEY ("variant_id") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
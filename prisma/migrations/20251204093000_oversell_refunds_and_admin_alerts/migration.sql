@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "AlertStatus" AS ENUM ('open', 'resolved');
+
+-- AlterEnum
+ALTER TYPE "OrderStatus" ADD VALUE 'on_hold';
+
+-- AlterTable
+ALTER TABLE "order_line_items" ADD COLUMN     "refunded_quantity" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "oversell_refund_amount" DECIMAL(10,2),
+ADD COLUMN     "oversell_refund_status" TEXT;
+
+-- CreateTable
+CREATE TABLE "admin_alerts" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" "AlertStatus" NOT NULL DEFAULT 'open',
+    "message" TEXT NOT NULL,
+    "details" JSONB,
+    "order_id" INTEGER,
+    "resolved_by_id" INTEGER,
+    "resolved_at" TIMESTAMP(3),
+    "resolution_note" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "admin_alerts_status_created_at_idx" ON "admin_alerts"("status", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "admin_alerts" ADD CONSTRAINT "admin_alerts_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "admin_alerts" ADD CONSTRAINT "admin_alerts_resolved_by_id_fkey" FOREIGN KEY ("resolved_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
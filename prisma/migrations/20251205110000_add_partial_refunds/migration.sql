@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "FinancialStatus" ADD VALUE 'partially_refunded';
+
+-- AlterTable
+ALTER TABLE "order_transactions" ADD COLUMN     "reason" TEXT;
@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "StripeEventStatus" AS ENUM ('processing', 'processed', 'ignored', 'failed');
+
+-- CreateTable
+CREATE TABLE "stripe_events" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "livemode" BOOLEAN NOT NULL DEFAULT false,
+    "payload" JSONB NOT NULL,
+    "status" "StripeEventStatus" NOT NULL DEFAULT 'processing',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "processed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stripe_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stripe_events_status_created_at_idx" ON "stripe_events"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "stripe_events_type_idx" ON "stripe_events"("type");
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "OrderEventActor" AS ENUM ('customer', 'admin', 'system');
+
+-- CreateTable
+CREATE TABLE "order_events" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "from_value" TEXT,
+    "to_value" TEXT NOT NULL,
+    "actor_type" "OrderEventActor" NOT NULL,
+    "actor_id" INTEGER,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_events_order_id_created_at_idx" ON "order_events"("order_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "order_events" ADD CONSTRAINT "order_events_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_events" ADD CONSTRAINT "order_events_actor_id_fkey" FOREIGN KEY ("actor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
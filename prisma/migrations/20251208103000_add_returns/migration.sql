@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "ReturnStatus" AS ENUM ('requested', 'approved', 'rejected', 'received', 'refunded');
+
+-- CreateEnum
+CREATE TYPE "ReturnDisposition" AS ENUM ('restock', 'write_off');
+
+-- CreateTable
+CREATE TABLE "return_requests" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "user_id" INTEGER,
+    "status" "ReturnStatus" NOT NULL DEFAULT 'requested',
+    "reason" TEXT NOT NULL,
+    "reviewed_by_id" INTEGER,
+    "reviewed_at" TIMESTAMP(3),
+    "review_note" TEXT,
+    "received_at" TIMESTAMP(3),
+    "refunded_at" TIMESTAMP(3),
+    "stripe_refund_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "return_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "return_items" (
+    "id" SERIAL NOT NULL,
+    "return_id" INTEGER NOT NULL,
+    "line_item_id" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "disposition" "ReturnDisposition",
+
+    CONSTRAINT "return_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "return_requests_status_created_at_idx" ON "return_requests"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "return_requests_order_id_idx" ON "return_requests"("order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "return_items_return_id_line_item_id_key" ON "return_items"("return_id", "line_item_id");
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_reviewed_by_id_fkey" FOREIGN KEY ("reviewed_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "return_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_line_item_id_fkey" FOREIGN KEY ("line_item_id") REFERENCES "order_line_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "billing_address" JSONB,
+ADD COLUMN     "shipping_address" JSONB;
+
+-- AlterTable
+ALTER TABLE "shopping_carts" ADD COLUMN     "checkout_billing_address" JSONB,
+ADD COLUMN     "checkout_shipping_address" JSONB;
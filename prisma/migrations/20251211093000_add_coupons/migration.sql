@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "CouponType" AS ENUM ('percentage', 'fixed_amount', 'free_shipping');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "coupon_code" TEXT;
+
+-- AlterTable
+ALTER TABLE "shopping_carts" ADD COLUMN     "coupon_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "coupons" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "CouponType" NOT NULL,
+    "value" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "min_subtotal" DECIMAL(10,2),
+    "starts_at" TIMESTAMP(3),
+    "ends_at" TIMESTAMP(3),
+    "usage_limit" INTEGER,
+    "usage_limit_per_user" INTEGER,
+    "usage_count" INTEGER NOT NULL DEFAULT 0,
+    "category_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "brand_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "genders" "Gender"[] DEFAULT ARRAY[]::"Gender"[],
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coupons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "coupon_redemptions" (
+    "id" SERIAL NOT NULL,
+    "coupon_id" INTEGER NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "user_id" INTEGER,
+    "discount_amount" DECIMAL(10,2) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coupon_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coupons_code_key" ON "coupons"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coupon_redemptions_order_id_key" ON "coupon_redemptions"("order_id");
+
+-- CreateIndex
+CREATE INDEX "coupon_redemptions_coupon_id_user_id_idx" ON "coupon_redemptions"("coupon_id", "user_id");
+
+-- AddForeignKey
+ALTER TABLE "shopping_carts" ADD CONSTRAINT "shopping_carts_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "coupons"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "coupons"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('buy_x_get_y', 'quantity_tier', 'bundle');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "applied_promotions" JSONB;
+
+-- AlterTable
+ALTER TABLE "shopping_carts" ADD COLUMN     "checkout_promotions" JSONB;
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "config" JSONB NOT NULL,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "stackable" BOOLEAN NOT NULL DEFAULT true,
+    "product_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "category_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "brand_ids" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "starts_at" TIMESTAMP(3),
+    "ends_at" TIMESTAMP(3),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "promotions_is_active_priority_idx" ON "promotions"("is_active", "priority");
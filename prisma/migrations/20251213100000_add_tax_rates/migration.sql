@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "TaxClass" AS ENUM ('standard', 'intermediate', 'reduced');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "tax_class" "TaxClass" NOT NULL DEFAULT 'standard';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "prices_include_tax" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "order_line_items" ADD COLUMN     "tax_rate" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "tax_rates" (
+    "id" SERIAL NOT NULL,
+    "country" VARCHAR(2) NOT NULL,
+    "region" VARCHAR(6),
+    "tax_class" "TaxClass" NOT NULL,
+    "rate" DECIMAL(5,2) NOT NULL,
+    "name" TEXT NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "stripe_tax_rate_id" TEXT,
+    "stripe_tax_rate_inclusive" BOOLEAN,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tax_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tax_rates_country_region_tax_class_key" ON "tax_rates"("country", "region", "tax_class");
+
+-- CreateIndex: o índice acima não impede duplicados com region NULL (NULLs distintos em Postgres)
+CREATE UNIQUE INDEX "tax_rates_country_tax_class_country_level_key" ON "tax_rates"("country", "tax_class") WHERE "region" IS NULL;
+
+-- Taxas de IVA em Portugal: continente, Região Autónoma da Madeira (PT-30) e dos Açores (PT-20)
+INSERT INTO "tax_rates" ("country", "region", "tax_class", "rate", "name") VALUES
+    ('PT', NULL, 'standard', 23.00, 'IVA Continente 23%'),
+    ('PT', NULL, 'intermediate', 13.00, 'IVA Continente 13%'),
+    ('PT', NULL, 'reduced', 6.00, 'IVA Continente 6%'),
+    ('PT', 'PT-30', 'standard', 22.00, 'IVA Madeira 22%'),
+    ('PT', 'PT-30', 'intermediate', 12.00, 'IVA Madeira 12%'),
+    ('PT', 'PT-30', 'reduced', 5.00, 'IVA Madeira 5%'),
+    ('PT', 'PT-20', 'standard', 16.00, 'IVA Açores 16%'),
+    ('PT', 'PT-20', 'intermediate', 9.00, 'IVA Açores 9%'),
+    ('PT', 'PT-20', 'reduced', 4.00, 'IVA Açores 4%');
@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "ShippingMethodType" AS ENUM ('standard', 'express', 'pickup');
+
+-- CreateEnum
+CREATE TYPE "ShippingRateType" AS ENUM ('flat', 'weight_based');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "shipping_method" JSONB;
+
+-- AlterTable
+ALTER TABLE "shopping_carts" ADD COLUMN     "checkout_shipping_method" JSONB;
+
+-- CreateTable
+CREATE TABLE "shipping_zones" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "countries" TEXT[],
+    "postal_code_ranges" JSONB,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shipping_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shipping_methods" (
+    "id" SERIAL NOT NULL,
+    "zone_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "ShippingMethodType" NOT NULL,
+    "rate_type" "ShippingRateType" NOT NULL DEFAULT 'flat',
+    "flat_rate" DECIMAL(10,2),
+    "weight_rates" JSONB,
+    "free_shipping_threshold" DECIMAL(10,2),
+    "min_delivery_days" INTEGER,
+    "max_delivery_days" INTEGER,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shipping_methods_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shipping_methods_zone_id_idx" ON "shipping_methods"("zone_id");
+
+-- AddForeignKey
+ALTER TABLE "shipping_methods" ADD CONSTRAINT "shipping_methods_zone_id_fkey" FOREIGN KEY ("zone_id") REFERENCES "shipping_zones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "UserTokenPurpose" ADD VALUE 'email_verification';
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "email_verified_at" TIMESTAMP(3);
+
+-- Contas existentes foram criadas antes da verificação: consideradas verificadas
+UPDATE "users" SET "email_verified_at" = "created_at";
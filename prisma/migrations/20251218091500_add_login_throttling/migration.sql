@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "login_throttles" (
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "last_failure_at" TIMESTAMP(3) NOT NULL,
+    "locked_until" TIMESTAMP(3),
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_throttles_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateTable
+CREATE TABLE "security_events" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "user_id" INTEGER,
+    "email" TEXT,
+    "ip_address" TEXT,
+    "actor_id" INTEGER,
+    "details" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "security_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "security_events_type_created_at_idx" ON "security_events"("type", "created_at");
+
+-- CreateIndex
+CREATE INDEX "security_events_user_id_idx" ON "security_events"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "security_events" ADD CONSTRAINT "security_events_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "security_events" ADD CONSTRAINT "security_events_actor_id_fkey" FOREIGN KEY ("actor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "two_factor_enabled_at" TIMESTAMP(3),
+ADD COLUMN     "two_factor_last_step" INTEGER,
+ADD COLUMN     "two_factor_secret" TEXT;
+
+-- AlterTable
+-- Sessões existentes ficam por verificar: a administração exige novo login com o segundo fator
+ALTER TABLE "user_sessions" ADD COLUMN     "two_factor_verified_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "two_factor_recovery_codes" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "two_factor_recovery_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "two_factor_recovery_codes_code_hash_key" ON "two_factor_recovery_codes"("code_hash");
+
+-- CreateIndex
+CREATE INDEX "two_factor_recovery_codes_user_id_idx" ON "two_factor_recovery_codes"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "two_factor_recovery_codes" ADD CONSTRAINT "two_factor_recovery_codes_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "user_invites" (
+    "id" SERIAL NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "Role" NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "invited_by_id" INTEGER,
+    "accepted_user_id" INTEGER,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "accepted_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_invites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_invites_token_hash_key" ON "user_invites"("token_hash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_invites_accepted_user_id_key" ON "user_invites"("accepted_user_id");
+
+-- CreateIndex
+CREATE INDEX "user_invites_email_idx" ON "user_invites"("email");
+
+-- AddForeignKey
+ALTER TABLE "user_invites" ADD CONSTRAINT "user_invites_invited_by_id_fkey" FOREIGN KEY ("invited_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_invites" ADD CONSTRAINT "user_invites_accepted_user_id_fkey" FOREIGN KEY ("accepted_user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "roles" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "permissions" TEXT[],
+    "is_system" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "roles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "roles_key_key" ON "roles"("key");
+
+-- Papéis de sistema equivalentes aos roles anteriores
+-- ADMIN mantém o acesso que tinha (tudo exceto o que era exclusivo do OWNER); OWNER tem sempre todas as permissões
+INSERT INTO "roles" ("key", "name", "description", "permissions", "is_system") VALUES
+    ('USER', 'Cliente', 'Conta de cliente, sem acesso à administração', ARRAY[]::TEXT[], true),
+    ('ADMIN', 'Administrador', 'Gestão da loja', ARRAY[
+        'catalog:write', 'orders:read', 'orders:manage', 'orders:refund', 'returns:manage',
+        'marketing:manage', 'settings:manage', 'reports:view', 'alerts:manage', 'payments:manage',
+        'users:read', 'users:read_pii', 'users:manage', 'security:view'
+    ]::TEXT[], true),
+    ('OWNER', 'Proprietário', 'Todas as permissões, incluindo papéis e convites', ARRAY[]::TEXT[], true);
+
+-- AlterTable: users.role (enum) -> users.role_id
+ALTER TABLE "users" ADD COLUMN "role_id" INTEGER;
+UPDATE "users" SET "role_id" = "roles"."id" FROM "roles" WHERE "roles"."key" = "users"."role"::TEXT;
+ALTER TABLE "users" ALTER COLUMN "role_id" SET NOT NULL;
+ALTER TABLE "users" DROP COLUMN "role";
+
+-- AlterTable: user_invites.role (enum) -> user_invites.role_id
+ALTER TABLE "user_invites" ADD COLUMN "role_id" INTEGER;
+UPDATE "user_invites" SET "role_id" = "roles"."id" FROM "roles" WHERE "roles"."key" = "user_invites"."role"::TEXT;
+ALTER TABLE "user_invites" ALTER COLUMN "role_id" SET NOT NULL;
+ALTER TABLE "user_invites" DROP COLUMN "role";
+
+-- DropEnum
+DROP TYPE "Role";
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_role_id_fkey" FOREIGN KEY ("role_id") REFERENCES "roles"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_invites" ADD CONSTRAINT "user_invites_role_id_fkey" FOREIGN KEY ("role_id") REFERENCES "roles"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
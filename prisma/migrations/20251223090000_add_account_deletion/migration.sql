@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "deletion_requested_at" TIMESTAMP(3),
+ADD COLUMN "deletion_scheduled_for" TIMESTAMP(3),
+ADD COLUMN "anonymised_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "users_deletion_scheduled_for_idx" ON "users"("deletion_scheduled_for");
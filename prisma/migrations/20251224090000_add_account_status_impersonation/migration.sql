@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "AccountStatus" AS ENUM ('active', 'suspended', 'banned');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "status" "AccountStatus" NOT NULL DEFAULT 'active',
+ADD COLUMN "status_reason" TEXT,
+ADD COLUMN "status_changed_at" TIMESTAMP(3),
+ADD COLUMN "suspended_until" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "user_sessions" ADD COLUMN "impersonator_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "impersonation_requests" (
+    "id" SERIAL NOT NULL,
+    "target_user_id" INTEGER NOT NULL,
+    "requested_by_id" INTEGER,
+    "reason" TEXT NOT NULL,
+    "approved_by_id" INTEGER,
+    "approved_at" TIMESTAMP(3),
+    "rejected_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "session_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "impersonation_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "impersonation_requests_target_user_id_idx" ON "impersonation_requests"("target_user_id");
+
+-- CreateIndex
+CREATE INDEX "impersonation_requests_created_at_idx" ON "impersonation_requests"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "user_sessions" ADD CONSTRAINT "user_sessions_impersonator_id_fkey" FOREIGN KEY ("impersonator_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "impersonation_requests" ADD CONSTRAINT "impersonation_requests_target_user_id_fkey" FOREIGN KEY ("target_user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "impersonation_requests" ADD CONSTRAINT "impersonation_requests_requested_by_id_fkey" FOREIGN KEY ("requested_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "impersonation_requests" ADD CONSTRAINT "impersonation_requests_approved_by_id_fkey" FOREIGN KEY ("approved_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Nova permissão users:impersonate para o papel ADMIN (cada personificação continua a exigir a aprovação de um OWNER)
+UPDATE "roles" SET "permissions" = array_append("permissions", 'users:impersonate')
+WHERE "key" = 'ADMIN' AND NOT ('users:impersonate' = ANY("permissions"));
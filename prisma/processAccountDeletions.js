@@ -0,0 +1,19 @@
+// prisma/processAccountDeletions.js
+// Anonimiza as contas cujo pedido de eliminação (DELETE /api/users/me) passou o prazo de cancelamento
+// Uso: npm run process-deletions (agendar diariamente, ex: cron)
+
+import prisma from '../db.js';
+import { processDueAccountDeletions } from '../utils/accountDeletion.js';
+
+async function main() {
+    const processed = await processDueAccountDeletions();
+
+    console.log(`✅ Contas anonimizadas: ${processed}`);
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Erro ao processar eliminações de contas:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
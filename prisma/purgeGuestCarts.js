@@ -0,0 +1,19 @@
+// prisma/purgeGuestCarts.js
+// Elimina os carrinhos de visitante abandonados (sem alterações há mais de GUEST_CART_TTL_DAYS dias)
+// Uso: npm run purge-guest-carts (agendar diariamente, ex: cron)
+
+import prisma from '../db.js';
+import { purgeExpiredGuestCarts, GUEST_CART_TTL_DAYS } from '../utils/cartUtils.js';
+
+async function main() {
+    const purged = await purgeExpiredGuestCarts();
+
+    console.log(`✅ Carrinhos de visitante eliminados (mais de ${GUEST_CART_TTL_DAYS} dias): ${purged}`);
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Erro ao eliminar carrinhos de visitante:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
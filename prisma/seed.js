@@ -41,7 +41,7 @@ async function main() {
                 firstName: 'Owner',
                 lastName: 'System',
                 passwordHash,
-                role: 'OWNER',
+                role: { connect: { key: 'OWNER' } }, // Papéis criados pela migração (tabela roles)
             },
         });
         console.log('✅ Owner criado');
@@ -53,7 +53,7 @@ async function main() {
                     firstName: 'Admin',
                     lastName: 'One',
                     passwordHash,
-                    role: 'ADMIN',
+                    role: { connect: { key: 'ADMIN' } },
                 },
             }),
             prisma.user.create({
@@ -62,7 +62,7 @@ async function main() {
                     firstName: 'Admin',
                     lastName: 'Two',
                     passwordHash,
-                    role: 'ADMIN',
+                    role: { connect: { key: 'ADMIN' } },
                 },
             }),
             prisma.user.create({
@@ -71,7 +71,7 @@ async function main() {
                     firstName: 'Admin',
                     lastName: 'Three',
                     passwordHash,
-                    role: 'ADMIN',
+                    role: { connect: { key: 'ADMIN' } },
                 },
             }),
         ]);
@@ -84,7 +84,7 @@ async function main() {
                     firstName: 'João',
                     lastName: 'Silva',
                     passwordHash,
-                    role: 'USER',
+                    role: { connect: { key: 'USER' } },
                 },
             }),
             prisma.user.create({
@@ -93,7 +93,7 @@ async function main() {
                     firstName: 'Maria',
                     lastName: 'Santos',
                     passwordHash,
-                    role: 'USER',
+                    role: { connect: { key: 'USER' } },
                 },
             }),
             prisma.user.create({
@@ -102,7 +102,7 @@ async function main() {
                     firstName: 'Pedro',
                     lastName: 'Oliveira',
                     passwordHash,
-                    role: 'USER',
+                    role: { connect: { key: 'USER' } },
                 },
             }),
             prisma.user.create({
@@ -111,7 +111,7 @@ async function main() {
                     firstName: 'Ana',
                     lastName: 'Costa',
                     passwordHash,
-                    role: 'USER',
+                    role: { connect: { key: 'USER' } },
                 },
             }),
             prisma.user.create({
@@ -120,7 +120,7 @@ async function main() {
                     firstName: 'Carlos',
                     lastName: 'Ferreira',
                     passwordHash,
-                    role: 'USER',
+                    role: { connect: { key: 'USER' } },
                 },
             }),
         ]);
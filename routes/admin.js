@@ -3,16 +3,50 @@
 
 import { Router } from 'express';
 import prisma from '../db.js';
-import { authenticateToken, requireAdmin, requireOwner } from '../utils/auth.js';
+import { authenticateToken, requirePermission, IMPERSONATION_TTL_MINUTES } from '../utils/auth.js';
+import { PERMISSIONS, PERMISSION_DESCRIPTIONS, ALL_PERMISSIONS, SYSTEM_ROLES, ROLE_SELECT, hasPermission, resolvePermissions, canGrantRole, canManageUser } from '../utils/permissions.js';
 import { validateRequest } from '../utils/validateRequest.js';
-import { orderStatusUpdateSchema, fulfillmentStatusUpdateSchema } from '../utils/schemas.js';
+import { orderStatusUpdateSchema, fulfillmentStatusUpdateSchema, adminAlertResolveSchema, orderRefundSchema, returnReviewSchema, returnReceiveSchema, shipmentCreateSchema, shipmentDeliveredSchema, couponCreateSchema, couponUpdateSchema, promotionCreateSchema, promotionUpdateSchema, taxRateCreateSchema, taxRateUpdateSchema, shippingZoneCreateSchema, shippingZoneUpdateSchema, shippingMethodCreateSchema, shippingMethodUpdateSchema, userInviteCreateSchema, roleCreateSchema, roleUpdateSchema, accountStatusUpdateSchema, adminUserUpdateSchema, impersonationRequestSchema } from '../utils/schemas.js';
+import { refundOrder, IDEMPOTENCY_KEY_HEADER } from '../utils/refunds.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { processStripeEvent } from '../utils/stripeEvents.js';
+import { dispatchStripeEvent } from '../utils/stripeEventHandlers.js';
+import { transitionOrder, getAllowedTransitions, ACTOR_TYPES } from '../utils/orderStateMachine.js';
+import { reviewReturn, receiveReturn, refundReturn, RETURN_INCLUDE } from '../utils/returns.js';
+import { createAdminAlert, ALERT_TYPES } from '../utils/adminAlerts.js';
+import { createShipment, markShipmentDelivered } from '../utils/shipments.js';
+import { redactAddressSnapshot } from '../utils/addresses.js';
+import { normalizeCouponCode } from '../utils/coupons.js';
+import { getAccountLockState, unlockAccount } from '../utils/loginThrottle.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../utils/securityLog.js';
+import { createInvite, revokeInvite, getInviteStatus } from '../utils/invites.js';
+import { recordAudit, AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
+import { setAccountStatus, ACCOUNT_STATUSES } from '../utils/accountStatus.js';
+import { listCustomerMetrics, getCustomerMetrics } from '../utils/customerMetrics.js';
+import { sendVerificationEmail } from '../utils/emailVerification.js';
+import { requestImpersonation, decideImpersonation, startImpersonation, getImpersonationStatus } from '../utils/impersonation.js';
+import { Prisma } from '@prisma/client';
 import { Decimal } from '@prisma/client/runtime/library';
 const router = Router();
 
+// Moradas da encomenda sem dados pessoais se o utilizador não tiver users:read_pii
+const orderForViewer = (req, order) => (!order || hasPermission(req.user, PERMISSIONS.USERS_READ_PII)) ? order : {
+    ...order,
+    shippingAddress: redactAddressSnapshot(order.shippingAddress),
+    billingAddress: redactAddressSnapshot(order.billingAddress),
+};
+
+// Estados do pedido comparados no registo de auditoria
+const orderStates = (order) => order && ({
+    status: order.status,
+    financialStatus: order.financialStatus,
+    fulfillmentStatus: order.fulfillmentStatus,
+});
+
 // =================================================================
 // ROTA 1: LISTAR TODOS OS PEDIDOS (GET /api/admin/orders) - PROTEGIDA
 // =================================================================
-router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/orders', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
     try {
         const { status, financialStatus, fulfillmentStatus, limit = 50, page = 1, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
         const take = parseInt(limit);
@@ -42,7 +76,7 @@ router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
 
         // Retornar com informações de paginação
         res.status(200).json({
-            data: orders,
+            data: orders.map(order => orderForViewer(req, order)),
             total: totalCount,
             page: parseInt(page),
             limit: take,
@@ -58,22 +92,31 @@ router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
 // =================================================================
 // ROTA 2: OBTER DETALHES DO PEDIDO (GET /api/admin/orders/:id) - PROTEGIDA
 // =================================================================
-router.get('/orders/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/orders/:id', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
     try {
         const orderId = parseInt(req.params.id);
 
         // Retornar pedido completo com informações do utilizador, items, produtos e transações
+        // O telefone do cliente e as moradas completas só são incluídos com users:read_pii
         const order = await prisma.order.findUnique({
             where: { id: orderId },
             include: {
-                user: { select: { id: true, email: true, firstName: true, lastName: true, phone: true } },
+                user: { select: { id: true, email: true, firstName: true, lastName: true, phone: hasPermission(req.user, PERMISSIONS.USERS_READ_PII) } },
                 lineItems: {
                     include: {
                         product: { select: { id: true, name: true, slug: true } },
                         variant: { select: { id: true, title: true, size: true } },
                     },
                 },
-                transactions: { select: { id: true, stripeId: true, status: true, amount: true, createdAt: true } },
+                transactions: { select: { id: true, stripeId: true, stripeObjectType: true, status: true, amount: true, reason: true, createdAt: true } },
+                events: {
+                    include: { actor: { select: { id: true, email: true, firstName: true, lastName: true } } },
+                    orderBy: { createdAt: 'asc' },
+                },
+                shipments: {
+                    include: { items: true, createdBy: { select: { id: true, email: true } } },
+                    orderBy: { shippedAt: 'asc' },
+                },
             },
         });
 
@@ -81,7 +124,8 @@ router.get('/orders/:id', authenticateToken, requireAdmin, async (req, res) => {
             return res.status(404).json({ error: 'Pedido não encontrado.' });
         }
 
-        res.status(200).json(order);
+        // Incluir as transições de estado disponíveis a partir do estado atual
+        res.status(200).json({ ...orderForViewer(req, order), allowedTransitions: getAllowedTransitions(order) });
 
     } catch (error) {
         console.error('Erro ao obter detalhes do pedido:', error);
@@ -92,30 +136,40 @@ router.get('/orders/:id', authenticateToken, requireAdmin, async (req, res) => {
 // =================================================================
 // ROTA 3: ATUALIZAR STATUS DO PEDIDO (PUT /api/admin/orders/:id/status) - PROTEGIDA
 // =================================================================
-router.put('/orders/:id/status', authenticateToken, requireAdmin, validateRequest(orderStatusUpdateSchema), async (req, res) => {
+router.put('/orders/:id/status', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), validateRequest(orderStatusUpdateSchema), async (req, res) => {
     try {
         const orderId = parseInt(req.params.id);
-        const { status } = req.body;
+        const { status, reason } = req.body;
 
-        const order = await prisma.order.findUnique({ where: { id: orderId } });
+        const previous = await prisma.order.findUnique({ where: { id: orderId } });
 
-        if (!order) {
-            return res.status(404).json({ error: 'Pedido não encontrado.' });
-        }
+        // Atualizar status do pedido validando a transição (ex: cancelled -> shipped é rejeitado)
+        await transitionOrder(orderId, { status }, {
+            actor: { type: ACTOR_TYPES.ADMIN, id: req.user.id },
+            reason,
+        });
 
-        // Atualizar status do pedido (ex: processing, shipped, delivered, cancelled)
-        const updatedOrder = await prisma.order.update({
+        const updatedOrder = await prisma.order.findUnique({
             where: { id: orderId },
-            data: { status },
             include: {
                 user: { select: { id: true, email: true } },
                 lineItems: true,
             },
         });
 
-        res.status(200).json(updatedOrder);
+        await recordAudit(req, {
+            action: 'status_change',
+            entityType: AUDIT_ENTITIES.ORDER,
+            entityId: orderId,
+            before: orderStates(previous),
+            after: orderStates(updatedOrder),
+            details: { reason: reason || null },
+        });
+
+        res.status(200).json(orderForViewer(req, updatedOrder));
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
         console.error('Erro ao atualizar status do pedido:', error);
         res.status(500).json({ error: 'Falha ao atualizar status do pedido.' });
     }
@@ -124,30 +178,41 @@ router.put('/orders/:id/status', authenticateToken, requireAdmin, validateReques
 // =================================================================
 // ROTA 4: ATUALIZAR FULFILLMENT STATUS (PUT /api/admin/orders/:id/fulfillment) - PROTEGIDA
 // =================================================================
-router.put('/orders/:id/fulfillment', authenticateToken, requireAdmin, validateRequest(fulfillmentStatusUpdateSchema), async (req, res) => {
+// Correção manual: o fulfillmentStatus é normalmente derivado dos envios (ROTA 21) e devoluções
+router.put('/orders/:id/fulfillment', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), validateRequest(fulfillmentStatusUpdateSchema), async (req, res) => {
     try {
         const orderId = parseInt(req.params.id);
-        const { fulfillmentStatus } = req.body;
+        const { fulfillmentStatus, reason } = req.body;
 
-        const order = await prisma.order.findUnique({ where: { id: orderId } });
+        const previous = await prisma.order.findUnique({ where: { id: orderId } });
 
-        if (!order) {
-            return res.status(404).json({ error: 'Pedido não encontrado.' });
-        }
+        // Atualizar status de cumprimento do pedido validando a transição (ex: unfulfilled, fulfilled, partial)
+        await transitionOrder(orderId, { fulfillmentStatus }, {
+            actor: { type: ACTOR_TYPES.ADMIN, id: req.user.id },
+            reason,
+        });
 
-        // Atualizar status de cumprimento do pedido (ex: unfulfilled, fulfilled, partial)
-        const updatedOrder = await prisma.order.update({
+        const updatedOrder = await prisma.order.findUnique({
             where: { id: orderId },
-            data: { fulfillmentStatus },
             include: {
                 user: { select: { id: true, email: true } },
                 lineItems: true,
             },
         });
 
-        res.status(200).json(updatedOrder);
+        await recordAudit(req, {
+            action: 'fulfillment_change',
+            entityType: AUDIT_ENTITIES.ORDER,
+            entityId: orderId,
+            before: orderStates(previous),
+            after: orderStates(updatedOrder),
+            details: { reason: reason || null },
+        });
+
+        res.status(200).json(orderForViewer(req, updatedOrder));
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
         console.error('Erro ao atualizar fulfillment status:', error);
         res.status(500).json({ error: 'Falha ao atualizar fulfillment status.' });
     }
@@ -156,7 +221,7 @@ router.put('/orders/:id/fulfillment', authenticateToken, requireAdmin, validateR
 // =================================================================
 // ROTA 5: DASHBOARD STATS (GET /api/admin/stats) - PROTEGIDA
 // =================================================================
-router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
         
@@ -211,7 +276,7 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
 // =================================================================
 // ROTA 6: PRODUTOS TOP (GET /api/admin/top-products) - PROTEGIDA
 // =================================================================
-router.get('/top-products', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/top-products', authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
     try {
         const { limit = 10 } = req.query;
         const take = parseInt(limit);
@@ -263,7 +328,7 @@ router.get('/top-products', authenticateToken, requireAdmin, async (req, res) =>
 // =================================================================
 // ROTA 7: REVENUE OVER TIME (GET /api/admin/revenue-chart) - PROTEGIDA
 // =================================================================
-router.get('/revenue-chart', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/revenue-chart', authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
     try {
         const { days = 30 } = req.query;
 
@@ -311,39 +376,45 @@ router.get('/revenue-chart', authenticateToken, requireAdmin, async (req, res) =
 // =================================================================
 // ROTA 8: LISTAR UTILIZADORES (GET /api/admin/users) - PROTEGIDA
 // =================================================================
-router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
+// Cada utilizador inclui as métricas de cliente (ver utils/customerMetrics.js)
+// Filtros: role, status, minOrders, maxOrders, minSpend, maxSpend (gasto líquido) e inactiveDays
+// Ordenação (sortBy): campos do utilizador ou métricas (ex: netSpend desc = melhores clientes)
+// Ex: clientes sem encomendas há 90 dias: ?minOrders=1&inactiveDays=90&sortBy=lastOrderAt
+router.get('/users', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
     try {
-        const { role, limit = 50, page = 1, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+        const { role, status, minOrders, maxOrders, minSpend, maxSpend, inactiveDays, limit = 50, page = 1, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
         const take = parseInt(limit);
         const skip = (parseInt(page) - 1) * take;
 
-        // Filtrar por role se fornecido
-        const where = {};
-        if (role) where.role = role;
+        if (status && !Object.values(ACCOUNT_STATUSES).includes(status)) {
+            return res.status(400).json({ error: 'Estado de conta inválido (active, suspended ou banned).' });
+        }
 
-        // Executar query de utilizadores e contagem em transação
-        const [users, totalCount] = await prisma.$transaction([
-            prisma.user.findMany({
-                where,
-                select: {
-                    id: true,
-                    email: true,
-                    firstName: true,
-                    lastName: true,
-                    role: true,
-                    createdAt: true,
-                    phone: true,
-                },
-                orderBy: { [sortBy]: sortOrder },
-                take,
-                skip,
-            }),
-            prisma.user.count({ where }),
-        ]);
+        // Filtrar e ordenar pelas métricas (página de ids), depois carregar os dados dos utilizadores
+        const { rows, total: totalCount } = await listCustomerMetrics({
+            role, status, minOrders, maxOrders, minSpend, maxSpend, inactiveDays, sortBy, sortOrder, take, skip,
+        });
 
-        // Retornar com informações de paginação
+        const users = await prisma.user.findMany({
+            where: { id: { in: rows.map(row => row.id) } },
+            select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true,
+                role: { select: { key: true, name: true } },
+                status: true,
+                suspendedUntil: true,
+                createdAt: true,
+                // Dados pessoais apenas com users:read_pii
+                phone: hasPermission(req.user, PERMISSIONS.USERS_READ_PII),
+            },
+        });
+        const usersById = new Map(users.map(user => [user.id, user]));
+
+        // Retornar com informações de paginação (pela ordem das métricas)
         res.status(200).json({
-            data: users,
+            data: rows.map(row => ({ ...usersById.get(row.id), metrics: row.metrics })),
             total: totalCount,
             page: parseInt(page),
             limit: take,
@@ -351,23 +422,27 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
         });
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
+
         console.error('Erro ao listar utilizadores:', error);
         res.status(500).json({ error: 'Falha ao listar utilizadores.' });
     }
 });
 
 // =================================================================
-// ROTA 9: ATUALIZAR ROLE DO UTILIZADOR (PUT /api/admin/users/:id/role) - OWNER ONLY
+// ROTA 9: ATUALIZAR ROLE DO UTILIZADOR (PUT /api/admin/users/:id/role) - PROTEGIDA
 // =================================================================
-router.put('/users/:id/role', authenticateToken, requireOwner, async (req, res) => {
+router.put('/users/:id/role', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
     try {
         const userId = parseInt(req.params.id);
         const { role } = req.body;
 
-        // Validar que o role é válido
-        const validRoles = ['USER', 'ADMIN', 'OWNER'];
-        if (!validRoles.includes(role)) {
-            return res.status(400).json({ error: 'Role inválido. Deve ser USER, ADMIN ou OWNER.' });
+        // Validar que o papel existe (chave, ex: USER, ADMIN ou um papel personalizado)
+        const targetRole = typeof role === 'string'
+            ? await prisma.role.findUnique({ where: { key: role }, ...ROLE_SELECT })
+            : null;
+        if (!targetRole) {
+            return res.status(400).json({ error: 'Papel inválido. Consulte GET /api/admin/roles.' });
         }
 
         // Não permitir alterar o próprio role
@@ -375,30 +450,43 @@ router.put('/users/:id/role', authenticateToken, requireOwner, async (req, res)
             return res.status(400).json({ error: 'Não pode alterar o seu próprio role.' });
         }
 
-        const user = await prisma.user.findUnique({ where: { id: userId } });
+        const user = await prisma.user.findUnique({ where: { id: userId }, include: { role: ROLE_SELECT } });
 
         if (!user) {
             return res.status(404).json({ error: 'Utilizador não encontrado.' });
         }
 
         // Não permitir remover OWNER (apenas há um Owner) - manter invariante de segurança
-        if (user.role === 'OWNER' && role !== 'OWNER') {
+        if (user.role.key === SYSTEM_ROLES.OWNER && targetRole.key !== SYSTEM_ROLES.OWNER) {
             return res.status(400).json({ error: 'Não pode remover o role de OWNER. Deve haver sempre um proprietário.' });
         }
 
-        // Atualizar role do utilizador
+        // Sem escalada de privilégios: só atribui (ou retira) papéis cujas permissões já tem
+        if (!canGrantRole(req.user, targetRole) || !canGrantRole(req.user, user.role)) {
+            return res.status(403).json({ error: 'Não pode atribuir ou retirar um papel com permissões que não tem.' });
+        }
+
+        // Atualizar role do utilizador (efeito imediato: authenticateToken lê o papel da BD em cada pedido)
         const updatedUser = await prisma.user.update({
             where: { id: userId },
-            data: { role },
+            data: { roleId: targetRole.id },
             select: {
                 id: true,
                 email: true,
                 firstName: true,
                 lastName: true,
-                role: true,
+                role: { select: { key: true, name: true } },
             },
         });
 
+        await recordAudit(req, {
+            action: 'role_change',
+            entityType: AUDIT_ENTITIES.USER,
+            entityId: userId,
+            before: { role: user.role.key },
+            after: { role: targetRole.key },
+        });
+
         res.status(200).json(updatedUser);
 
     } catch (error) {
@@ -407,4 +495,1707 @@ router.put('/users/:id/role', authenticateToken, requireOwner, async (req, res)
     }
 });
 
+// =================================================================
+// ROTA 10: REEMBOLSAR PEDIDO (POST /api/admin/orders/:id/refunds) - PROTEGIDA
+// =================================================================
+// Reembolso total (sem lineItems) ou parcial por linha/quantidade através do Stripe
+// Opcionalmente repõe o stock das unidades reembolsadas (restock)
+// Cabeçalho Idempotency-Key opcional: sem ele a chave é derivada das linhas e das quantidades já reembolsadas
+router.post('/orders/:id/refunds', authenticateToken, requirePermission(PERMISSIONS.ORDERS_REFUND), validateRequest(orderRefundSchema), async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        const { lineItems, restock, reason } = req.body;
+        const idempotencyKey = req.get(IDEMPOTENCY_KEY_HEADER);
+
+        if (idempotencyKey !== undefined && (idempotencyKey.length === 0 || idempotencyKey.length > 200)) {
+            return res.status(400).json({ error: `Cabeçalho ${IDEMPOTENCY_KEY_HEADER} inválido (1 a 200 caracteres).` });
+        }
+
+        const result = await refundOrder({
+            orderId,
+            lines: lineItems,
+            restock,
+            reason: reason || `Reembolso emitido por ${req.user.email}`,
+            idempotencyKey: idempotencyKey && `admin-refund-${orderId}-${idempotencyKey}`,
+            actor: { type: ACTOR_TYPES.ADMIN, id: req.user.id },
+        });
+
+        await recordAudit(req, {
+            action: 'refund',
+            entityType: AUDIT_ENTITIES.ORDER,
+            entityId: orderId,
+            details: { refund: result.refund, lines: result.lines, restocked: result.restocked, reason: reason || null },
+        });
+
+        res.status(201).json({ ...result, order: orderForViewer(req, result.order) });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        // Erros devolvidos pela API do Stripe (ex: pagamento já totalmente reembolsado no dashboard)
+        if (error.type && error.type.startsWith('Stripe')) {
+            console.error('Erro do Stripe ao reembolsar pedido:', error.message);
+            return res.status(502).json({ error: 'O Stripe recusou o reembolso.', details: error.message });
+        }
+
+        console.error('Erro ao reembolsar pedido:', error);
+        res.status(500).json({ error: 'Falha ao reembolsar pedido.' });
+    }
+});
+
+// =================================================================
+// ROTA 11: FILA DE ATENÇÃO (GET /api/admin/alerts) - PROTEGIDA
+// =================================================================
+// Situações que exigem intervenção manual (overselling, reembolsos falhados, ...)
+router.get('/alerts', authenticateToken, requirePermission(PERMISSIONS.ALERTS_MANAGE), async (req, res) => {
+    try {
+        const { status = 'open', type, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+
+        // Filtrar por estado (open/resolved) e tipo; status=all devolve todos
+        const where = {};
+        if (status !== 'all') where.status = status;
+        if (type) where.type = type;
+
+        const [alerts, totalCount] = await prisma.$transaction([
+            prisma.adminAlert.findMany({
+                where,
+                include: {
+                    order: { select: { id: true, orderNumber: true, status: true, financialStatus: true, totalAmount: true } },
+                    resolvedBy: { select: { id: true, email: true } },
+                },
+                orderBy: { createdAt: 'desc' },
+                take,
+                skip,
+            }),
+            prisma.adminAlert.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: alerts,
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar alertas:', error);
+        res.status(500).json({ error: 'Falha ao listar alertas.' });
+    }
+});
+
+// =================================================================
+// ROTA 12: RESOLVER ALERTA (PUT /api/admin/alerts/:id/resolve) - PROTEGIDA
+// =================================================================
+router.put('/alerts/:id/resolve', authenticateToken, requirePermission(PERMISSIONS.ALERTS_MANAGE), validateRequest(adminAlertResolveSchema), async (req, res) => {
+    try {
+        const alertId = parseInt(req.params.id);
+        const { note } = req.body;
+
+        const alert = await prisma.adminAlert.findUnique({ where: { id: alertId } });
+
+        if (!alert) {
+            return res.status(404).json({ error: 'Alerta não encontrado.' });
+        }
+
+        if (alert.status === 'resolved') {
+            return res.status(409).json({ error: 'Este alerta já foi resolvido.' });
+        }
+
+        // Marcar alerta como resolvido pelo admin autenticado
+        const updatedAlert = await prisma.adminAlert.update({
+            where: { id: alertId },
+            data: {
+                status: 'resolved',
+                resolvedById: req.user.id,
+                resolvedAt: new Date(),
+                resolutionNote: note || null,
+            },
+        });
+
+        await recordAudit(req, { action: 'resolve', entityType: AUDIT_ENTITIES.ADMIN_ALERT, entityId: alertId, before: alert, after: updatedAlert });
+
+        res.status(200).json(updatedAlert);
+
+    } catch (error) {
+        console.error('Erro ao resolver alerta:', error);
+        res.status(500).json({ error: 'Falha ao resolver alerta.' });
+    }
+});
+
+// =================================================================
+// ROTA 13: LISTAR EVENTOS STRIPE (GET /api/admin/stripe-events) - PROTEGIDA
+// =================================================================
+// Registo de webhooks recebidos (por defeito apenas os falhados), sem o payload completo
+router.get('/stripe-events', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+    try {
+        const { status = 'failed', type, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+
+        // Filtrar por estado (status=all devolve todos) e tipo de evento
+        const where = {};
+        if (status !== 'all') where.status = status;
+        if (type) where.type = type;
+
+        const [events, totalCount] = await prisma.$transaction([
+            prisma.stripeEvent.findMany({
+                where,
+                select: {
+                    id: true,
+                    type: true,
+                    status: true,
+                    attempts: true,
+                    error: true,
+                    livemode: true,
+                    processedAt: true,
+                    createdAt: true,
+                    updatedAt: true,
+                },
+                orderBy: { createdAt: 'desc' },
+                take,
+                skip,
+            }),
+            prisma.stripeEvent.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: events,
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar eventos Stripe:', error);
+        res.status(500).json({ error: 'Falha ao listar eventos Stripe.' });
+    }
+});
+
+// =================================================================
+// ROTA 14: DETALHE DE EVENTO STRIPE (GET /api/admin/stripe-events/:id) - PROTEGIDA
+// =================================================================
+router.get('/stripe-events/:id', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+    try {
+        const event = await prisma.stripeEvent.findUnique({ where: { id: req.params.id } });
+
+        if (!event) {
+            return res.status(404).json({ error: 'Evento Stripe não encontrado.' });
+        }
+
+        res.status(200).json(event);
+
+    } catch (error) {
+        console.error('Erro ao obter evento Stripe:', error);
+        res.status(500).json({ error: 'Falha ao obter evento Stripe.' });
+    }
+});
+
+// =================================================================
+// ROTA 15: REPROCESSAR EVENTO STRIPE (POST /api/admin/stripe-events/:id/replay) - PROTEGIDA
+// =================================================================
+// Reprocessa um evento falhado (ou preso em processamento) a partir do payload guardado
+router.post('/stripe-events/:id/replay', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+    try {
+        const storedEvent = await prisma.stripeEvent.findUnique({ where: { id: req.params.id } });
+
+        if (!storedEvent) {
+            return res.status(404).json({ error: 'Evento Stripe não encontrado.' });
+        }
+
+        const { skipped } = await processStripeEvent(storedEvent.payload, dispatchStripeEvent, { replay: true });
+
+        if (skipped) {
+            return res.status(409).json({ error: `O evento não pode ser reprocessado (estado atual: ${storedEvent.status}).` });
+        }
+
+        const updatedEvent = await prisma.stripeEvent.findUnique({
+            where: { id: storedEvent.id },
+            select: { id: true, type: true, status: true, attempts: true, processedAt: true },
+        });
+
+        await recordAudit(req, {
+            action: 'replay',
+            entityType: AUDIT_ENTITIES.STRIPE_EVENT,
+            entityId: storedEvent.id,
+            before: { status: storedEvent.status, attempts: storedEvent.attempts },
+            after: { status: updatedEvent.status, attempts: updatedEvent.attempts },
+        });
+
+        res.status(200).json(updatedEvent);
+
+    } catch (error) {
+        // O handler falhou novamente: o erro fica registado no evento
+        console.error('Erro ao reprocessar evento Stripe:', error);
+        res.status(500).json({ error: 'O reprocessamento do evento falhou.', details: error.message });
+    }
+});
+
+// =================================================================
+// ROTA 16: LISTAR DEVOLUÇÕES (GET /api/admin/returns) - PROTEGIDA
+// =================================================================
+router.get('/returns', authenticateToken, requirePermission(PERMISSIONS.RETURNS_MANAGE), async (req, res) => {
+    try {
+        const { status, orderId, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+
+        const where = {};
+        if (status) where.status = status;
+        if (orderId) where.orderId = parseInt(orderId);
+
+        const [returns, totalCount] = await prisma.$transaction([
+            prisma.returnRequest.findMany({
+                where,
+                include: {
+                    ...RETURN_INCLUDE,
+                    user: { select: { id: true, email: true, firstName: true, lastName: true } },
+                },
+                orderBy: { createdAt: 'desc' },
+                take,
+                skip,
+            }),
+            prisma.returnRequest.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: returns,
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar devoluções (admin):', error);
+        res.status(500).json({ error: 'Falha ao listar devoluções.' });
+    }
+});
+
+// =================================================================
+// ROTA 17: DETALHE DE DEVOLUÇÃO (GET /api/admin/returns/:id) - PROTEGIDA
+// =================================================================
+router.get('/returns/:id', authenticateToken, requirePermission(PERMISSIONS.RETURNS_MANAGE), async (req, res) => {
+    try {
+        const returnRequest = await prisma.returnRequest.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: {
+                ...RETURN_INCLUDE,
+                user: { select: { id: true, email: true, firstName: true, lastName: true } },
+                reviewedBy: { select: { id: true, email: true } },
+            },
+        });
+
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Devolução não encontrada.' });
+        }
+
+        res.status(200).json(returnRequest);
+
+    } catch (error) {
+        console.error('Erro ao obter devolução:', error);
+        res.status(500).json({ error: 'Falha ao obter devolução.' });
+    }
+});
+
+// =================================================================
+// ROTA 18: APROVAR/REJEITAR DEVOLUÇÃO (PUT /api/admin/returns/:id/review) - PROTEGIDA
+// =================================================================
+router.put('/returns/:id/review', authenticateToken, requirePermission(PERMISSIONS.RETURNS_MANAGE), validateRequest(returnReviewSchema), async (req, res) => {
+    try {
+        const { decision, note } = req.body;
+
+        const returnRequest = await reviewReturn(parseInt(req.params.id), {
+            approve: decision === 'approve',
+            note: note || null,
+            actor: { type: ACTOR_TYPES.ADMIN, id: req.user.id },
+        });
+
+        await recordAudit(req, {
+            action: 'review',
+            entityType: AUDIT_ENTITIES.RETURN,
+            entityId: returnRequest.id,
+            after: { status: returnRequest.status },
+            details: { decision, note: note || null },
+        });
+
+        res.status(200).json(returnRequest);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao rever devolução:', error);
+        res.status(500).json({ error: 'Falha ao rever devolução.' });
+    }
+});
+
+// =================================================================
+// ROTA 19: RECEBER DEVOLUÇÃO NO ARMAZÉM (PUT /api/admin/returns/:id/receive) - PROTEGIDA
+// =================================================================
+// Repõe stock (restock) ou abate (write_off) cada artigo e emite o reembolso Stripe
+// Se o reembolso falhar, a devolução fica 'received' com alerta na fila de atenção (repetir na ROTA 20)
+router.put('/returns/:id/receive', authenticateToken, requirePermission(PERMISSIONS.RETURNS_MANAGE), validateRequest(returnReceiveSchema), async (req, res) => {
+    try {
+        const returnId = parseInt(req.params.id);
+        const actor = { type: ACTOR_TYPES.ADMIN, id: req.user.id };
+
+        const received = await receiveReturn(returnId, {
+            dispositions: new Map(req.body.items.map(item => [item.returnItemId, item.disposition])),
+            actor,
+        });
+
+        await recordAudit(req, {
+            action: 'receive',
+            entityType: AUDIT_ENTITIES.RETURN,
+            entityId: returnId,
+            after: { status: received.status },
+            details: { items: req.body.items },
+        });
+
+        try {
+            const refunded = await refundReturn(returnId, { actor });
+            return res.status(200).json(refunded);
+        } catch (refundError) {
+            console.error(`Reembolso da devolução #${returnId} falhou:`, refundError);
+            await createAdminAlert({
+                type: ALERT_TYPES.REFUND_FAILED,
+                orderId: received.orderId,
+                message: `Devolução #${returnId} recebida mas o reembolso falhou. Repetir o reembolso da devolução.`,
+                details: { returnId, error: refundError.message },
+            });
+
+            return res.status(200).json({ ...received, refundError: refundError.message });
+        }
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao receber devolução:', error);
+        res.status(500).json({ error: 'Falha ao receber devolução.' });
+    }
+});
+
+// =================================================================
+// ROTA 20: REPETIR REEMBOLSO DA DEVOLUÇÃO (POST /api/admin/returns/:id/refund) - PROTEGIDA
+// =================================================================
+router.post('/returns/:id/refund', authenticateToken, requirePermission(PERMISSIONS.ORDERS_REFUND), async (req, res) => {
+    try {
+        const returnRequest = await refundReturn(parseInt(req.params.id), {
+            actor: { type: ACTOR_TYPES.ADMIN, id: req.user.id },
+        });
+
+        await recordAudit(req, {
+            action: 'refund',
+            entityType: AUDIT_ENTITIES.RETURN,
+            entityId: returnRequest.id,
+            after: { status: returnRequest.status },
+        });
+
+        res.status(200).json(returnRequest);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        if (error.type && error.type.startsWith('Stripe')) {
+            console.error('Erro do Stripe ao reembolsar devolução:', error.message);
+            return res.status(502).json({ error: 'O Stripe recusou o reembolso.', details: error.message });
+        }
+
+        console.error('Erro ao reembolsar devolução:', error);
+        res.status(500).json({ error: 'Falha ao reembolsar devolução.' });
+    }
+});
+
+// =================================================================
+// ROTA 21: REGISTAR ENVIO (POST /api/admin/orders/:id/shipments) - PROTEGIDA
+// =================================================================
+// Envio de algumas ou de todas as linhas; atualiza fulfillmentStatus (partial/fulfilled) e status (shipped)
+router.post('/orders/:id/shipments', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), validateRequest(shipmentCreateSchema), async (req, res) => {
+    try {
+        const { carrier, trackingNumber, trackingUrl, shippedAt, lineItems } = req.body;
+
+        const shipment = await createShipment({
+            orderId: parseInt(req.params.id),
+            carrier,
+            trackingNumber,
+            trackingUrl,
+            shippedAt,
+            items: lineItems,
+            actor: { type: ACTOR_TYPES.ADMIN, id: req.user.id },
+        });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.CREATE,
+            entityType: AUDIT_ENTITIES.SHIPMENT,
+            entityId: shipment.id,
+            details: { orderId: parseInt(req.params.id), carrier, trackingNumber: trackingNumber || null, lineItems },
+        });
+
+        res.status(201).json(shipment);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao registar envio:', error);
+        res.status(500).json({ error: 'Falha ao registar envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 22: MARCAR ENVIO COMO ENTREGUE (PUT /api/admin/shipments/:id/delivered) - PROTEGIDA
+// =================================================================
+// Quando todos os envios de uma encomenda totalmente enviada são entregues, o status passa a 'delivered'
+router.put('/shipments/:id/delivered', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), validateRequest(shipmentDeliveredSchema), async (req, res) => {
+    try {
+        const shipment = await markShipmentDelivered(parseInt(req.params.id), {
+            deliveredAt: req.body.deliveredAt,
+            actor: { type: ACTOR_TYPES.ADMIN, id: req.user.id },
+        });
+
+        await recordAudit(req, {
+            action: 'delivered',
+            entityType: AUDIT_ENTITIES.SHIPMENT,
+            entityId: shipment.id,
+            after: { deliveredAt: shipment.deliveredAt },
+        });
+
+        res.status(200).json(shipment);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao marcar envio como entregue:', error);
+        res.status(500).json({ error: 'Falha ao atualizar envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 23: LISTAR CUPÕES (GET /api/admin/coupons) - PROTEGIDA
+// =================================================================
+router.get('/coupons', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), async (req, res) => {
+    try {
+        const { isActive, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+
+        const where = {};
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+
+        const [coupons, totalCount] = await prisma.$transaction([
+            prisma.coupon.findMany({
+                where,
+                include: { _count: { select: { redemptions: true } } },
+                orderBy: { createdAt: 'desc' },
+                take,
+                skip,
+            }),
+            prisma.coupon.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: coupons,
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar cupões:', error);
+        res.status(500).json({ error: 'Falha ao listar cupões.' });
+    }
+});
+
+// =================================================================
+// ROTA 24: CRIAR CUPÃO (POST /api/admin/coupons) - PROTEGIDA
+// =================================================================
+router.post('/coupons', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), validateRequest(couponCreateSchema), async (req, res) => {
+    try {
+        const coupon = await prisma.coupon.create({
+            data: {
+                ...req.body,
+                code: normalizeCouponCode(req.body.code),
+                value: req.body.type === 'free_shipping' ? 0 : req.body.value,
+            },
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.COUPON, entityId: coupon.id, after: coupon });
+
+        res.status(201).json(coupon);
+
+    } catch (error) {
+        // Código já existente
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Já existe um cupão com este código.' });
+        }
+        console.error('Erro ao criar cupão:', error);
+        res.status(500).json({ error: 'Falha ao criar cupão.' });
+    }
+});
+
+// =================================================================
+// ROTA 25: ATUALIZAR CUPÃO (PUT /api/admin/coupons/:id) - PROTEGIDA
+// =================================================================
+router.put('/coupons/:id', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), validateRequest(couponUpdateSchema), async (req, res) => {
+    try {
+        const couponId = parseInt(req.params.id);
+        const data = { ...req.body };
+        if (data.code) data.code = normalizeCouponCode(data.code);
+        if (data.type === 'free_shipping') data.value = 0;
+
+        const previous = await prisma.coupon.findUnique({ where: { id: couponId } });
+        if (!previous) {
+            return res.status(404).json({ error: 'Cupão não encontrado.' });
+        }
+
+        const coupon = await prisma.coupon.update({
+            where: { id: couponId },
+            data,
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.COUPON, entityId: couponId, before: previous, after: coupon });
+
+        res.status(200).json(coupon);
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Cupão não encontrado.' });
+        }
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Já existe um cupão com este código.' });
+        }
+        console.error('Erro ao atualizar cupão:', error);
+        res.status(500).json({ error: 'Falha ao atualizar cupão.' });
+    }
+});
+
+// =================================================================
+// ROTA 26: ELIMINAR CUPÃO (DELETE /api/admin/coupons/:id) - PROTEGIDA
+// =================================================================
+// Cupões já utilizados em encomendas não podem ser eliminados (desativar com isActive: false)
+router.delete('/coupons/:id', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), async (req, res) => {
+    try {
+        const deleted = await prisma.coupon.delete({ where: { id: parseInt(req.params.id) } });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.COUPON, entityId: deleted.id, before: deleted });
+
+        res.status(204).send();
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Cupão não encontrado.' });
+        }
+        if (error.code === 'P2003') {
+            return res.status(409).json({ error: 'Este cupão já foi utilizado em encomendas. Desative-o em vez de o eliminar.' });
+        }
+        console.error('Erro ao eliminar cupão:', error);
+        res.status(500).json({ error: 'Falha ao eliminar cupão.' });
+    }
+});
+
+// =================================================================
+// ROTA 27: LISTAR PROMOÇÕES (GET /api/admin/promotions) - PROTEGIDA
+// =================================================================
+// Ordenadas pela ordem de avaliação no carrinho (prioridade decrescente)
+router.get('/promotions', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), async (req, res) => {
+    try {
+        const { isActive, type } = req.query;
+
+        const where = {};
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+        if (type) where.type = type;
+
+        const promotions = await prisma.promotion.findMany({
+            where,
+            orderBy: [{ priority: 'desc' }, { id: 'asc' }],
+        });
+
+        res.status(200).json(promotions);
+
+    } catch (error) {
+        console.error('Erro ao listar promoções:', error);
+        res.status(500).json({ error: 'Falha ao listar promoções.' });
+    }
+});
+
+// =================================================================
+// ROTA 28: CRIAR PROMOÇÃO (POST /api/admin/promotions) - PROTEGIDA
+// =================================================================
+router.post('/promotions', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), validateRequest(promotionCreateSchema), async (req, res) => {
+    try {
+        const promotion = await prisma.promotion.create({ data: req.body });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.PROMOTION, entityId: promotion.id, after: promotion });
+
+        res.status(201).json(promotion);
+
+    } catch (error) {
+        console.error('Erro ao criar promoção:', error);
+        res.status(500).json({ error: 'Falha ao criar promoção.' });
+    }
+});
+
+// =================================================================
+// ROTA 29: ATUALIZAR PROMOÇÃO (PUT /api/admin/promotions/:id) - PROTEGIDA
+// =================================================================
+router.put('/promotions/:id', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), validateRequest(promotionUpdateSchema), async (req, res) => {
+    try {
+        const promotionId = parseInt(req.params.id);
+
+        const previous = await prisma.promotion.findUnique({ where: { id: promotionId } });
+        if (!previous) {
+            return res.status(404).json({ error: 'Promoção não encontrada.' });
+        }
+
+        // Mudar o tipo sem nova configuração deixaria config inválido para o novo tipo
+        if (req.body.type !== undefined && req.body.config === undefined && previous.type !== req.body.type) {
+            return res.status(400).json({ error: 'Indique a configuração (config) do novo tipo de promoção.' });
+        }
+
+        const promotion = await prisma.promotion.update({
+            where: { id: promotionId },
+            data: req.body,
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.PROMOTION, entityId: promotionId, before: previous, after: promotion });
+
+        res.status(200).json(promotion);
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Promoção não encontrada.' });
+        }
+        console.error('Erro ao atualizar promoção:', error);
+        res.status(500).json({ error: 'Falha ao atualizar promoção.' });
+    }
+});
+
+// =================================================================
+// ROTA 30: ELIMINAR PROMOÇÃO (DELETE /api/admin/promotions/:id) - PROTEGIDA
+// =================================================================
+// Encomendas já criadas guardam uma cópia das promoções aplicadas (Order.appliedPromotions)
+router.delete('/promotions/:id', authenticateToken, requirePermission(PERMISSIONS.MARKETING_MANAGE), async (req, res) => {
+    try {
+        const deleted = await prisma.promotion.delete({ where: { id: parseInt(req.params.id) } });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.PROMOTION, entityId: deleted.id, before: deleted });
+
+        res.status(204).send();
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Promoção não encontrada.' });
+        }
+        console.error('Erro ao eliminar promoção:', error);
+        res.status(500).json({ error: 'Falha ao eliminar promoção.' });
+    }
+});
+
+// =================================================================
+// ROTA 31: LISTAR TAXAS DE IVA (GET /api/admin/tax-rates) - PROTEGIDA
+// =================================================================
+router.get('/tax-rates', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const { country } = req.query;
+
+        const taxRates = await prisma.taxRate.findMany({
+            where: country ? { country: country.toUpperCase() } : {},
+            orderBy: [{ country: 'asc' }, { region: { sort: 'asc', nulls: 'first' } }, { taxClass: 'asc' }],
+        });
+
+        res.status(200).json(taxRates);
+
+    } catch (error) {
+        console.error('Erro ao listar taxas de IVA:', error);
+        res.status(500).json({ error: 'Falha ao listar taxas de IVA.' });
+    }
+});
+
+// =================================================================
+// ROTA 32: CRIAR TAXA DE IVA (POST /api/admin/tax-rates) - PROTEGIDA
+// =================================================================
+router.post('/tax-rates', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest(taxRateCreateSchema), async (req, res) => {
+    try {
+        const { region = null, ...data } = req.body;
+
+        // Duplicados (incluindo com região null, por índice parcial) são rejeitados pela BD com P2002
+        const taxRate = await prisma.taxRate.create({ data: { ...data, region } });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.TAX_RATE, entityId: taxRate.id, after: taxRate });
+
+        res.status(201).json(taxRate);
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Já existe uma taxa para este país, região e classe de imposto.' });
+        }
+        console.error('Erro ao criar taxa de IVA:', error);
+        res.status(500).json({ error: 'Falha ao criar taxa de IVA.' });
+    }
+});
+
+// =================================================================
+// ROTA 33: ATUALIZAR TAXA DE IVA (PUT /api/admin/tax-rates/:id) - PROTEGIDA
+// =================================================================
+// Encomendas existentes mantêm a taxa aplicada em cada linha (OrderLineItem.taxRate)
+router.put('/tax-rates/:id', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest(taxRateUpdateSchema), async (req, res) => {
+    try {
+        const taxRateId = parseInt(req.params.id);
+        const data = { ...req.body };
+
+        const previous = await prisma.taxRate.findUnique({ where: { id: taxRateId } });
+        if (!previous) {
+            return res.status(404).json({ error: 'Taxa de IVA não encontrada.' });
+        }
+
+        // Taxas Stripe são imutáveis: uma nova percentagem obriga a criar outra no próximo checkout
+        if (data.rate !== undefined) {
+            data.stripeTaxRateId = null;
+            data.stripeTaxRateInclusive = null;
+        }
+
+        const taxRate = await prisma.taxRate.update({
+            where: { id: taxRateId },
+            data,
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.TAX_RATE, entityId: taxRateId, before: previous, after: taxRate });
+
+        res.status(200).json(taxRate);
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Taxa de IVA não encontrada.' });
+        }
+        console.error('Erro ao atualizar taxa de IVA:', error);
+        res.status(500).json({ error: 'Falha ao atualizar taxa de IVA.' });
+    }
+});
+
+// =================================================================
+// ROTA 34: ELIMINAR TAXA DE IVA (DELETE /api/admin/tax-rates/:id) - PROTEGIDA
+// =================================================================
+router.delete('/tax-rates/:id', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const deleted = await prisma.taxRate.delete({ where: { id: parseInt(req.params.id) } });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.TAX_RATE, entityId: deleted.id, before: deleted });
+
+        res.status(204).send();
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Taxa de IVA não encontrada.' });
+        }
+        console.error('Erro ao eliminar taxa de IVA:', error);
+        res.status(500).json({ error: 'Falha ao eliminar taxa de IVA.' });
+    }
+});
+
+// =================================================================
+// ROTA 35: LISTAR ZONAS DE ENVIO (GET /api/admin/shipping-zones) - PROTEGIDA
+// =================================================================
+router.get('/shipping-zones', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const zones = await prisma.shippingZone.findMany({
+            include: { methods: { orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }] } },
+            orderBy: { id: 'asc' },
+        });
+
+        res.status(200).json(zones);
+
+    } catch (error) {
+        console.error('Erro ao listar zonas de envio:', error);
+        res.status(500).json({ error: 'Falha ao listar zonas de envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 36: CRIAR ZONA DE ENVIO (POST /api/admin/shipping-zones) - PROTEGIDA
+// =================================================================
+router.post('/shipping-zones', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest(shippingZoneCreateSchema), async (req, res) => {
+    try {
+        const zone = await prisma.shippingZone.create({
+            data: { ...req.body, postalCodeRanges: req.body.postalCodeRanges ?? undefined },
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.SHIPPING_ZONE, entityId: zone.id, after: zone });
+
+        res.status(201).json(zone);
+
+    } catch (error) {
+        console.error('Erro ao criar zona de envio:', error);
+        res.status(500).json({ error: 'Falha ao criar zona de envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 37: ATUALIZAR ZONA DE ENVIO (PUT /api/admin/shipping-zones/:id) - PROTEGIDA
+// =================================================================
+router.put('/shipping-zones/:id', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest(shippingZoneUpdateSchema), async (req, res) => {
+    try {
+        const zoneId = parseInt(req.params.id);
+        const data = { ...req.body };
+        if (data.postalCodeRanges === null) data.postalCodeRanges = Prisma.DbNull;
+
+        const previous = await prisma.shippingZone.findUnique({ where: { id: zoneId } });
+        if (!previous) {
+            return res.status(404).json({ error: 'Zona de envio não encontrada.' });
+        }
+
+        const zone = await prisma.shippingZone.update({
+            where: { id: zoneId },
+            data,
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.SHIPPING_ZONE, entityId: zoneId, before: previous, after: zone });
+
+        res.status(200).json(zone);
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Zona de envio não encontrada.' });
+        }
+        console.error('Erro ao atualizar zona de envio:', error);
+        res.status(500).json({ error: 'Falha ao atualizar zona de envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 38: ELIMINAR ZONA DE ENVIO (DELETE /api/admin/shipping-zones/:id) - PROTEGIDA
+// =================================================================
+// Os métodos da zona são eliminados em cascata; encomendas guardam uma cópia do método (Order.shippingMethod)
+router.delete('/shipping-zones/:id', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const deleted = await prisma.shippingZone.delete({
+            where: { id: parseInt(req.params.id) },
+            include: { methods: true },
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.SHIPPING_ZONE, entityId: deleted.id, before: deleted });
+
+        res.status(204).send();
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Zona de envio não encontrada.' });
+        }
+        console.error('Erro ao eliminar zona de envio:', error);
+        res.status(500).json({ error: 'Falha ao eliminar zona de envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 39: CRIAR MÉTODO DE ENVIO (POST /api/admin/shipping-zones/:id/methods) - PROTEGIDA
+// =================================================================
+router.post('/shipping-zones/:id/methods', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest(shippingMethodCreateSchema), async (req, res) => {
+    try {
+        const method = await prisma.shippingMethod.create({
+            data: {
+                ...req.body,
+                weightRates: req.body.weightRates ?? undefined,
+                zoneId: parseInt(req.params.id),
+            },
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.SHIPPING_METHOD, entityId: method.id, after: method });
+
+        res.status(201).json(method);
+
+    } catch (error) {
+        if (error.code === 'P2003') {
+            return res.status(404).json({ error: 'Zona de envio não encontrada.' });
+        }
+        console.error('Erro ao criar método de envio:', error);
+        res.status(500).json({ error: 'Falha ao criar método de envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 40: ATUALIZAR MÉTODO DE ENVIO (PUT /api/admin/shipping-methods/:id) - PROTEGIDA
+// =================================================================
+router.put('/shipping-methods/:id', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest(shippingMethodUpdateSchema), async (req, res) => {
+    try {
+        const methodId = parseInt(req.params.id);
+        const data = { ...req.body };
+        if (data.weightRates === null) data.weightRates = Prisma.DbNull;
+
+        const previous = await prisma.shippingMethod.findUnique({ where: { id: methodId } });
+        if (!previous) {
+            return res.status(404).json({ error: 'Método de envio não encontrado.' });
+        }
+
+        const method = await prisma.shippingMethod.update({
+            where: { id: methodId },
+            data,
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.SHIPPING_METHOD, entityId: methodId, before: previous, after: method });
+
+        res.status(200).json(method);
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Método de envio não encontrado.' });
+        }
+        console.error('Erro ao atualizar método de envio:', error);
+        res.status(500).json({ error: 'Falha ao atualizar método de envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 41: ELIMINAR MÉTODO DE ENVIO (DELETE /api/admin/shipping-methods/:id) - PROTEGIDA
+// =================================================================
+router.delete('/shipping-methods/:id', authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const deleted = await prisma.shippingMethod.delete({ where: { id: parseInt(req.params.id) } });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.SHIPPING_METHOD, entityId: deleted.id, before: deleted });
+
+        res.status(204).send();
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Método de envio não encontrado.' });
+        }
+        console.error('Erro ao eliminar método de envio:', error);
+        res.status(500).json({ error: 'Falha ao eliminar método de envio.' });
+    }
+});
+
+// =================================================================
+// ROTA 42: DESBLOQUEAR CONTA (POST /api/admin/users/:id/unlock) - PROTEGIDA
+// =================================================================
+// Limpa as tentativas falhadas e o bloqueio de login da conta (o bloqueio por IP expira sozinho)
+router.post('/users/:id/unlock', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: parseInt(req.params.id) },
+            select: { id: true, email: true },
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: 'Utilizador não encontrado.' });
+        }
+
+        const previous = await getAccountLockState(user.email);
+        await unlockAccount(user.email);
+
+        await recordSecurityEvent({
+            type: SECURITY_EVENTS.ACCOUNT_UNLOCKED,
+            userId: user.id,
+            email: user.email,
+            ipAddress: req.ip,
+            actorId: req.user.id,
+            details: { failures: previous.failures, lockedUntil: previous.lockedUntil },
+        });
+
+        await recordAudit(req, {
+            action: 'unlock',
+            entityType: AUDIT_ENTITIES.USER,
+            entityId: user.id,
+            details: { failures: previous.failures, lockedUntil: previous.lockedUntil },
+        });
+
+        res.status(200).json({ message: 'Conta desbloqueada.', previous });
+
+    } catch (error) {
+        console.error('Erro ao desbloquear conta:', error);
+        res.status(500).json({ error: 'Falha ao desbloquear conta.' });
+    }
+});
+
+// =================================================================
+// ROTA 43: REGISTO DE SEGURANÇA (GET /api/admin/security-events) - PROTEGIDA
+// =================================================================
+router.get('/security-events', authenticateToken, requirePermission(PERMISSIONS.SECURITY_VIEW), async (req, res) => {
+    try {
+        const { type, userId, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+
+        const where = {};
+        if (type) where.type = type;
+        if (userId) where.userId = parseInt(userId);
+
+        const [events, totalCount] = await prisma.$transaction([
+            prisma.securityEvent.findMany({
+                where,
+                include: {
+                    actor: { select: { id: true, email: true, firstName: true, lastName: true } },
+                },
+                orderBy: { createdAt: 'desc' },
+                take,
+                skip,
+            }),
+            prisma.securityEvent.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: events,
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar eventos de segurança:', error);
+        res.status(500).json({ error: 'Falha ao listar eventos de segurança.' });
+    }
+});
+
+// =================================================================
+// ROTA 44: CONVIDAR ADMINISTRADOR (POST /api/admin/invites) - PROTEGIDA
+// =================================================================
+// Envia por email um link para criar uma conta com um papel de administração (único meio de criar contas da equipa)
+// Só convida para papéis cujas permissões o utilizador já tem (OWNER apenas por um OWNER)
+// emailSent false: o convite foi criado mas o email falhou (convidar de novo reenvia um link novo)
+router.post('/invites', authenticateToken, requirePermission(PERMISSIONS.USERS_INVITE), validateRequest(userInviteCreateSchema), async (req, res) => {
+    try {
+        const { email, role } = req.body;
+
+        const invite = await createInvite({ email, roleKey: role, invitedBy: req.user }, { requestedIp: req.ip });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.CREATE,
+            entityType: AUDIT_ENTITIES.USER_INVITE,
+            entityId: invite.id,
+            after: { email: invite.email, role: invite.role.key, expiresAt: invite.expiresAt },
+        });
+
+        res.status(201).json({
+            id: invite.id,
+            email: invite.email,
+            role: { key: invite.role.key, name: invite.role.name },
+            expiresAt: invite.expiresAt,
+            status: getInviteStatus(invite),
+            emailSent: invite.emailSent,
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao criar convite:', error);
+        res.status(500).json({ error: 'Falha ao criar convite.' });
+    }
+});
+
+// =================================================================
+// ROTA 45: LISTAR CONVITES (GET /api/admin/invites) - PROTEGIDA
+// =================================================================
+router.get('/invites', authenticateToken, requirePermission(PERMISSIONS.USERS_INVITE), async (req, res) => {
+    try {
+        const { status, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+        const now = new Date();
+
+        const where = {};
+        if (status === 'pending') Object.assign(where, { acceptedAt: null, revokedAt: null, expiresAt: { gt: now } });
+        if (status === 'accepted') where.acceptedAt = { not: null };
+        if (status === 'revoked') where.revokedAt = { not: null };
+        if (status === 'expired') Object.assign(where, { acceptedAt: null, revokedAt: null, expiresAt: { lte: now } });
+
+        const [invites, totalCount] = await prisma.$transaction([
+            prisma.userInvite.findMany({
+                where,
+                select: {
+                    id: true,
+                    email: true,
+                    role: { select: { key: true, name: true } },
+                    expiresAt: true,
+                    acceptedAt: true,
+                    revokedAt: true,
+                    createdAt: true,
+                    invitedBy: { select: { id: true, email: true, firstName: true, lastName: true } },
+                    acceptedUser: { select: { id: true, email: true } },
+                },
+                orderBy: { createdAt: 'desc' },
+                take,
+                skip,
+            }),
+            prisma.userInvite.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: invites.map(invite => ({ ...invite, status: getInviteStatus(invite, now) })),
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar convites:', error);
+        res.status(500).json({ error: 'Falha ao listar convites.' });
+    }
+});
+
+// =================================================================
+// ROTA 46: REVOGAR CONVITE (DELETE /api/admin/invites/:id) - PROTEGIDA
+// =================================================================
+router.delete('/invites/:id', authenticateToken, requirePermission(PERMISSIONS.USERS_INVITE), async (req, res) => {
+    try {
+        const inviteId = parseInt(req.params.id);
+
+        await revokeInvite(inviteId, { actorId: req.user.id, requestedIp: req.ip });
+
+        await recordAudit(req, { action: 'revoke', entityType: AUDIT_ENTITIES.USER_INVITE, entityId: inviteId });
+
+        res.status(200).json({ message: 'Convite revogado.' });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao revogar convite:', error);
+        res.status(500).json({ error: 'Falha ao revogar convite.' });
+    }
+});
+
+// =================================================================
+// ROTA 47: CATÁLOGO DE PERMISSÕES (GET /api/admin/permissions) - PROTEGIDA
+// =================================================================
+router.get('/permissions', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), (req, res) => {
+    res.status(200).json(ALL_PERMISSIONS.map(key => ({ key, description: PERMISSION_DESCRIPTIONS[key] })));
+});
+
+// =================================================================
+// ROTA 48: LISTAR PAPÉIS (GET /api/admin/roles) - PROTEGIDA
+// =================================================================
+// Inclui as permissões efetivas (o OWNER tem sempre todas) e o número de utilizadores de cada papel
+router.get('/roles', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+    try {
+        const roles = await prisma.role.findMany({
+            include: { _count: { select: { users: true } } },
+            orderBy: [{ isSystem: 'desc' }, { name: 'asc' }],
+        });
+
+        res.status(200).json(roles.map(({ _count, ...role }) => ({
+            ...role,
+            permissions: resolvePermissions(role),
+            userCount: _count.users,
+        })));
+
+    } catch (error) {
+        console.error('Erro ao listar papéis:', error);
+        res.status(500).json({ error: 'Falha ao listar papéis.' });
+    }
+});
+
+// =================================================================
+// ROTA 49: CRIAR PAPEL (POST /api/admin/roles) - PROTEGIDA
+// =================================================================
+// Só com permissões que o próprio utilizador tem (sem escalada de privilégios)
+router.post('/roles', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), validateRequest(roleCreateSchema), async (req, res) => {
+    try {
+        const { key, name, description, permissions } = req.body;
+
+        if (!canGrantRole(req.user, { key, permissions })) {
+            return res.status(403).json({ error: 'Não pode criar um papel com permissões que não tem.' });
+        }
+
+        const role = await prisma.role.create({
+            data: { key, name, description, permissions },
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.ROLE, entityId: role.id, after: role });
+
+        res.status(201).json(role);
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Já existe um papel com esta chave.' });
+        }
+        console.error('Erro ao criar papel:', error);
+        res.status(500).json({ error: 'Falha ao criar papel.' });
+    }
+});
+
+// =================================================================
+// ROTA 50: ATUALIZAR PAPEL (PUT /api/admin/roles/:id) - PROTEGIDA
+// =================================================================
+// As permissões de USER e OWNER são fixas (clientes sem acesso; proprietário com todas); a chave não muda
+router.put('/roles/:id', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), validateRequest(roleUpdateSchema), async (req, res) => {
+    try {
+        const roleId = parseInt(req.params.id);
+        const { permissions } = req.body;
+
+        const role = await prisma.role.findUnique({ where: { id: roleId } });
+        if (!role) {
+            return res.status(404).json({ error: 'Papel não encontrado.' });
+        }
+
+        if (permissions !== undefined) {
+            if (role.key === SYSTEM_ROLES.USER || role.key === SYSTEM_ROLES.OWNER) {
+                return res.status(400).json({ error: `As permissões do papel ${role.key} não podem ser alteradas.` });
+            }
+
+            // Alterar um papel afeta os seus utilizadores: exige ter as permissões atuais e as novas
+            if (!canGrantRole(req.user, role) || !canGrantRole(req.user, { key: role.key, permissions })) {
+                return res.status(403).json({ error: 'Não pode alterar um papel com permissões que não tem.' });
+            }
+        }
+
+        // Efeito imediato: authenticateToken lê as permissões da BD em cada pedido
+        const updatedRole = await prisma.role.update({
+            where: { id: roleId },
+            data: req.body,
+        });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.ROLE, entityId: roleId, before: role, after: updatedRole });
+
+        res.status(200).json(updatedRole);
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Papel não encontrado.' });
+        }
+        console.error('Erro ao atualizar papel:', error);
+        res.status(500).json({ error: 'Falha ao atualizar papel.' });
+    }
+});
+
+// =================================================================
+// ROTA 51: ELIMINAR PAPEL (DELETE /api/admin/roles/:id) - PROTEGIDA
+// =================================================================
+// Papéis de sistema e papéis atribuídos a utilizadores ou convites não podem ser eliminados
+router.delete('/roles/:id', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+    try {
+        const roleId = parseInt(req.params.id);
+
+        const role = await prisma.role.findUnique({ where: { id: roleId } });
+        if (!role) {
+            return res.status(404).json({ error: 'Papel não encontrado.' });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({ error: 'Os papéis de sistema não podem ser eliminados.' });
+        }
+
+        if (!canGrantRole(req.user, role)) {
+            return res.status(403).json({ error: 'Não pode eliminar um papel com permissões que não tem.' });
+        }
+
+        await prisma.role.delete({ where: { id: roleId } });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.ROLE, entityId: roleId, before: role });
+
+        res.status(200).json({ message: 'Papel eliminado com sucesso.' });
+
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Papel não encontrado.' });
+        }
+        if (error.code === 'P2003') {
+            return res.status(409).json({ error: 'O papel está atribuído a utilizadores ou convites. Altere-os primeiro.' });
+        }
+        console.error('Erro ao eliminar papel:', error);
+        res.status(500).json({ error: 'Falha ao eliminar papel.' });
+    }
+});
+
+// =================================================================
+// ROTA 52: REGISTO DE AUDITORIA (GET /api/admin/audit-log) - PROTEGIDA
+// =================================================================
+// Filtros: actorId, action, entityType, entityId, requestId, from/to (datas ISO) e paginação
+router.get('/audit-log', authenticateToken, requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+    try {
+        const { actorId, action, entityType, entityId, requestId, from, to, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+
+        const where = {};
+        if (actorId) where.actorId = parseInt(actorId);
+        if (action) where.action = action;
+        if (entityType) where.entityType = entityType;
+        if (entityId) where.entityId = String(entityId);
+        if (requestId) where.requestId = requestId;
+
+        if (from || to) {
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+                return res.status(400).json({ error: 'Datas inválidas: use o formato ISO (ex: 2025-01-31).' });
+            }
+
+            where.createdAt = {};
+            if (fromDate) where.createdAt.gte = fromDate;
+            if (toDate) where.createdAt.lte = toDate;
+        }
+
+        const [entries, totalCount] = await prisma.$transaction([
+            prisma.auditLog.findMany({
+                where,
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                take,
+                skip,
+            }),
+            prisma.auditLog.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: entries,
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar registo de auditoria:', error);
+        res.status(500).json({ error: 'Falha ao listar registo de auditoria.' });
+    }
+});
+
+// =================================================================
+// ROTA 53: ALTERAR ESTADO DA CONTA (PUT /api/admin/users/:id/status) - PROTEGIDA
+// =================================================================
+// Suspender (com ou sem data de fim), banir ou reativar; bloquear termina de imediato as sessões da conta
+// Contas da equipa só por quem lhes podia atribuir o papel (o OWNER apenas por outro OWNER)
+router.put('/users/:id/status', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE), validateRequest(accountStatusUpdateSchema), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { status, reason, suspendedUntil } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, status: true, statusReason: true, suspendedUntil: true, anonymisedAt: true, role: ROLE_SELECT },
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: 'Utilizador não encontrado.' });
+        }
+        if (!canManageUser(req.user, user)) {
+            return res.status(403).json({ error: 'Não pode alterar o estado desta conta.' });
+        }
+        if (user.anonymisedAt) {
+            return res.status(409).json({ error: 'A conta foi anonimizada.' });
+        }
+
+        const updatedUser = await setAccountStatus(userId, { status, reason, suspendedUntil }, { actorId: req.user.id, requestedIp: req.ip });
+
+        await recordAudit(req, {
+            action: 'status_change',
+            entityType: AUDIT_ENTITIES.USER,
+            entityId: userId,
+            before: { status: user.status, statusReason: user.statusReason, suspendedUntil: user.suspendedUntil },
+            after: { status: updatedUser.status, statusReason: updatedUser.statusReason, suspendedUntil: updatedUser.suspendedUntil },
+        });
+
+        res.status(200).json(updatedUser);
+
+    } catch (error) {
+        console.error('Erro ao alterar estado da conta:', error);
+        res.status(500).json({ error: 'Falha ao alterar estado da conta.' });
+    }
+});
+
+// =================================================================
+// ROTA 54: EDITAR PERFIL DO UTILIZADOR (PUT /api/admin/users/:id) - PROTEGIDA
+// =================================================================
+// Um email novo fica por confirmar e recebe o link de confirmação
+router.put('/users/:id', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE), validateRequest(adminUserUpdateSchema), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { firstName, lastName, email, phone, dateOfBirth } = req.body;
+
+        const profileSelect = { id: true, email: true, firstName: true, lastName: true, phone: true, dateOfBirth: true, emailVerifiedAt: true };
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { ...profileSelect, anonymisedAt: true, role: ROLE_SELECT },
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: 'Utilizador não encontrado.' });
+        }
+        if (!canManageUser(req.user, user)) {
+            return res.status(403).json({ error: 'Não pode editar esta conta.' });
+        }
+        if (user.anonymisedAt) {
+            return res.status(409).json({ error: 'A conta foi anonimizada.' });
+        }
+
+        const emailChanged = email !== undefined && email !== user.email;
+
+        const updatedUser = await prisma.user.update({
+            where: { id: userId },
+            data: {
+                ...(firstName !== undefined && { firstName }),
+                ...(lastName !== undefined && { lastName }),
+                ...(emailChanged && { email, emailVerifiedAt: null }),
+                ...(phone !== undefined && { phone }),
+                ...(dateOfBirth !== undefined && { dateOfBirth: dateOfBirth && new Date(dateOfBirth) }),
+            },
+            select: profileSelect,
+        });
+
+        const { role, anonymisedAt, ...before } = user;
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.UPDATE,
+            entityType: AUDIT_ENTITIES.USER,
+            entityId: userId,
+            before,
+            after: updatedUser,
+        });
+
+        if (emailChanged) {
+            sendVerificationEmail(updatedUser, { requestedIp: req.ip })
+                .catch(error => console.error('Erro ao enviar email de verificação:', error));
+        }
+
+        // Dados pessoais apenas com users:read_pii
+        const { phone: updatedPhone, dateOfBirth: updatedDateOfBirth, ...profile } = updatedUser;
+        res.status(200).json(hasPermission(req.user, PERMISSIONS.USERS_READ_PII) ? updatedUser : profile);
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'O email já está registado.' });
+        }
+        console.error('Erro ao editar utilizador:', error);
+        res.status(500).json({ error: 'Falha ao editar utilizador.' });
+    }
+});
+
+// =================================================================
+// ROTA 55: PEDIR PERSONIFICAÇÃO (POST /api/admin/users/:id/impersonation-requests) - PROTEGIDA
+// =================================================================
+// Ver a loja como o cliente (apoio); fica pendente até um OWNER aprovar (ROTA 57), exceto se pedido por um OWNER
+router.post('/users/:id/impersonation-requests', authenticateToken, requirePermission(PERMISSIONS.USERS_IMPERSONATE), validateRequest(impersonationRequestSchema), async (req, res) => {
+    try {
+        const request = await requestImpersonation({
+            targetUserId: parseInt(req.params.id),
+            requestedBy: req.user,
+            reason: req.body.reason,
+        }, { requestedIp: req.ip });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.CREATE,
+            entityType: AUDIT_ENTITIES.IMPERSONATION_REQUEST,
+            entityId: request.id,
+            after: request,
+        });
+
+        res.status(201).json({ ...request, status: getImpersonationStatus(request) });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao pedir personificação:', error);
+        res.status(500).json({ error: 'Falha ao pedir personificação.' });
+    }
+});
+
+// =================================================================
+// ROTA 56: LISTAR PEDIDOS DE PERSONIFICAÇÃO (GET /api/admin/impersonation-requests) - PROTEGIDA
+// =================================================================
+// O OWNER vê todos os pedidos (para aprovar); os restantes admins apenas os seus
+router.get('/impersonation-requests', authenticateToken, requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const { status, limit = 50, page = 1 } = req.query;
+        const take = parseInt(limit);
+        const skip = (parseInt(page) - 1) * take;
+        const now = new Date();
+
+        const where = {};
+        if (req.user.role !== SYSTEM_ROLES.OWNER) where.requestedById = req.user.id;
+        if (status === 'pending') Object.assign(where, { approvedAt: null, rejectedAt: null, usedAt: null, expiresAt: { gt: now } });
+        if (status === 'approved') Object.assign(where, { approvedAt: { not: null }, rejectedAt: null, usedAt: null, expiresAt: { gt: now } });
+        if (status === 'used') where.usedAt = { not: null };
+        if (status === 'rejected') where.rejectedAt = { not: null };
+        if (status === 'expired') Object.assign(where, { rejectedAt: null, usedAt: null, expiresAt: { lte: now } });
+
+        const userSummary = { select: { id: true, email: true, firstName: true, lastName: true } };
+
+        const [requests, totalCount] = await prisma.$transaction([
+            prisma.impersonationRequest.findMany({
+                where,
+                include: { targetUser: userSummary, requestedBy: userSummary, approvedBy: userSummary },
+                orderBy: { createdAt: 'desc' },
+                take,
+                skip,
+            }),
+            prisma.impersonationRequest.count({ where }),
+        ]);
+
+        res.status(200).json({
+            data: requests.map(request => ({ ...request, status: getImpersonationStatus(request, now) })),
+            total: totalCount,
+            page: parseInt(page),
+            limit: take,
+            totalPages: Math.ceil(totalCount / take),
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar pedidos de personificação:', error);
+        res.status(500).json({ error: 'Falha ao listar pedidos de personificação.' });
+    }
+});
+
+// =================================================================
+// ROTA 57: APROVAR PERSONIFICAÇÃO (POST /api/admin/impersonation-requests/:id/approve) - PROTEGIDA
+// =================================================================
+// Apenas um OWNER; o pedido aprovado tem de ser usado dentro do prazo (IMPERSONATION_APPROVAL_TTL_MINUTES)
+router.post('/impersonation-requests/:id/approve', authenticateToken, requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const request = await decideImpersonation(parseInt(req.params.id), { approve: true, owner: req.user }, { requestedIp: req.ip });
+
+        await recordAudit(req, { action: 'approve', entityType: AUDIT_ENTITIES.IMPERSONATION_REQUEST, entityId: request.id });
+
+        res.status(200).json({ ...request, status: getImpersonationStatus(request) });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao aprovar personificação:', error);
+        res.status(500).json({ error: 'Falha ao aprovar personificação.' });
+    }
+});
+
+// =================================================================
+// ROTA 58: REJEITAR PERSONIFICAÇÃO (POST /api/admin/impersonation-requests/:id/reject) - PROTEGIDA
+// =================================================================
+router.post('/impersonation-requests/:id/reject', authenticateToken, requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const request = await decideImpersonation(parseInt(req.params.id), { approve: false, owner: req.user }, { requestedIp: req.ip });
+
+        await recordAudit(req, { action: 'reject', entityType: AUDIT_ENTITIES.IMPERSONATION_REQUEST, entityId: request.id });
+
+        res.status(200).json({ ...request, status: getImpersonationStatus(request) });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao rejeitar personificação:', error);
+        res.status(500).json({ error: 'Falha ao rejeitar personificação.' });
+    }
+});
+
+// =================================================================
+// ROTA 59: INICIAR PERSONIFICAÇÃO (POST /api/admin/impersonation-requests/:id/token) - PROTEGIDA
+// =================================================================
+// Devolve um access token do cliente (uso único, só de leitura, marcado com imp) a quem fez o pedido aprovado
+// Não há refresh token: ao fim de IMPERSONATION_TTL_MINUTES é preciso um novo pedido
+router.post('/impersonation-requests/:id/token', authenticateToken, requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const requestId = parseInt(req.params.id);
+
+        const { accessToken, session, targetUser } = await startImpersonation(requestId, { impersonator: req.user, req });
+
+        await recordAudit(req, {
+            action: 'impersonate',
+            entityType: AUDIT_ENTITIES.USER,
+            entityId: targetUser.id,
+            details: { impersonationRequestId: requestId, sessionId: session.id, expiresAt: session.expiresAt },
+        });
+
+        res.status(201).json({
+            token: accessToken,
+            expiresIn: `${IMPERSONATION_TTL_MINUTES}m`,
+            expiresAt: session.expiresAt,
+            user: { id: targetUser.id, email: targetUser.email, firstName: targetUser.firstName },
+            readOnly: true,
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao iniciar personificação:', error);
+        res.status(500).json({ error: 'Falha ao iniciar personificação.' });
+    }
+});
+
+// =================================================================
+// ROTA 60: VISTA 360 DO CLIENTE (GET /api/admin/users/:id) - PROTEGIDA
+// =================================================================
+// Perfil, estado da conta, métricas (gasto, encomendas, valor médio, reembolsos), encomendas recentes,
+// moradas, lista de desejos e carrinho atual; dados pessoais (telefone, data de nascimento, moradas) só com users:read_pii
+router.get('/users/:id', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const canReadPii = hasPermission(req.user, PERMISSIONS.USERS_READ_PII);
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true,
+                phone: canReadPii,
+                dateOfBirth: canReadPii,
+                role: { select: { key: true, name: true } },
+                status: true,
+                statusReason: true,
+                suspendedUntil: true,
+                emailVerifiedAt: true,
+                twoFactorEnabledAt: true,
+                deletionScheduledFor: true,
+                anonymisedAt: true,
+                createdAt: true,
+                addresses: canReadPii ? { orderBy: { id: 'asc' } } : false,
+                orders: {
+                    select: {
+                        id: true,
+                        orderNumber: true,
+                        status: true,
+                        financialStatus: true,
+                        fulfillmentStatus: true,
+                        totalAmount: true,
+                        currency: true,
+                        createdAt: true,
+                        _count: { select: { lineItems: true, returns: true } },
+                    },
+                    orderBy: { createdAt: 'desc' },
+                    take: 20,
+                },
+                shoppingCart: {
+                    select: {
+                        id: true,
+                        totalPrice: true,
+                        updatedAt: true,
+                        coupon: { select: { code: true } },
+                        items: {
+                            select: {
+                                quantity: true,
+                                itemPrice: true,
+                                product: { select: { id: true, name: true } },
+                                variant: { select: { id: true, sku: true, size: true, stock: true } },
+                            },
+                        },
+                    },
+                },
+                _count: { select: { orders: true, addresses: true, wishlistItems: true, returnRequests: true } },
+            },
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: 'Utilizador não encontrado.' });
+        }
+
+        const metrics = await getCustomerMetrics(userId);
+        const { _count, orders, shoppingCart, ...profile } = user;
+
+        res.status(200).json({
+            ...profile,
+            metrics: { ...metrics, totalOrders: _count.orders, returnRequests: _count.returnRequests },
+            recentOrders: orders,
+            addressCount: _count.addresses,
+            wishlistCount: _count.wishlistItems,
+            cart: shoppingCart && {
+                ...shoppingCart,
+                itemCount: shoppingCart.items.reduce((sum, item) => sum + item.quantity, 0),
+            },
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter cliente:', error);
+        res.status(500).json({ error: 'Falha ao obter cliente.' });
+    }
+});
+
 export default router;
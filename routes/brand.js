@@ -3,13 +3,15 @@
 
 import { Router } from 'express';
 import prisma from '../db.js';
-import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import { authenticateToken, requirePermission } from '../utils/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 import { validateRequest } from '../utils/validateRequest.js';
 import { brandCreateSchema, brandUpdateSchema } from '../utils/schemas.js';
+import { recordAudit, AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
 const router = Router();
 
 // Criar nova marca com logo
-router.post('/', authenticateToken, requireAdmin, validateRequest(brandCreateSchema), async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(brandCreateSchema), async (req, res) => {
     try {
         const { name, description, logoUrl } = req.body;
 
@@ -38,6 +40,8 @@ router.post('/', authenticateToken, requireAdmin, validateRequest(brandCreateSch
             },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.BRAND, entityId: newBrand.id, after: newBrand });
+
         res.status(201).json(newBrand);
     } catch (error) {
         console.error('Erro ao criar marca:', error);
@@ -91,7 +95,7 @@ router.get('/:id', async (req, res) => {
 // ROTA 4: ATUALIZAR MARCA (PUT /api/brands/:id) - PROTEGIDA
 // =================================================================
 // Atualizar informações de uma marca (nome, descrição, logo)
-router.put('/:id', authenticateToken, requireAdmin, validateRequest(brandUpdateSchema), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(brandUpdateSchema), async (req, res) => {
     try {
         const brandId = parseInt(req.params.id);
         const { name, description, logoUrl } = req.body; 
@@ -123,12 +127,20 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(brandUpdateS
             }
         }
 
+        // Estado anterior para o registo de auditoria
+        const brand = await prisma.brand.findUnique({ where: { id: brandId } });
+        if (!brand) {
+            return res.status(404).json({ error: 'Marca não encontrada.' });
+        }
+
         // Atualizar marca com campos fornecidos
         const updatedBrand = await prisma.brand.update({
             where: { id: brandId },
             data: dataToUpdate,
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.BRAND, entityId: brandId, before: brand, after: updatedBrand });
+
         res.status(200).json(updatedBrand);
 
     } catch (error) {
@@ -145,15 +157,17 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(brandUpdateS
 // ROTA 5: ELIMINAR MARCA (DELETE /api/brands/:id) - PROTEGIDA
 // =================================================================
 // Eliminar uma marca (bloqueia se tem produtos associados)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), async (req, res) => {
     try {
         const brandId = parseInt(req.params.id);
 
-        // Eliminar marca do BD
-        await prisma.brand.delete({
+        // Eliminar marca do BD (o registo devolvido é o estado anterior, para auditoria)
+        const deletedBrand = await prisma.brand.delete({
             where: { id: brandId },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.BRAND, entityId: brandId, before: deletedBrand });
+
         res.status(204).send(); 
     } catch (error) {
         // Erro P2025: Marca não encontrada
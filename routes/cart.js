@@ -1,104 +1,106 @@
 // routes/cart.js
-// Gerencia carrinho de compras do utilizador (adicionar, atualizar, remover itens)
+// Gerencia carrinho de compras do utilizador ou visitante (adicionar, atualizar, remover itens)
 
 import { Router } from 'express';
 import prisma from '../db.js';
-import { authenticateToken } from '../utils/auth.js';
-import { calculateTotalPrice } from '../utils/cartUtils.js';
+import { optionalAuthenticateToken } from '../utils/auth.js';
+import { findActiveCart, findOrCreateActiveCart, isCartOwner, priceCart, refreshCartTotal, PRICING_ITEM_INCLUDE } from '../utils/cartUtils.js';
 import { validateRequest } from '../utils/validateRequest.js';
-import { cartItemAddSchema, cartItemUpdateSchema } from '../utils/schemas.js';
+import { cartItemAddSchema, cartItemUpdateSchema, cartCouponApplySchema } from '../utils/schemas.js';
+import { evaluateCoupon, findCouponByCode } from '../utils/coupons.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { findDefaultShippingAddress } from '../utils/addresses.js';
+import { getShippingOptions } from '../utils/shipping.js';
 const router = Router();
 
 // =================================================================
-// ROTA 1: OBTER/CRIAR CARRINHO (GET /api/cart) - PROTEGIDA
+// ROTA 1: OBTER CARRINHO (GET /api/cart) - UTILIZADOR OU VISITANTE
 // =================================================================
-// Recuperar carrinho ativo ou criar novo, com atualização automática de totais
-router.get('/', authenticateToken, async (req, res) => {
+// Recuperar carrinho ativo com atualização automática de totais
+// Sem carrinho devolve um carrinho vazio (id null) sem o criar: o carrinho só é criado ao adicionar o primeiro item (ROTA 2)
+// Visitantes recebem o token do carrinho no header X-Cart-Token e devem reenviá-lo nos pedidos seguintes
+// IVA estimado para a morada de envio predefinida do utilizador (ou Portugal continental); final no checkout
+router.get('/', optionalAuthenticateToken, async (req, res) => {
     try {
-        const userId = req.user.id;
+        const cartInclude = {
+            items: {
+                include: {
+                    product: {
+                        select: { ...PRICING_ITEM_INCLUDE.product.select, slug: true }
+                    },
+                    variant: true,
+                },
+                orderBy: { createdAt: 'asc' }
+            },
+        };
 
-        // Procurar carrinho ativo existente do utilizador
-        const where = { 
-            userId: userId,
+        // Procurar carrinho ativo existente (por utilizador ou token de visitante)
+        let cart = await findActiveCart(req, res, cartInclude) ?? {
+            id: null,
+            userId: req.user?.id ?? null,
             cartStatus: 'ACTIVE',
+            totalPrice: 0,
+            couponId: null,
+            items: [],
         };
 
-        let cart = await prisma.shoppingCart.findFirst({
-            where,
-            include: {
-                items: {
-                    include: {
-                        product: {
-                            select: { id: true, name: true, slug: true }
-                        },
-                        variant: true,
-                    },
-                    orderBy: { createdAt: 'asc' }
-                },
-            },
-        });
+        const shippingAddress = req.user ? await findDefaultShippingAddress(req.user.id) : null;
 
-        // Se não existe, criar novo carrinho ativo
-        if (!cart) {
-            cart = await prisma.shoppingCart.create({
-                data: {
-                    userId: userId,
-                    cartStatus: 'ACTIVE',
-                    totalPrice: 0.00,
-                },
-                include: { items: true },
-            });
-            return res.status(201).json(cart);
-        }
+        // Recalcular preços baseado em items atuais (preços, promoções e validade do cupão podem ter mudado)
+        const pricing = await priceCart(cart.items, {
+            couponId: cart.couponId,
+            userId: req.user?.id,
+            ignoreInvalidCoupon: true,
+            shippingAddress,
+        });
 
-        // Recalcular total baseado em items atuais (preços podem ter mudado)
-        const totalPrice = calculateTotalPrice(cart.items);
+        // Total guardado no carrinho inclui as promoções automáticas (o cupão é aplicado no checkout)
+        const totalPrice = pricing.subtotal - pricing.promotionSavings;
         
         // Atualizar total se diferente do valor armazenado
-        if (cart.totalPrice !== totalPrice) {
+        if (cart.id && cart.totalPrice !== totalPrice) {
             cart = await prisma.shoppingCart.update({
                 where: { id: cart.id },
                 data: { totalPrice: totalPrice },
-                include: {
-                    items: {
-                        include: {
-                            product: { select: { id: true, name: true, slug: true } },
-                            variant: true,
-                        },
-                        orderBy: { createdAt: 'asc' }
-                    }
-                }
+                include: cartInclude,
             });
         }
         
-        res.status(200).json(cart);
+        res.status(200).json({
+            ...cart,
+            // IVA de cada linha (após a parte proporcional dos descontos)
+            items: cart.items.map((item, index) => ({
+                ...item,
+                taxRate: pricing.taxLines[index].taxRate,
+                taxAmount: pricing.taxLines[index].taxAmount,
+            })),
+            subtotal: pricing.subtotal,
+            appliedPromotions: pricing.promotions,
+            promotionSavings: pricing.promotionSavings,
+            appliedCoupon: pricing.coupon,
+            discountAmount: pricing.discountAmount,
+            taxAmount: pricing.taxAmount,
+            pricesIncludeTax: pricing.pricesIncludeTax,
+            totalAfterDiscount: pricing.total,
+        });
 
     } catch (error) {
-        console.error('Erro ao obter/criar carrinho:', error);
+        console.error('Erro ao obter carrinho:', error);
         res.status(500).json({ error: 'Falha interna do servidor ao processar o carrinho.' });
     }
 });
 
 // =================================================================
-// ROTA 2: ADICIONAR ITEM AO CARRINHO (POST /api/cart/items) - PROTEGIDA
+// ROTA 2: ADICIONAR ITEM AO CARRINHO (POST /api/cart/items) - UTILIZADOR OU VISITANTE
 // =================================================================
 // Adicionar item ao carrinho (ou incrementar quantidade se já existe)
-router.post('/items', authenticateToken, validateRequest(cartItemAddSchema), async (req, res) => {
+router.post('/items', optionalAuthenticateToken, validateRequest(cartItemAddSchema), async (req, res) => {
     const { productId, variantId, quantity } = req.body;
-    const userId = req.user.id;
     const qty = parseInt(quantity);
 
     try {
-        // Procurar ou criar carrinho ativo do utilizador
-        let cart = await prisma.shoppingCart.findFirst({
-            where: { userId, cartStatus: 'ACTIVE' },
-        });
-
-        if (!cart) {
-            cart = await prisma.shoppingCart.create({
-                data: { userId, cartStatus: 'ACTIVE', totalPrice: 0.00 },
-            });
-        }
+        // Procurar ou criar carrinho ativo (utilizador ou visitante)
+        const { cart } = await findOrCreateActiveCart(req, res);
         
         const cartId = cart.id;
 
@@ -152,14 +154,8 @@ router.post('/items', authenticateToken, validateRequest(cartItemAddSchema), asy
             responseStatus = 201;
         }
 
-        // Recalcula total do carrinho
-        const allItems = await prisma.cartItem.findMany({ where: { cartId } });
-        const newTotalPrice = calculateTotalPrice(allItems);
-        
-        await prisma.shoppingCart.update({
-            where: { id: cartId },
-            data: { totalPrice: newTotalPrice }
-        });
+        // Recalcula total do carrinho (com promoções automáticas)
+        await refreshCartTotal(cartId);
 
         res.status(responseStatus).json(updatedCartItem);
 
@@ -174,12 +170,11 @@ router.post('/items', authenticateToken, validateRequest(cartItemAddSchema), asy
 });
 
 // =================================================================
-// ROTA 3: ATUALIZAR QUANTIDADE (PUT /api/cart/items/:itemId) - PROTEGIDA
+// ROTA 3: ATUALIZAR QUANTIDADE (PUT /api/cart/items/:itemId) - UTILIZADOR OU VISITANTE
 // =================================================================
 // Atualizar quantidade de um item no carrinho (com recálculo de total)
-router.put('/items/:itemId', authenticateToken, validateRequest(cartItemUpdateSchema), async (req, res) => {
+router.put('/items/:itemId', optionalAuthenticateToken, validateRequest(cartItemUpdateSchema), async (req, res) => {
     const itemId = parseInt(req.params.itemId);
-    const userId = req.user.id;
     const { quantity } = req.body;
     const newQty = parseInt(quantity);
 
@@ -194,8 +189,8 @@ router.put('/items/:itemId', authenticateToken, validateRequest(cartItemUpdateSc
             return res.status(404).json({ error: 'Item do carrinho não encontrado.' });
         }
         
-        // Validar que o item pertence ao carrinho ativo do utilizador autenticado
-        if (cartItem.cart.userId !== userId || cartItem.cart.cartStatus !== 'ACTIVE') {
+        // Validar que o item pertence ao carrinho ativo do utilizador autenticado ou do visitante
+        if (!isCartOwner(cartItem.cart, req) || cartItem.cart.cartStatus !== 'ACTIVE') {
              return res.status(403).json({ error: 'Acesso negado: Este item não pertence ao seu carrinho ativo.' });
         }
 
@@ -206,14 +201,8 @@ router.put('/items/:itemId', authenticateToken, validateRequest(cartItemUpdateSc
             include: { product: true, variant: true }
         });
 
-        // Recalcula total do carrinho
-        const allItems = await prisma.cartItem.findMany({ where: { cartId: cartItem.cartId } });
-        const newTotalPrice = calculateTotalPrice(allItems);
-        
-        await prisma.shoppingCart.update({
-            where: { id: cartItem.cartId },
-            data: { totalPrice: newTotalPrice }
-        });
+        // Recalcula total do carrinho (com promoções automáticas)
+        await refreshCartTotal(cartItem.cartId);
         
         res.status(200).json(updatedCartItem);
 
@@ -228,12 +217,11 @@ router.put('/items/:itemId', authenticateToken, validateRequest(cartItemUpdateSc
 });
 
 // =================================================================
-// ROTA 4: REMOVER ITEM (DELETE /api/cart/items/:itemId) - PROTEGIDA
+// ROTA 4: REMOVER ITEM (DELETE /api/cart/items/:itemId) - UTILIZADOR OU VISITANTE
 // =================================================================
 // Remover um item do carrinho (com recálculo de total)
-router.delete('/items/:itemId', authenticateToken, async (req, res) => {
+router.delete('/items/:itemId', optionalAuthenticateToken, async (req, res) => {
     const itemId = parseInt(req.params.itemId);
-    const userId = req.user.id;
 
     try {
         // Procurar item com informações do carrinho
@@ -246,8 +234,8 @@ router.delete('/items/:itemId', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Item do carrinho não encontrado.' });
         }
         
-        // Validar que o item pertence ao carrinho ativo do utilizador autenticado
-        if (cartItem.cart.userId !== userId || cartItem.cart.cartStatus !== 'ACTIVE') {
+        // Validar que o item pertence ao carrinho ativo do utilizador autenticado ou do visitante
+        if (!isCartOwner(cartItem.cart, req) || cartItem.cart.cartStatus !== 'ACTIVE') {
              return res.status(403).json({ error: 'Acesso negado: Este item não pertence ao seu carrinho ativo.' });
         }
         
@@ -258,14 +246,8 @@ router.delete('/items/:itemId', authenticateToken, async (req, res) => {
             where: { id: itemId },
         });
 
-        // Recalcular total do carrinho após remoção
-        const allItems = await prisma.cartItem.findMany({ where: { cartId } });
-        const newTotalPrice = calculateTotalPrice(allItems);
-        
-        await prisma.shoppingCart.update({
-            where: { id: cartId },
-            data: { totalPrice: newTotalPrice }
-        });
+        // Recalcular total do carrinho após remoção (com promoções automáticas)
+        await refreshCartTotal(cartId);
 
         res.status(204).send();
         
@@ -279,5 +261,127 @@ router.delete('/items/:itemId', authenticateToken, async (req, res) => {
     }
 });
 
+// =================================================================
+// ROTA 5: APLICAR CUPÃO (POST /api/cart/coupon) - UTILIZADOR OU VISITANTE
+// =================================================================
+// Valida o código contra o carrinho atual e guarda-o no carrinho (substitui um cupão anterior)
+// O limite por utilizador só é verificado para utilizadores autenticados (e de novo no checkout)
+router.post('/coupon', optionalAuthenticateToken, validateRequest(cartCouponApplySchema), async (req, res) => {
+    try {
+        const cart = await findActiveCart(req, res, { items: { include: PRICING_ITEM_INCLUDE } });
+
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ error: 'Adicione artigos ao carrinho antes de aplicar um cupão.' });
+        }
+
+        const coupon = await findCouponByCode(req.body.code);
+
+        if (!coupon) {
+            return res.status(404).json({ error: 'Cupão não encontrado.' });
+        }
+
+        // Validar antes de guardar (lança httpError 400 com o motivo)
+        await evaluateCoupon(coupon, cart.items, { userId: req.user?.id });
+
+        await prisma.shoppingCart.update({
+            where: { id: cart.id },
+            data: { couponId: coupon.id },
+        });
+
+        const pricing = await priceCart(cart.items, { couponId: coupon.id, userId: req.user?.id });
+
+        res.status(200).json({
+            appliedCoupon: pricing.coupon,
+            subtotal: pricing.subtotal,
+            appliedPromotions: pricing.promotions,
+            discountAmount: pricing.discountAmount,
+            totalAfterDiscount: pricing.total,
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao aplicar cupão:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+// =================================================================
+// ROTA 6: REMOVER CUPÃO (DELETE /api/cart/coupon) - UTILIZADOR OU VISITANTE
+// =================================================================
+router.delete('/coupon', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const cart = await findActiveCart(req, res);
+
+        if (cart) {
+            await prisma.shoppingCart.update({
+                where: { id: cart.id },
+                data: { couponId: null },
+            });
+        }
+
+        res.status(204).send();
+
+    } catch (error) {
+        console.error('Erro ao remover cupão:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+// =================================================================
+// ROTA 7: OPÇÕES DE ENVIO (GET /api/cart/shipping-options) - UTILIZADOR OU VISITANTE
+// =================================================================
+// Cotação dos métodos de envio para o carrinho atual (peso dos artigos, zona do destino, limiar de portes grátis e cupão)
+// Destino: ?addressId= (morada guardada do utilizador), ?country=&postalCode=, ou a morada de envio predefinida
+router.get('/shipping-options', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const { addressId, country, postalCode } = req.query;
+
+        let destination = null;
+        if (addressId) {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Autenticação necessária para usar moradas guardadas.' });
+            }
+            destination = await prisma.userAddress.findUnique({ where: { id: parseInt(addressId) } });
+            if (!destination || destination.userId !== req.user.id) {
+                return res.status(404).json({ error: 'Endereço não encontrado.' });
+            }
+        } else if (country || postalCode) {
+            destination = { country, postalCode };
+        } else if (req.user) {
+            destination = await findDefaultShippingAddress(req.user.id);
+        }
+
+        // Sem destino: cotação para Portugal (zonas definidas apenas por país)
+        destination = destination ?? { country: 'PT' };
+
+        const cart = await findActiveCart(req, res, { items: { include: PRICING_ITEM_INCLUDE } });
+
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ error: 'O carrinho está vazio.' });
+        }
+
+        const pricing = await priceCart(cart.items, {
+            couponId: cart.couponId,
+            userId: req.user?.id,
+            ignoreInvalidCoupon: true,
+            shippingAddress: destination,
+        });
+
+        const shipping = await getShippingOptions(cart.items, destination, {
+            orderValue: pricing.subtotal - pricing.discountAmount,
+            freeShippingCoupon: Boolean(pricing.coupon?.valid && pricing.coupon.freeShipping),
+        });
+
+        res.status(200).json({
+            destination: { country: destination.country ?? null, postalCode: destination.postalCode ?? null },
+            ...shipping,
+        });
+
+    } catch (error) {
+        console.error('Erro ao obter opções de envio:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
 
-export default router;
\ No newline at end of file
+export default router;
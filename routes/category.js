@@ -3,16 +3,18 @@
 
 import { Router } from 'express';
 import prisma from '../db.js';
-import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import { authenticateToken, requirePermission } from '../utils/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 import { validateRequest } from '../utils/validateRequest.js';
 import { categoryCreateSchema, categoryUpdateSchema } from '../utils/schemas.js';
+import { recordAudit, AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
 const router = Router();
 
 // =================================================================
 // ROTA 1: CRIAR CATEGORIA (POST /api/categories) - PROTEGIDA
 // =================================================================
 // Criar categoria principal ou subcategoria com slug gerado automaticamente
-router.post('/', authenticateToken, requireAdmin, validateRequest(categoryCreateSchema), async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(categoryCreateSchema), async (req, res) => {
     try {
         const { name, description, parentId } = req.body;
         
@@ -35,6 +37,8 @@ router.post('/', authenticateToken, requireAdmin, validateRequest(categoryCreate
             },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.CATEGORY, entityId: newCategory.id, after: newCategory });
+
         res.status(201).json(newCategory);
     } catch (error) {
         // Erro P2003: Categoria pai não existe (chave estrangeira violada)
@@ -110,7 +114,7 @@ router.get('/:id', async (req, res) => {
 // ROTA 4: ATUALIZAR CATEGORIA (PUT /api/categories/:id) - PROTEGIDA
 // =================================================================
 // Atualizar informações de uma categoria (nome, slug, descrição, categoria pai)
-router.put('/:id', authenticateToken, requireAdmin, validateRequest(categoryUpdateSchema), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(categoryUpdateSchema), async (req, res) => {
     try {
         const categoryId = parseInt(req.params.id);
         const { name, description, parentId } = req.body; 
@@ -143,12 +147,20 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(categoryUpda
             return res.status(400).json({ error: 'Uma categoria não pode ser subcategoria de si própria.' });
         }
 
+        // Estado anterior para o registo de auditoria
+        const category = await prisma.category.findUnique({ where: { id: categoryId } });
+        if (!category) {
+            return res.status(404).json({ error: 'Categoria não encontrada.' });
+        }
+
         // Atualizar categoria com dados fornecidos
         const updatedCategory = await prisma.category.update({
             where: { id: categoryId },
             data: dataToUpdate,
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.CATEGORY, entityId: categoryId, before: category, after: updatedCategory });
+
         res.status(200).json(updatedCategory);
 
     } catch (error) {
@@ -170,15 +182,17 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(categoryUpda
 // ROTA 5: ELIMINAR CATEGORIA (DELETE /api/categories/:id) - PROTEGIDA
 // =================================================================
 // Eliminar uma categoria (cascata Prisma para subcategorias e produtos)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), async (req, res) => {
     try {
         const categoryId = parseInt(req.params.id);
 
         // Eliminar categoria (cascata dependente Prisma delete products/subcategories)
-        await prisma.category.delete({
+        const deletedCategory = await prisma.category.delete({
             where: { id: categoryId },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.CATEGORY, entityId: categoryId, before: deletedCategory });
+
         res.status(204).send(); 
     } catch (error) {
         // Erro P2025: Categoria não encontrada
@@ -1,23 +1,32 @@
 // routes/order.js
-// Gerencia pedidos de compra (criar, listar, atualizar status)
+// Gerencia pedidos de compra (criar, listar, cancelar)
 
 import { Router } from 'express';
 import prisma from '../db.js';
 import { authenticateToken } from '../utils/auth.js';
-import { calculateTotalPrice } from '../utils/cartUtils.js';
+import { priceCart, couponSavings, PRICING_ITEM_INCLUDE } from '../utils/cartUtils.js';
 import { validateRequest } from '../utils/validateRequest.js';
-import { orderCreateSchema } from '../utils/schemas.js';
+import { orderCreateSchema, orderCancelSchema } from '../utils/schemas.js';
+import { recordOrderCreated, transitionOrder, ACTOR_TYPES } from '../utils/orderStateMachine.js';
+import { refundOrder, getPaymentTransaction, getRefundTotals } from '../utils/refunds.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { resolveCheckoutAddresses } from '../utils/addresses.js';
+import { redeemCoupon } from '../utils/coupons.js';
+import { requireVerifiedEmail } from '../utils/emailVerification.js';
 const router = Router();
 
 // =================================================================
 // ROTA 1: CRIAR NOVO PEDIDO (POST /api/orders) - PROTEGIDA
 // =================================================================
 // Criar novo pedido a partir do carrinho ativo (checkout)
-router.post('/', authenticateToken, validateRequest(orderCreateSchema), async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail('checkout'), validateRequest(orderCreateSchema), async (req, res) => {
     const userId = req.user.id;
-    const { shippingAddress, paymentMethod, notes } = req.body; 
+    const { paymentMethod, notes } = req.body; 
 
     try {
+        // Copiar as moradas (guardadas ou inline) para a encomenda
+        const { shippingAddress, billingAddress } = await resolveCheckoutAddresses(userId, req.body);
+
         // Executar checkout em transação para garantir consistência de dados
         const order = await prisma.$transaction(async (tx) => {
             // 1. Procurar carrinho ativo do utilizador
@@ -26,6 +35,7 @@ router.post('/', authenticateToken, validateRequest(orderCreateSchema), async (r
                 include: {
                     items: {
                         include: {
+                            ...PRICING_ITEM_INCLUDE,
                             variant: true
                         }
                     }
@@ -41,24 +51,53 @@ router.post('/', authenticateToken, validateRequest(orderCreateSchema), async (r
                 throw new Error('Cart is empty. Cannot create an order.');
             }
 
-            // 3. Calcular total do pedido baseado nos items do carrinho
-            const calculatedTotal = calculateTotalPrice(activeCart.items);
+            // 3. Calcular total do pedido: subtotal, promoções automáticas, cupão (revalidado, incluindo o limite por utilizador),
+            // IVA pelo destino da morada de envio e portes do método escolhido
+            const pricing = await priceCart(activeCart.items, {
+                couponId: activeCart.couponId,
+                userId,
+                shippingAddress,
+                shippingMethodId: req.body.shippingMethodId ?? null,
+                client: tx,
+            });
             
             // 4. Criar novo pedido com status PENDING
             const newOrder = await tx.order.create({
                 data: {
                     userId: userId,
                     status: 'pending',
-                    totalAmount: calculatedTotal,
-                    subtotal: calculatedTotal,
+                    totalAmount: pricing.total,
+                    subtotal: pricing.subtotal,
+                    discountAmount: pricing.discountAmount,
+                    taxAmount: pricing.taxAmount,
+                    pricesIncludeTax: pricing.pricesIncludeTax,
+                    shippingAmount: pricing.shippingAmount,
+                    shippingMethod: pricing.shipping ?? undefined,
+                    couponCode: pricing.coupon ? pricing.coupon.code : null,
+                    appliedPromotions: pricing.promotions.length > 0 ? pricing.promotions : undefined,
                     notes: notes,
+                    shippingAddress,
+                    billingAddress,
                     email: req.user.email,
                     orderNumber: `ORD-${Date.now()}`,
                 },
             });
 
+            // Histórico: estados iniciais da encomenda
+            await recordOrderCreated(newOrder, { actor: { type: ACTOR_TYPES.CUSTOMER, id: userId } }, tx);
+
+            // Registar a utilização do cupão (falha se o limite global foi entretanto atingido)
+            if (pricing.coupon) {
+                await redeemCoupon({
+                    couponId: pricing.coupon.couponId,
+                    orderId: newOrder.id,
+                    userId,
+                    discountAmount: couponSavings(pricing),
+                }, tx);
+            }
+
             // 5. Converter items do carrinho em items do pedido (preservando preço de compra)
-            const orderItemsData = activeCart.items.map(item => ({
+            const orderItemsData = activeCart.items.map((item, index) => ({
                 orderId: newOrder.id,
                 productId: item.productId,
                 variantId: item.variantId,
@@ -66,6 +105,8 @@ router.post('/', authenticateToken, validateRequest(orderCreateSchema), async (r
                 price: item.itemPrice,
                 total: item.itemPrice * item.quantity,
                 title: item.product?.name || 'Product',
+                taxRate: pricing.taxLines[index].taxRate,
+                taxAmount: pricing.taxLines[index].taxAmount,
             }));
             
             // 6. Guardar items do pedido
@@ -78,6 +119,7 @@ router.post('/', authenticateToken, validateRequest(orderCreateSchema), async (r
                 where: { id: activeCart.id },
                 data: {
                     cartStatus: 'CHECKED_OUT',
+                    couponId: null,
                     updatedAt: new Date(),
                 },
             });
@@ -96,10 +138,15 @@ router.post('/', authenticateToken, validateRequest(orderCreateSchema), async (r
             message: 'Pedido criado com sucesso. O seu carrinho foi finalizado.',
             orderId: order.id,
             total: order.totalAmount,
+            discount: order.discountAmount,
+            tax: order.taxAmount,
+            shipping: order.shippingAmount,
             status: order.status
         });
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
+
         console.error('Erro na criação do Pedido (Checkout):', error);
         
         // Tratar erros específicos da nossa lógica de negócio
@@ -149,7 +196,7 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     
     try {
-        // Recuperar pedido específico com todos os detalhes dos items, produtos e variantes
+        // Recuperar pedido específico com todos os detalhes dos items, produtos, variantes e histórico
         const order = await prisma.order.findUnique({
             where: { id: orderId },
             include: { 
@@ -158,7 +205,23 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
                         product: { select: { id: true, name: true, slug: true } },
                         variant: true
                     } 
-                } 
+                },
+                // Timeline de estados (sem identificar o admin responsável)
+                events: {
+                    select: { id: true, field: true, fromValue: true, toValue: true, actorType: true, reason: true, createdAt: true },
+                    orderBy: { createdAt: 'asc' },
+                },
+                returns: {
+                    include: { items: true },
+                    orderBy: { createdAt: 'desc' },
+                },
+                shipments: {
+                    select: {
+                        id: true, carrier: true, trackingNumber: true, trackingUrl: true, status: true,
+                        shippedAt: true, deliveredAt: true, items: true,
+                    },
+                    orderBy: { shippedAt: 'asc' },
+                },
             },
         });
 
@@ -179,4 +242,103 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
     }
 });
 
-export default router;
\ No newline at end of file
+// =================================================================
+// ROTA 4: CANCELAR PEDIDO (POST /api/orders/:orderId/cancel) - PROTEGIDA
+// =================================================================
+// Cancelamento pelo cliente enquanto o pedido está pending/processing e nada foi enviado
+// Pedidos pagos: reembolso Stripe do montante por devolver e reposição do stock deduzido no pagamento
+// Pedidos por pagar: o pagamento é anulado (voided); o stock não chegou a ser deduzido
+// A encomenda é bloqueada (como em createShipment) e cancelada antes do reembolso: um envio concorrente
+// espera pelo bloqueio e encontra-a cancelada; se o Stripe falhar, o estado anterior é reposto
+router.post('/:orderId/cancel', authenticateToken, validateRequest(orderCancelSchema), async (req, res) => {
+    const orderId = parseInt(req.params.orderId);
+    const userId = req.user.id;
+    const { reason } = req.body;
+    const actor = { type: ACTOR_TYPES.CUSTOMER, id: userId };
+
+    try {
+        const { order, payment } = await prisma.$transaction(async (tx) => {
+            await tx.$queryRaw`SELECT id FROM "orders" WHERE id = ${orderId} FOR UPDATE`;
+
+            const order = await tx.order.findUnique({ where: { id: orderId } });
+
+            if (!order) {
+                throw httpError(404, 'Pedido não encontrado.');
+            }
+
+            // Validar que o pedido pertence ao utilizador autenticado (proteção de acesso)
+            if (order.userId !== userId) {
+                throw httpError(403, 'Acesso negado: Este pedido não lhe pertence.');
+            }
+
+            if (!['pending', 'processing'].includes(order.status) || order.fulfillmentStatus !== 'unfulfilled') {
+                throw httpError(409, 'Este pedido já não pode ser cancelado. Contacte o apoio ao cliente ou peça uma devolução.');
+            }
+
+            const payment = await getPaymentTransaction(orderId, tx);
+
+            // Pedidos por pagar: o pagamento é anulado juntamente com o cancelamento
+            await transitionOrder(orderId, {
+                status: 'cancelled',
+                ...(!payment && { financialStatus: 'voided' }),
+            }, { actor, reason, client: tx });
+
+            return { order, payment };
+        });
+
+        let refund = null;
+
+        if (payment) {
+            const { refundable } = await getRefundTotals(orderId);
+
+            // Reembolsa tudo o que ainda não foi devolvido e repõe as unidades por reembolsar no stock
+            if (refundable.gt(0)) {
+                try {
+                    const result = await refundOrder({
+                        orderId,
+                        restock: true,
+                        reason: `Cancelado pelo cliente: ${reason}`,
+                        idempotencyKey: `customer-cancel-${orderId}`,
+                        actor,
+                    });
+                    refund = result.refund;
+                } catch (error) {
+                    // O Stripe recusou o reembolso: a encomenda volta ao estado anterior (o cancelamento pode ser repetido)
+                    if (error.type && error.type.startsWith('Stripe')) {
+                        await transitionOrder(orderId, { status: order.status }, {
+                            actor,
+                            reason: `Reembolso do cancelamento falhou: ${error.message}`,
+                            force: true,
+                        });
+                    }
+                    throw error;
+                }
+            }
+        }
+
+        const cancelledOrder = await prisma.order.findUnique({
+            where: { id: orderId },
+            include: { lineItems: true },
+        });
+
+        res.status(200).json({
+            message: 'Pedido cancelado com sucesso.',
+            order: cancelledOrder,
+            refund,
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        // Erros devolvidos pela API do Stripe: o pedido mantém-se ativo
+        if (error.type && error.type.startsWith('Stripe')) {
+            console.error('Erro do Stripe ao cancelar pedido:', error.message);
+            return res.status(502).json({ error: 'Não foi possível processar o reembolso. O pedido não foi cancelado.' });
+        }
+
+        console.error('Erro ao cancelar o pedido:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+export default router;
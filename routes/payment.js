@@ -4,34 +4,61 @@
 import { Router, raw } from 'express';
 import prisma from '../db.js';
 import { authenticateToken } from '../utils/auth.js';
-import Stripe from 'stripe';
-import { Decimal } from '@prisma/client/runtime/library';
+import stripe, { toCents, deleteStripeCoupon } from '../utils/stripe.js';
+import { Prisma } from '@prisma/client';
+import { processStripeEvent } from '../utils/stripeEvents.js';
+import { dispatchStripeEvent } from '../utils/stripeEventHandlers.js';
+import { generateReservationReference, reserveStock, reservationExpiry, attachStripeSession, releaseReservations, findActiveCheckoutSessionIds } from '../utils/stockReservations.js';
+import { validateRequest } from '../utils/validateRequest.js';
+import { checkoutSessionSchema } from '../utils/schemas.js';
+import { resolveCheckoutAddresses } from '../utils/addresses.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { priceCart, couponSavings, PRICING_ITEM_INCLUDE } from '../utils/cartUtils.js';
+import { getStripeTaxRateId } from '../utils/tax.js';
+import { requireVerifiedEmail } from '../utils/emailVerification.js';
 const router = Router();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
+// Expira no Stripe as sessões de checkout anteriores de um carrinho (antes de libertar as suas reservas)
+// Uma sessão que já tinha expirado conta como expirada
+// Sessão já paga ou falha do Stripe: lança httpError e as reservas anteriores mantêm-se
+async function expirePreviousSessions(sessionIds) {
+    for (const sessionId of sessionIds) {
+        try {
+            await stripe.checkout.sessions.expire(sessionId);
+        } catch (err) {
+            const session = await stripe.checkout.sessions.retrieve(sessionId).catch(() => null);
+
+            if (session?.status === 'expired') continue;
+
+            if (session?.status === 'complete') {
+                throw httpError(409, 'O checkout anterior deste carrinho já foi pago. Aguarde a confirmação da encomenda.');
+            }
+
+            console.error(`Erro ao expirar sessão anterior ${sessionId}:`, err.message);
+            throw httpError(502, 'Não foi possível cancelar o checkout anterior deste carrinho. Tente novamente.');
+        }
+    }
+}
+
 // =================================================================
 // ROTA 1: CRIAR SESSÃO DE CHECKOUT (POST /api/payment/checkout-session) - PROTEGIDA
 // =================================================================
-router.post('/checkout-session', authenticateToken, async (req, res) => {
+router.post('/checkout-session', authenticateToken, requireVerifiedEmail('checkout'), validateRequest(checkoutSessionSchema), async (req, res) => {
     try {
         const userId = req.user.id;
-        const { cartId } = req.body; // Idealmente o cartId seria verificado no middleware
-
-        if (!cartId) {
-            return res.status(400).json({ error: 'cartId é obrigatório.' });
-        }
+        const { cartId } = req.body;
 
         // 1. Obter carrinho e itens (com relações necessárias para preço/nome)
         const cart = await prisma.shoppingCart.findUnique({
-            where: { id: parseInt(cartId) },
+            where: { id: cartId },
             include: {
                 items: {
                     include: {
-                        product: { select: { id: true, name: true, slug: true } },
-                        variant: { select: { id: true, title: true, price: true, stock: true, sku: true } },
+                        product: { select: { ...PRICING_ITEM_INCLUDE.product.select, slug: true } },
+                        variant: { select: { id: true, title: true, price: true, stock: true, sku: true, weight: true } },
                     },
                 },
             },
@@ -50,48 +77,151 @@ router.post('/checkout-session', authenticateToken, async (req, res) => {
             select: { email: true, firstName: true, lastName: true },
         });
 
-        // 2. Pré-verificação de Stock (A ÚLTIMA oportunidade antes do Stripe)
-        for (const item of cart.items) {
-            if (item.variant.stock < item.quantity) {
-                return res.status(400).json({ error: `Stock insuficiente para ${item.product.name} (${item.variant.title}).` });
+        // Moradas do checkout: guardadas no carrinho e copiadas para a encomenda no webhook
+        const { shippingAddress, billingAddress } = await resolveCheckoutAddresses(userId, req.body);
+
+        // Promoções automáticas, cupão, IVA do destino e portes, avaliados sobre os preços atuais das variantes (os mesmos enviados ao Stripe)
+        const pricing = await priceCart(
+            cart.items.map(item => ({ ...item, itemPrice: item.variant.price })),
+            { couponId: cart.couponId, userId, shippingAddress, shippingMethodId: req.body.shippingMethodId ?? null }
+        );
+
+        // Checkouts anteriores do carrinho são expirados antes de alterar o carrinho ou libertar as suas reservas
+        const replacedSessionIds = await findActiveCheckoutSessionIds(cart.id);
+        await expirePreviousSessions(replacedSessionIds);
+
+        await prisma.shoppingCart.update({
+            where: { id: cart.id },
+            data: {
+                checkoutShippingAddress: shippingAddress,
+                checkoutBillingAddress: billingAddress,
+                checkoutPromotions: pricing.promotions.length > 0 ? pricing.promotions : Prisma.DbNull,
+                checkoutShippingMethod: pricing.shipping ?? Prisma.DbNull,
+            },
+        });
+
+        // 2. Reserva de Stock (retém as unidades enquanto a sessão Stripe estiver aberta)
+        // Verifica stock disponível (stock real menos reservas ativas de outros checkouts)
+        const reservationRef = generateReservationReference();
+
+        try {
+            await reserveStock({
+                reference: reservationRef,
+                cartId: cart.id,
+                userId,
+                replacedSessionIds,
+                items: cart.items.map(item => ({
+                    variantId: item.variantId,
+                    quantity: item.quantity,
+                    title: `${item.product.name} (${item.variant.title})`,
+                })),
+            });
+        } catch (error) {
+            if (error.code === 'INSUFFICIENT_STOCK') {
+                return res.status(409).json({ error: error.message, variantId: error.variantId });
             }
+            throw error;
         }
-        
-        // 3. Preparar Line Items para o Stripe
-        const lineItems = cart.items.map(item => ({
-            price_data: {
-                currency: 'eur',
-                product_data: {
-                    name: item.product.name,
-                    description: item.variant.title,
+
+        // 3. Preparar Line Items e 4. Criar Sessão Stripe (expira ao mesmo tempo que a reserva)
+        let session;
+        let expiresAt;
+        let stripeCoupon = null;
+
+        try {
+            // Cada line item leva a taxa de IVA da linha (o Stripe calcula o imposto após descontos)
+            const lineItems = [];
+            for (const [index, item] of cart.items.entries()) {
+                const { taxRateId } = pricing.taxLines[index];
+                const taxRate = taxRateId ? [...pricing.taxRates.values()].find(rate => rate.id === taxRateId) : null;
+
+                lineItems.push({
+                    price_data: {
+                        currency: 'eur',
+                        product_data: {
+                            name: item.product.name,
+                            description: item.variant.title,
+                        },
+                        // Preço é enviado em centavos (o preço do Prisma deve ser convertido para float * 100 e arredondado)
+                        unit_amount: toCents(item.variant.price),
+                    },
+                    quantity: item.quantity,
+                    ...(taxRate && { tax_rates: [await getStripeTaxRateId(taxRate, pricing.pricesIncludeTax)] }),
+                });
+            }
+
+            // O Stripe aceita um único desconto por sessão: promoções + cupão num cupão Stripe de utilização única
+            if (pricing.discountAmount > 0) {
+                stripeCoupon = await stripe.coupons.create({
+                    amount_off: toCents(pricing.discountAmount),
+                    currency: 'eur',
+                    duration: 'once',
+                    max_redemptions: 1,
+                    name: pricing.coupon ? pricing.coupon.code : 'Promoções',
+                    metadata: { cartId: cartId.toString(), ...(pricing.coupon && { couponId: pricing.coupon.couponId.toString() }) },
+                });
+            }
+
+            // Calculado só agora: as chamadas anteriores ao Stripe não podem encurtar o prazo abaixo do mínimo
+            expiresAt = reservationExpiry();
+
+            session = await stripe.checkout.sessions.create({
+                payment_method_types: ['card'],
+                line_items: lineItems,
+                mode: 'payment',
+                success_url: `${FRONTEND_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${FRONTEND_URL}/checkout/cancel`,
+                customer_email: user.email,
+                expires_at: Math.floor(expiresAt.getTime() / 1000),
+                ...(stripeCoupon && { discounts: [{ coupon: stripeCoupon.id }] }),
+                // Portes do método escolhido (linha de envio da sessão, fora do desconto)
+                ...(pricing.shipping && {
+                    shipping_options: [{
+                        shipping_rate_data: {
+                            type: 'fixed_amount',
+                            fixed_amount: { amount: toCents(pricing.shipping.amount), currency: 'eur' },
+                            display_name: pricing.shipping.name,
+                            ...(pricing.shipping.minDeliveryDays && pricing.shipping.maxDeliveryDays && {
+                                delivery_estimate: {
+                                    minimum: { unit: 'business_day', value: pricing.shipping.minDeliveryDays },
+                                    maximum: { unit: 'business_day', value: pricing.shipping.maxDeliveryDays },
+                                },
+                            }),
+                        },
+                    }],
+                }),
+                // CRÍTICO: Metadata para referenciar o carrinho/utilizador/reserva/cupão no webhook
+                metadata: {
+                    userId: userId.toString(),
+                    cartId: cartId.toString(),
+                    reservationRef,
+                    ...(stripeCoupon && { stripeCouponId: stripeCoupon.id }),
+                    ...(pricing.coupon && {
+                        couponId: pricing.coupon.couponId.toString(),
+                        couponDiscount: couponSavings(pricing).toString(),
+                    }),
                 },
-                // Preço é enviado em centavos (o preço do Prisma deve ser convertido para float * 100 e arredondado)
-                unit_amount: Math.round(new Decimal(item.variant.price).toNumber() * 100),
-            },
-            quantity: item.quantity,
-        }));
-
-        // 4. Criar Sessão Stripe
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: lineItems,
-            mode: 'payment',
-            success_url: `${FRONTEND_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${FRONTEND_URL}/checkout/cancel`,
-            customer_email: user.email,
-            // CRÍTICO: Metadata para referenciar o carrinho/utilizador no webhook
-            metadata: {
-                userId: userId.toString(),
-                cartId: cartId.toString(),
-            },
-        });
+            });
+        } catch (error) {
+            // Sem sessão não há pagamento: devolver imediatamente o stock reservado e apagar o cupão de utilização única
+            await releaseReservations(reservationRef);
+            if (stripeCoupon) {
+                await deleteStripeCoupon(stripeCoupon.id);
+            }
+            throw error;
+        }
+
+        await attachStripeSession(reservationRef, session.id, expiresAt);
 
         res.status(200).json({ 
             sessionId: session.id,
             url: session.url,
+            reservationExpiresAt: expiresAt,
         });
 
     } catch (error) {
+        if (sendHttpError(res, error)) return;
+
         console.error('Erro ao criar sessão de checkout:', error);
         res.status(500).json({ error: 'Falha ao criar sessão de pagamento.' });
     }
@@ -115,26 +245,15 @@ export async function handleStripeWebhook(req, res) {
     }
 
     try {
-        // Processa o evento
-        switch (event.type) {
-            case 'checkout.session.completed':
-                // O pagamento foi bem-sucedido
-                await handleCheckoutSessionCompleted(event.data.object);
-                break;
-
-            case 'checkout.session.expired':
-                // A sessão expirou, nenhuma ação na base de dados é necessária além de log
-                await handleCheckoutSessionExpired(event.data.object);
-                break;
-
-            // Adicione outros eventos importantes (ex: payment_intent.succeeded) se o checkout não for usado
-            
-            default:
-                console.log(`Tipo de evento Stripe não tratado: ${event.type}`);
+        // Processa o evento com registo persistente: reenvios de eventos já processados são ignorados
+        const { skipped } = await processStripeEvent(event, dispatchStripeEvent);
+
+        if (skipped) {
+            console.log(`[WEBHOOK] Evento ${event.id} (${event.type}) já processado ou em processamento. Ignorado.`);
         }
 
         // Retorna 200 para o Stripe (indica sucesso)
-        res.status(200).json({ received: true });
+        res.status(200).json({ received: true, duplicate: skipped });
 
     } catch (error) {
         console.error('Erro ao processar webhook:', error);
@@ -143,7 +262,6 @@ export async function handleStripeWebhook(req, res) {
     }
 }
 
-
 // =================================================================
 // ROTA 3: VERIFICAR SESSÃO DE PAGAMENTO (GET /api/payment/session/:sessionId) - PROTEGIDA
 // =================================================================
@@ -172,149 +290,5 @@ router.get('/session/:sessionId', authenticateToken, async (req, res) => {
     }
 });
 
-// =================================================================
-// FUNÇÕES AUXILIARES (Lógica de Negócio CRÍTICA)
-// =================================================================
-
-/**
- * Lógica executada quando o Stripe confirma o pagamento.
- * CRÍTICO: Deve ser atómico (transação) para garantir que stock e order são criados/atualizados.
- */
-async function handleCheckoutSessionCompleted(session) {
-    try {
-        const { userId, cartId } = session.metadata;
-
-        const userIdNum = parseInt(userId);
-        const cartIdNum = parseInt(cartId);
-        
-        // 1. Obter o carrinho (agora com as relações completas necessárias)
-        const cart = await prisma.shoppingCart.findUnique({
-            where: { id: cartIdNum },
-            include: {
-                items: {
-                    include: {
-                        variant: { select: { id: true, price: true, sku: true, stock: true, title: true } },
-                        product: { select: { id: true, name: true } }
-                    }
-                }
-            },
-        });
-
-        if (!cart) {
-            console.error(`[WEBHOOK] Erro: Carrinho ${cartIdNum} não encontrado para criação de pedido.`);
-            return;
-        }
-
-        const user = await prisma.user.findUnique({
-            where: { id: userIdNum },
-            select: { email: true },
-        });
-
-        // 2. Preparar dados para o Pedido e Line Items
-        const orderNumber = `ORD-${Date.now()}-${userId}`;
-
-        let totalAmount = 0;
-        const lineItemsData = [];
-
-        for (const item of cart.items) {
-            const variantPrice = new Decimal(item.variant.price);
-            const itemTotal = variantPrice.mul(item.quantity);
-            totalAmount = new Decimal(totalAmount).add(itemTotal);
-
-            // Confirmação final de stock (redundante, mas seguro)
-            if (item.variant.stock < item.quantity) {
-                console.error(`[WEBHOOK] FATAL: Overselling detectado para Variant ${item.variantId}. Stock não deduzido. Requer intervenção manual.`);
-                // Aqui pode-se implementar um reembolso automático, mas por agora, apenas logamos.
-                return; 
-            }
-            
-            lineItemsData.push({
-                productId: item.productId,
-                variantId: item.variantId,
-                quantity: item.quantity,
-                price: variantPrice.toNumber(),
-                total: itemTotal.toNumber(),
-                title: item.product.name,
-                variantTitle: item.variant.title,
-                sku: item.variant.sku,
-            });
-        }
-        
-        // O valor do Stripe é sempre a fonte da verdade, mas vamos usar o nosso cálculo interno
-        // como o Stripe não fornece subtotal/shipping diretamente no objecto de sessão.
-        const orderTotal = totalAmount.toNumber();
-
-        // 3. TRANSAÇÃO PRISMA: Garante integridade atómica
-        await prisma.$transaction(async (tx) => {
-            
-            // 3.1. DEDUÇÃO DE STOCK
-            // Se esta operação falhar por qualquer motivo (ex: outro processo deduza o último stock),
-            // a transação inteira será revertida.
-            const stockUpdates = cart.items.map(item =>
-                tx.productVariant.update({
-                    where: { id: item.variantId },
-                    data: { stock: { decrement: item.quantity } },
-                })
-            );
-            await Promise.all(stockUpdates);
-            
-            // 3.2. CRIAÇÃO DA ENCOMENDA (ORDER)
-            const newOrder = await tx.order.create({
-                data: {
-                    orderNumber,
-                    userId: userIdNum,
-                    email: user.email,
-                    subtotal: orderTotal, // Assumindo 0 taxas e portes para simplificação, deve ser calculado
-                    taxAmount: 0,
-                    shippingAmount: 0,
-                    totalAmount: orderTotal,
-                    status: 'processing',
-                    financialStatus: 'paid',
-                    fulfillmentStatus: 'unfulfilled',
-                    lineItems: {
-                        create: lineItemsData, // Cria todos os OrderLineItem
-                    },
-                },
-            });
-            
-            // 3.3. CRIAÇÃO DA TRANSAÇÃO (ORDER TRANSACTION)
-            await tx.orderTransaction.create({
-                data: {
-                    orderId: newOrder.id, // CRÍTICO: Usa o ID da nova encomenda
-                    stripeId: session.payment_intent,
-                    stripeObjectType: 'checkout.session',
-                    status: 'succeeded',
-                    paymentMethod: session.payment_method_types?.[0] || 'card',
-                    amount: orderTotal,
-                    feeAmount: 0.00, // Preencher com a lógica de taxa do Stripe
-                },
-            });
-            
-            // 3.4. LIMPEZA DO CARRINHO (REMOVE ITENS)
-            await tx.shoppingCart.update({
-                where: { id: cartIdNum },
-                data: {
-                    // Remove todos os itens do carrinho após a criação do pedido
-                    items: { deleteMany: {} }, 
-                },
-            });
-
-            console.log(`[WEBHOOK] Encomenda ${orderNumber} criada e stock deduzido com sucesso.`);
-            return newOrder;
-        });
-
-    } catch (error) {
-        console.error('[WEBHOOK] Erro CRÍTICO ao processar pagamento concluído:', error);
-        // Lidar com o erro (ex: notificar administrador)
-    }
-}
-
-async function handleCheckoutSessionExpired(session) {
-    try {
-        console.log(`[WEBHOOK] Sessão de checkout expirada: ${session.id}. Sem ação na DB.`);
-    } catch (error) {
-        console.error('[WEBHOOK] Erro ao processar sessão expirada:', error);
-    }
-}
 
 export default router;
\ No newline at end of file
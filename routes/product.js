@@ -3,9 +3,12 @@
 
 import { Router } from 'express';
 import prisma from '../db.js';
-import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import { authenticateToken, requirePermission } from '../utils/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { recordAudit, AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
 import { validateRequest } from '../utils/validateRequest.js';
 import { productCreateSchema, productUpdateSchema } from '../utils/schemas.js';
+import { withAvailableStock } from '../utils/stockReservations.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
@@ -49,7 +52,7 @@ const upload = multer({
 
 
 // Fazer upload temporário de imagem de produto
-router.post('/upload-image', authenticateToken, requireAdmin, upload.single('productImage'), (req, res) => {
+router.post('/upload-image', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), upload.single('productImage'), async (req, res) => {
     // Valida erros no upload da imagem
     if (req.fileValidationError) {
         return res.status(400).json({ 
@@ -65,6 +68,12 @@ router.post('/upload-image', authenticateToken, requireAdmin, upload.single('pro
         });
     }
 
+    await recordAudit(req, {
+        action: 'upload',
+        entityType: AUDIT_ENTITIES.PRODUCT_IMAGE,
+        details: { tempFileName: req.file.filename, originalName: req.file.originalname, size: req.file.size },
+    });
+
     // Retorna nome do ficheiro temporário para uso na criação do produto
     res.status(200).json({ 
         tempFileName: req.file.filename,
@@ -75,7 +84,7 @@ router.post('/upload-image', authenticateToken, requireAdmin, upload.single('pro
 
 
 // Criar novo produto com inventário e imagem
-router.post('/', authenticateToken, requireAdmin, validateRequest(productCreateSchema), async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(productCreateSchema), async (req, res) => {
     try {
         let { 
             name, 
@@ -85,6 +94,8 @@ router.post('/', authenticateToken, requireAdmin, validateRequest(productCreateS
             categoryId, 
             brandId,
             gender,
+            isTaxable,
+            taxClass,
             tempFileName
         } = req.body;
 
@@ -141,6 +152,8 @@ router.post('/', authenticateToken, requireAdmin, validateRequest(productCreateS
                     gender,
                     categoryId: numericCategoryId,
                     brandId: numericBrandId,
+                    isTaxable,
+                    taxClass,
                 },
             });
             
@@ -159,6 +172,14 @@ router.post('/', authenticateToken, requireAdmin, validateRequest(productCreateS
             return product;
         });
 
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.CREATE,
+            entityType: AUDIT_ENTITIES.PRODUCT,
+            entityId: newProduct.id,
+            after: newProduct,
+            details: imageUrl ? { imageUrl } : null,
+        });
+
         res.status(201).json(newProduct);
 
     } catch (error) {
@@ -381,6 +402,9 @@ router.get('/:slug', async (req, res) => {
             return res.status(404).json({ error: 'Produto não encontrado.' });
         }
 
+        // Stock disponível desconta as reservas ativas de checkouts em curso
+        product.variants = await withAvailableStock(product.variants);
+
         res.status(200).json(product);
     } catch (error) {
         console.error('Erro ao obter produto por slug:', error);
@@ -390,7 +414,7 @@ router.get('/:slug', async (req, res) => {
 
 
 // Atualizar informações e inventário de um produto
-router.put('/:id', authenticateToken, requireAdmin, validateRequest(productUpdateSchema), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(productUpdateSchema), async (req, res) => {
     try {
         const productId = parseInt(req.params.id);
         const { 
@@ -402,7 +426,9 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(productUpdat
             brandId, 
             isPublished,
             isFeatured,
-            isNew
+            isNew,
+            isTaxable,
+            taxClass
         } = req.body;
         
         // Prepara dados a atualizar (apenas campos fornecidos)
@@ -416,6 +442,8 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(productUpdat
             isActive: isPublished,
             isFeatured,
             isNew,
+            isTaxable,
+            taxClass,
         };
 
         // Verifica unicidade do novo slug
@@ -426,11 +454,19 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(productUpdat
             }
         }
         
+        // Estado anterior para o registo de auditoria (inclui o preço)
+        const product = await prisma.product.findUnique({ where: { id: productId } });
+        if (!product) {
+            return res.status(404).json({ error: 'Produto não encontrado.' });
+        }
+
         // Atualiza produto (stock é gerido através de variantes, não aqui)
         const updatedProduct = await prisma.product.update({
             where: { id: productId },
             data: dataToUpdate,
         });
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.PRODUCT, entityId: productId, before: product, after: updatedProduct });
         
         res.status(200).json(updatedProduct);
 
@@ -446,7 +482,7 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(productUpdat
 
 
 // Eliminar um produto e todos os dados relacionados
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), async (req, res) => {
     try {
         const productId = parseInt(req.params.id);
         
@@ -457,13 +493,21 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
         });
 
         // Elimina produto e dados relacionados em transação
-        await prisma.$transaction(async (tx) => {
+        const deletedProduct = await prisma.$transaction(async (tx) => {
             // Remove dados relacionados (em cascata)
             await tx.productImage.deleteMany({ where: { productId } });
             await tx.productVariant.deleteMany({ where: { productId } });
 
             // Remove produto
-            await tx.product.delete({ where: { id: productId } });
+            return tx.product.delete({ where: { id: productId } });
+        });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.DELETE,
+            entityType: AUDIT_ENTITIES.PRODUCT,
+            entityId: productId,
+            before: deletedProduct,
+            details: { deletedImages: productImages.length },
         });
 
         // Elimina ficheiros de imagem do servidor
@@ -3,16 +3,18 @@
 
 import { Router } from 'express';
 import prisma from '../db.js';
-import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import { authenticateToken, requirePermission } from '../utils/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 import { validateRequest } from '../utils/validateRequest.js';
 import { productImageCreateSchema } from '../utils/schemas.js';
+import { recordAudit, AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
 const router = Router();
 
 // =================================================================
 // ROTA 1: ADICIONAR IMAGEM A PRODUTO (POST /api/product-images) - PROTEGIDA
 // =================================================================
 // Adicionar nova imagem à galeria de um produto (marca como primária se indicado)
-router.post('/', authenticateToken, requireAdmin, validateRequest(productImageCreateSchema), async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(productImageCreateSchema), async (req, res) => {
     try {
         const { productId, url, isPrimary } = req.body;
 
@@ -40,6 +42,8 @@ router.post('/', authenticateToken, requireAdmin, validateRequest(productImageCr
             },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.PRODUCT_IMAGE, entityId: newImage.id, after: newImage });
+
         res.status(201).json(newImage);
     } catch (error) {
         console.error('Erro ao adicionar imagem de produto:', error);
@@ -79,15 +83,17 @@ router.get('/:productId', async (req, res) => {
 // ROTA 3: ELIMINAR IMAGEM (DELETE /api/product-images/:id) - PROTEGIDA
 // =================================================================
 // Eliminar uma imagem da galeria de um produto
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), async (req, res) => {
     try {
         const imageId = parseInt(req.params.id);
 
         // Eliminar imagem do BD
-        await prisma.productImage.delete({
+        const deletedImage = await prisma.productImage.delete({
             where: { id: imageId },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.PRODUCT_IMAGE, entityId: imageId, before: deletedImage });
+
         res.status(204).send(); 
     } catch (error) {
         // Erro P2025: Imagem não encontrada
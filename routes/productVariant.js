@@ -3,13 +3,16 @@
 
 import { Router } from 'express';
 import prisma from '../db.js';
-import { authenticateToken, requireAdmin } from '../utils/auth.js';
+import { authenticateToken, requirePermission } from '../utils/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 import { validateRequest } from '../utils/validateRequest.js';
 import { productVariantCreateSchema, productVariantUpdateSchema } from '../utils/schemas.js';
+import { withAvailableStock } from '../utils/stockReservations.js';
+import { recordAudit, AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditLog.js';
 const router = Router();
 
 // Criar nova variação de produto (tamanho/preço específicos)
-router.post('/', authenticateToken, requireAdmin, validateRequest(productVariantCreateSchema), async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(productVariantCreateSchema), async (req, res) => {
     try {
         const { productId, size, stock, sku, priceAdjustment } = req.body;
 
@@ -62,6 +65,8 @@ router.post('/', authenticateToken, requireAdmin, validateRequest(productVariant
             },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: AUDIT_ENTITIES.PRODUCT_VARIANT, entityId: newVariant.id, after: newVariant });
+
         res.status(201).json(newVariant);
 
     } catch (error) {
@@ -95,7 +100,8 @@ router.get('/:productId', async (req, res) => {
             orderBy: { size: 'asc' },
         });
 
-        res.status(200).json(variants);
+        // Incluir stock disponível (stock real menos reservas ativas de checkouts em curso)
+        res.status(200).json(await withAvailableStock(variants));
     } catch (error) {
         console.error('Erro ao obter variações de produto:', error);
         res.status(500).json({ error: 'Falha interna do servidor ao obter variações.' });
@@ -107,7 +113,7 @@ router.get('/:productId', async (req, res) => {
 // ROTA 3: ATUALIZAR VARIAÇÃO (PUT /api/variants/:id) - PROTEGIDA
 // =================================================================
 // Atualizar informações de uma variação (tamanho, stock, SKU, preço ajustado)
-router.put('/:id', authenticateToken, requireAdmin, validateRequest(productVariantUpdateSchema), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), validateRequest(productVariantUpdateSchema), async (req, res) => {
     try {
         const variantId = parseInt(req.params.id);
         const { size, stock, sku, priceAdjustment } = req.body; 
@@ -127,13 +133,14 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(productVaria
             }
         }
         
+        // Estado atual (validação do tamanho e registo de auditoria)
+        const currentVariant = await prisma.productVariant.findUnique({ where: { id: variantId } });
+        if (!currentVariant) {
+            return res.status(404).json({ error: 'Variação não encontrada.' });
+        }
+
         // Validar unicidade do tamanho dentro do mesmo produto ao atualizar
         if (dataToUpdate.size) {
-            const currentVariant = await prisma.productVariant.findUnique({ where: { id: variantId } });
-            if (!currentVariant) {
-                return res.status(404).json({ error: 'Variação não encontrada.' });
-            }
-
             // Verificar se o tamanho realmente está mudando antes de validar
             if (currentVariant.size !== dataToUpdate.size) { 
                 const existingSize = await prisma.productVariant.findFirst({
@@ -156,6 +163,8 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(productVaria
             data: dataToUpdate,
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: AUDIT_ENTITIES.PRODUCT_VARIANT, entityId: variantId, before: currentVariant, after: updatedVariant });
+
         res.status(200).json(updatedVariant);
 
     } catch (error) {
@@ -173,15 +182,17 @@ router.put('/:id', authenticateToken, requireAdmin, validateRequest(productVaria
 // ROTA 4: ELIMINAR VARIAÇÃO (DELETE /api/variants/:id) - PROTEGIDA
 // =================================================================
 // Eliminar uma variação de produto (bloqueia se está em pedidos/carrinhos ativos)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), async (req, res) => {
     try {
         const variantId = parseInt(req.params.id);
         
         // Eliminar variação do BD
-        await prisma.productVariant.delete({
+        const deletedVariant = await prisma.productVariant.delete({
             where: { id: variantId },
         });
 
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: AUDIT_ENTITIES.PRODUCT_VARIANT, entityId: variantId, before: deletedVariant });
+
         res.status(204).send(); 
     } catch (error) {
         // Erro P2025: Variação não encontrada
@@ -0,0 +1,87 @@
+// routes/return.js
+// Gerencia pedidos de devolução do cliente (abrir, listar, acompanhar estado)
+
+import { Router } from 'express';
+import prisma from '../db.js';
+import { authenticateToken } from '../utils/auth.js';
+import { validateRequest } from '../utils/validateRequest.js';
+import { returnCreateSchema } from '../utils/schemas.js';
+import { createReturnRequest, RETURN_INCLUDE } from '../utils/returns.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { requireVerifiedEmail } from '../utils/emailVerification.js';
+const router = Router();
+
+// =================================================================
+// ROTA 1: PEDIR DEVOLUÇÃO (POST /api/returns) - PROTEGIDA
+// =================================================================
+// O cliente indica as linhas e quantidades a devolver; o pedido fica a aguardar aprovação
+router.post('/', authenticateToken, requireVerifiedEmail('returns'), validateRequest(returnCreateSchema), async (req, res) => {
+    try {
+        const { orderId, reason, items } = req.body;
+
+        const returnRequest = await createReturnRequest({
+            orderId,
+            userId: req.user.id,
+            reason,
+            items,
+        });
+
+        res.status(201).json(returnRequest);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao criar pedido de devolução:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+// =================================================================
+// ROTA 2: LISTAR DEVOLUÇÕES DO UTILIZADOR (GET /api/returns) - PROTEGIDA
+// =================================================================
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const returns = await prisma.returnRequest.findMany({
+            where: { userId: req.user.id },
+            include: RETURN_INCLUDE,
+            orderBy: { createdAt: 'desc' },
+        });
+
+        res.status(200).json(returns);
+
+    } catch (error) {
+        console.error('Erro ao listar devoluções:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+// =================================================================
+// ROTA 3: OBTER UMA DEVOLUÇÃO (GET /api/returns/:returnId) - PROTEGIDA
+// =================================================================
+router.get('/:returnId', authenticateToken, async (req, res) => {
+    try {
+        const returnId = parseInt(req.params.returnId);
+
+        const returnRequest = await prisma.returnRequest.findUnique({
+            where: { id: returnId },
+            include: RETURN_INCLUDE,
+        });
+
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Devolução não encontrada.' });
+        }
+
+        // Validar que a devolução pertence ao utilizador autenticado (proteção de acesso)
+        if (returnRequest.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Acesso negado: Esta devolução não lhe pertence.' });
+        }
+
+        res.status(200).json(returnRequest);
+
+    } catch (error) {
+        console.error('Erro ao obter devolução:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+export default router;
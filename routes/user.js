@@ -1,17 +1,89 @@
 import { Router } from 'express';
 import prisma from '../db.js';
-import { hashPassword, checkPassword, signToken, authenticateToken } from '../utils/auth.js';
+import { hashPassword, checkPassword, authenticateToken } from '../utils/auth.js';
+import { mergeGuestCart, CART_TOKEN_HEADER } from '../utils/cartUtils.js';
 import { validateRequest } from '../utils/validateRequest.js';
-import { userRegisterSchema, userLoginSchema, userUpdateSchema, userProfileUpdateSchema, userChangePasswordSchema } from '../utils/schemas.js';
+import { userRegisterSchema, userLoginSchema, userUpdateSchema, userProfileUpdateSchema, userChangePasswordSchema, refreshTokenSchema, logoutSchema, forgotPasswordSchema, resetPasswordSchema, verifyEmailSchema, acceptInviteSchema, loginTwoFactorSchema, twoFactorCodeSchema, twoFactorDisableSchema, accountDeletionSchema } from '../utils/schemas.js';
+import { createSession, rotateRefreshToken, revokeSession, revokeAllSessions, listActiveSessions, REVOKE_REASONS } from '../utils/sessions.js';
+import { sendHttpError } from '../utils/httpError.js';
+import { issueUserToken, consumeUserToken, USER_TOKEN_TTL_MINUTES } from '../utils/userTokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { sendVerificationEmail } from '../utils/emailVerification.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../utils/loginThrottle.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../utils/securityLog.js';
+import { acceptInvite } from '../utils/invites.js';
+import { getAccountBlock } from '../utils/accountStatus.js';
+import { resolvePermissions, ROLE_SELECT, SYSTEM_ROLES } from '../utils/permissions.js';
+import { buildDataExport, requestAccountDeletion, cancelAccountDeletion, ACCOUNT_DELETION_GRACE_DAYS } from '../utils/accountDeletion.js';
+import { isTwoFactorRequired, signLoginChallenge, verifyLoginChallenge, verifySecondFactor, getTwoFactorStatus, beginTwoFactorSetup, enableTwoFactor, regenerateRecoveryCodes, disableTwoFactor, LOGIN_CHALLENGE_TTL } from '../utils/twoFactor.js';
 const router = Router();
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Junta o carrinho de visitante sem bloquear o login/registo em caso de falha
+// Retorna o resumo da junção (ou null se não havia carrinho de visitante)
+async function mergeGuestCartSafely(userId, cartToken) {
+    try {
+        return await mergeGuestCart(userId, cartToken);
+    } catch (error) {
+        console.error('Erro ao juntar carrinho de visitante:', error);
+        return null;
+    }
+}
+
+// Resposta 429 quando o login está em espera ou bloqueado (ver utils/loginThrottle.js)
+function sendLoginThrottled(res, throttle) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    return res.status(429).json({
+        error: throttle.locked
+            ? 'Demasiadas tentativas falhadas. O acesso está temporariamente bloqueado.'
+            : 'Demasiadas tentativas falhadas. Aguarde antes de tentar novamente.',
+        retryAfter: throttle.retryAfter,
+    });
+}
+
+// Password ou segundo fator errados ao gerir a 2FA (ROTAS 18 e 19): contam para o limite de tentativas
+// de login da conta e do IP (um token roubado não permite adivinhar códigos) e ficam no registo de segurança
+async function recordTwoFactorFailure(user, req, action) {
+    await recordLoginFailure(user.email, req.ip, { userId: user.id });
+    await recordSecurityEvent({
+        type: SECURITY_EVENTS.TWO_FACTOR_VERIFICATION_FAILED,
+        userId: user.id,
+        email: user.email,
+        ipAddress: req.ip,
+        details: { action },
+    });
+}
+
+// Último passo do login (password e, se ativa, 2FA confirmadas): abre a sessão neste dispositivo
+// e junta o carrinho de visitante (se enviado) ao carrinho do utilizador
+// twoFactorVerified marca a sessão como aberta com o segundo fator (exigido para a administração)
+async function completeLogin(user, req, res, { twoFactorVerified = false } = {}) {
+    await recordLoginSuccess(user.email);
+
+    const { accessToken, refreshToken } = await createSession(user, req, { twoFactorVerified });
+    const cartMerge = await mergeGuestCartSafely(user.id, req.get(CART_TOKEN_HEADER));
+
+    res.status(200).json({
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        emailVerified: user.emailVerifiedAt !== null,
+        // Conta da equipa sem 2FA: a área de administração fica bloqueada até a configurarem e voltarem a iniciar sessão com ela
+        twoFactorSetupRequired: isTwoFactorRequired(user.role) && !user.twoFactorEnabledAt,
+        token: accessToken,
+        refreshToken,
+        cartMerge,
+    });
+}
+
 // =================================================================
 // ROTA 1: REGISTO DE NOVO UTILIZADOR (POST /api/users/register)
 // =================================================================
 
 router.post('/register', validateRequest(userRegisterSchema), async (req, res) => {
     try {
-        const { firstName, lastName, email, password, role = 'USER' } = req.body; 
+        const { firstName, lastName, email, password } = req.body;
 
         // Validar que o email não está já registado
         const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -22,26 +94,38 @@ router.post('/register', validateRequest(userRegisterSchema), async (req, res) =
         // Hash da password antes de guardar no BD
         const hashedPassword = await hashPassword(password);
 
-        // Criar novo utilizador com role padrão de USER
+        // O registo público cria sempre contas USER (contas da equipa só por convite, ver utils/invites.js)
         const newUser = await prisma.user.create({
             data: {
                 firstName,
                 lastName,
                 email,
                 passwordHash: hashedPassword, 
-                role,
+                role: { connect: { key: SYSTEM_ROLES.USER } },
             },
+            include: { role: ROLE_SELECT },
         });
 
-        // Gerar token JWT para autenticação imediata
-        const token = signToken(newUser);
+        // Abrir sessão para autenticação imediata (access token + refresh token)
+        // Ações como o checkout ficam bloqueadas até o email ser confirmado (ver utils/emailVerification.js)
+        const { accessToken, refreshToken } = await createSession(newUser, req);
+
+        // Link de confirmação do email (falha no envio não impede o registo: pode ser reenviado)
+        sendVerificationEmail(newUser, { requestedIp: req.ip })
+            .catch(error => console.error('Erro ao enviar email de verificação:', error));
+
+        // Juntar carrinho de visitante (se enviado) ao novo utilizador
+        const cartMerge = await mergeGuestCartSafely(newUser.id, req.get(CART_TOKEN_HEADER));
         
         res.status(201).json({
             id: newUser.id,
             email: newUser.email,
             firstName: newUser.firstName,
-            role: newUser.role,
-            token: token,
+            role: newUser.role.key,
+            emailVerified: false,
+            token: accessToken,
+            refreshToken,
+            cartMerge,
         });
 
     } catch (error) {
@@ -59,27 +143,43 @@ router.post('/login', validateRequest(userLoginSchema), async (req, res) => {
     try {
         const { email, password } = req.body;
 
+        // Proteção contra força bruta: espera crescente após falhas e bloqueio temporário (por conta e por IP)
+        const throttle = await checkLoginAllowed(email, req.ip);
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
+        }
+
         // Procurar utilizador pelo email
-        const user = await prisma.user.findUnique({ where: { email } });
+        const user = await prisma.user.findUnique({ where: { email }, include: { role: ROLE_SELECT } });
         if (!user) {
+            await recordLoginFailure(email, req.ip);
             return res.status(401).json({ error: 'Credenciais inválidas.' });
         }
 
         // Verificar password contra hash guardado
         const isMatch = await checkPassword(password, user.passwordHash);
         if (!isMatch) {
+            await recordLoginFailure(email, req.ip, { userId: user.id });
             return res.status(401).json({ error: 'Credenciais inválidas.' });
         }
 
-        // Gerar token JWT para sessão
-        const token = signToken(user);
+        // Conta suspensa ou banida pela administração (só indicado após a password correta)
+        const block = getAccountBlock(user);
+        if (block) {
+            return res.status(403).json(block);
+        }
 
-        res.status(200).json({
-            id: user.id,
-            email: user.email,
-            firstName: user.firstName,
-            token: token,
-        });
+        // 2FA ativa: a sessão só é aberta após o código (POST /api/users/login/2fa)
+        // As falhas da conta só são limpas no fim, para o código não poder ser adivinhado entre logins
+        if (user.twoFactorEnabledAt) {
+            return res.status(200).json({
+                twoFactorRequired: true,
+                challengeToken: signLoginChallenge(user),
+                expiresIn: LOGIN_CHALLENGE_TTL,
+            });
+        }
+
+        await completeLogin(user, req, res);
 
     } catch (error) {
         console.error('Erro no login do utilizador:', error);
@@ -104,7 +204,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
                 firstName: true,
                 lastName: true,
                 email: true,
-                role: true,
+                emailVerifiedAt: true,
+                twoFactorEnabledAt: true,
+                deletionScheduledFor: true,
+                role: ROLE_SELECT,
                 createdAt: true,
                 updatedAt: true,
             },
@@ -114,7 +217,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Utilizador não encontrado.' });
         }
 
-        res.status(200).json(user);
+        // Papel e permissões efetivas (a aplicação mostra apenas as áreas a que o utilizador tem acesso)
+        res.status(200).json({ ...user, role: user.role.key, permissions: resolvePermissions(user.role) });
 
     } catch (error) {
         console.error('Erro ao aceder ao perfil:', error);
@@ -151,12 +255,12 @@ router.put('/profile', authenticateToken, validateRequest(userProfileUpdateSchem
                 email: true,
                 phone: true,
                 dateOfBirth: true,
-                role: true,
+                role: { select: { key: true } },
                 updatedAt: true,
             },
         });
 
-        res.status(200).json(updatedUser);
+        res.status(200).json({ ...updatedUser, role: updatedUser.role.key });
 
     } catch (error) {
         // Erro P2025: Utilizador não encontrado
@@ -203,7 +307,10 @@ router.put('/change-password', authenticateToken, validateRequest(userChangePass
             data: { passwordHash: hashedNewPassword },
         });
 
-        res.status(200).json({ message: 'Password alterada com sucesso.' });
+        // Terminar as sessões dos outros dispositivos (a sessão atual mantém-se)
+        await revokeAllSessions(userId, { exceptSessionId: req.user.sessionId, reason: REVOKE_REASONS.PASSWORD_CHANGED });
+
+        res.status(200).json({ message: 'Password alterada com sucesso. As sessões noutros dispositivos foram terminadas.' });
 
     } catch (error) {
         console.error('Erro ao alterar password:', error);
@@ -212,4 +319,505 @@ router.put('/change-password', authenticateToken, validateRequest(userChangePass
 });
 
 
-export default router;
\ No newline at end of file
+// =================================================================
+// ROTA 6: RENOVAR SESSÃO (POST /api/users/refresh)
+// =================================================================
+// Troca o refresh token por um novo par de tokens (rotação: o refresh token enviado deixa de ser válido)
+router.post('/refresh', validateRequest(refreshTokenSchema), async (req, res) => {
+    try {
+        const { accessToken, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+        res.status(200).json({ token: accessToken, refreshToken });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao renovar sessão:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao renovar sessão.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 7: LOGOUT (POST /api/users/logout) - PROTEGIDA
+// =================================================================
+// Termina a sessão atual; com allDevices termina as sessões de todos os dispositivos
+router.post('/logout', authenticateToken, validateRequest(logoutSchema), async (req, res) => {
+    try {
+        if (req.body.allDevices) {
+            await revokeAllSessions(req.user.id, { reason: REVOKE_REASONS.LOGOUT_ALL });
+        } else {
+            await revokeSession(req.user.sessionId, REVOKE_REASONS.LOGOUT);
+        }
+
+        res.status(204).send();
+
+    } catch (error) {
+        console.error('Erro no logout:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao terminar sessão.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 8: SESSÕES ATIVAS (GET /api/users/profile/sessions) - PROTEGIDA
+// =================================================================
+// Dispositivos com sessão iniciada (a sessão do pedido atual vem marcada com current)
+router.get('/profile/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user.id);
+
+        res.status(200).json(sessions.map(session => ({
+            ...session,
+            current: session.id === req.user.sessionId,
+        })));
+
+    } catch (error) {
+        console.error('Erro ao listar sessões:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 9: TERMINAR SESSÃO DE UM DISPOSITIVO (DELETE /api/users/profile/sessions/:sessionId) - PROTEGIDA
+// =================================================================
+router.delete('/profile/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
+
+        const session = await prisma.userSession.findUnique({ where: { id: sessionId }, select: { userId: true } });
+
+        if (!session || session.userId !== req.user.id) {
+            return res.status(404).json({ error: 'Sessão não encontrada.' });
+        }
+
+        await revokeSession(sessionId, REVOKE_REASONS.USER_REVOKED);
+
+        res.status(204).send();
+
+    } catch (error) {
+        console.error('Erro ao terminar sessão:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 10: PEDIR RECUPERAÇÃO DE PASSWORD (POST /api/users/forgot-password)
+// =================================================================
+// Envia por email um link com token de utilização única
+// A resposta é sempre a mesma, exista ou não uma conta com o email (não revela emails registados)
+router.post('/forgot-password', validateRequest(forgotPasswordSchema), async (req, res) => {
+    const genericResponse = { message: 'Se existir uma conta com este email, receberá um link para definir uma nova password.' };
+
+    try {
+        const user = await prisma.user.findUnique({
+            where: { email: req.body.email },
+            select: { id: true, email: true, firstName: true },
+        });
+
+        if (user) {
+            const token = await issueUserToken(user.id, 'password_reset', { requestedIp: req.ip });
+            const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+            // Envio sem esperar pela entrega: o tempo de resposta não depende da existência da conta
+            sendMail({
+                to: user.email,
+                subject: 'Recuperação de password',
+                text: `Olá ${user.firstName},\n\nPara definir uma nova password abra o link abaixo (válido durante ${USER_TOKEN_TTL_MINUTES.password_reset} minutos):\n${link}\n\nSe não pediu a recuperação, ignore este email.`,
+            }).catch(error => console.error('Erro ao enviar email de recuperação de password:', error));
+        }
+
+        res.status(202).json(genericResponse);
+
+    } catch (error) {
+        console.error('Erro ao pedir recuperação de password:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 11: DEFINIR NOVA PASSWORD (POST /api/users/reset-password)
+// =================================================================
+// Consome o token do email, altera a password e termina todas as sessões existentes
+router.post('/reset-password', validateRequest(resetPasswordSchema), async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+        const hashedNewPassword = await hashPassword(newPassword);
+
+        await prisma.$transaction(async (tx) => {
+            const userId = await consumeUserToken(token, 'password_reset', tx);
+
+            await tx.user.update({
+                where: { id: userId },
+                data: { passwordHash: hashedNewPassword },
+            });
+
+            await revokeAllSessions(userId, { reason: REVOKE_REASONS.PASSWORD_RESET, client: tx });
+        });
+
+        res.status(200).json({ message: 'Password alterada com sucesso. Faça login com a nova password.' });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao definir nova password:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao definir nova password.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 12: CONFIRMAR EMAIL (POST /api/users/verify-email)
+// =================================================================
+// Consome o token do link enviado por email (não exige sessão: o link pode ser aberto noutro dispositivo)
+router.post('/verify-email', validateRequest(verifyEmailSchema), async (req, res) => {
+    try {
+        await prisma.$transaction(async (tx) => {
+            const userId = await consumeUserToken(req.body.token, 'email_verification', tx);
+
+            await tx.user.updateMany({
+                where: { id: userId, emailVerifiedAt: null },
+                data: { emailVerifiedAt: new Date() },
+            });
+        });
+
+        res.status(200).json({ message: 'Email confirmado com sucesso.' });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao confirmar email:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao confirmar email.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 13: REENVIAR EMAIL DE CONFIRMAÇÃO (POST /api/users/resend-verification) - PROTEGIDA
+// =================================================================
+// Emite um novo link (os anteriores deixam de ser válidos)
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(409).json({ error: 'O email já está confirmado.' });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, firstName: true },
+        });
+
+        await sendVerificationEmail(user, { requestedIp: req.ip });
+
+        res.status(202).json({ message: 'Enviámos um novo link de confirmação para o seu email.' });
+
+    } catch (error) {
+        console.error('Erro ao reenviar email de verificação:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao enviar email.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 14: LOGIN - SEGUNDO FATOR (POST /api/users/login/2fa)
+// =================================================================
+// Troca o desafio do login e um código da app (ou um código de recuperação) pela sessão
+// Códigos errados contam para o limite de tentativas de login da conta e do IP
+router.post('/login/2fa', validateRequest(loginTwoFactorSchema), async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = verifyLoginChallenge(challengeToken);
+
+        const user = await prisma.user.findUnique({ where: { id: userId }, include: { role: ROLE_SELECT } });
+        if (!user || !user.twoFactorEnabledAt) {
+            return res.status(401).json({ error: 'Desafio de login inválido ou expirado. Faça login novamente.' });
+        }
+
+        const block = getAccountBlock(user);
+        if (block) {
+            return res.status(403).json(block);
+        }
+
+        const throttle = await checkLoginAllowed(user.email, req.ip);
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
+        }
+
+        const { valid } = await verifySecondFactor(user, { code, recoveryCode });
+        if (!valid) {
+            await recordLoginFailure(user.email, req.ip, { userId: user.id });
+            return res.status(401).json({ error: 'Código de verificação inválido.' });
+        }
+
+        await completeLogin(user, req, res, { twoFactorVerified: true });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro no segundo passo do login:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao fazer login.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 15: ESTADO DA 2FA (GET /api/users/profile/2fa) - PROTEGIDA
+// =================================================================
+
+router.get('/profile/2fa', authenticateToken, async (req, res) => {
+    try {
+        const status = await getTwoFactorStatus(req.user.id);
+
+        res.status(200).json(status);
+
+    } catch (error) {
+        console.error('Erro ao obter estado da 2FA:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 16: INICIAR CONFIGURAÇÃO DA 2FA (POST /api/users/profile/2fa/setup) - PROTEGIDA
+// =================================================================
+// Devolve o segredo e o URI otpauth:// (QR code); a 2FA só fica ativa após confirmar um código (ROTA 17)
+router.post('/profile/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const setup = await beginTwoFactorSetup(req.user.id);
+
+        res.status(200).json(setup);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao iniciar configuração da 2FA:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 17: ATIVAR 2FA (POST /api/users/profile/2fa/enable) - PROTEGIDA
+// =================================================================
+// Confirma o primeiro código da app; os códigos de recuperação são mostrados apenas nesta resposta
+// As outras sessões são terminadas; a sessão atual (aberta só com a password) não dá acesso à administração:
+// é preciso novo login com o segundo fator
+router.post('/profile/2fa/enable', authenticateToken, validateRequest(twoFactorCodeSchema), async (req, res) => {
+    try {
+        const recoveryCodes = await enableTwoFactor(req.user.id, req.body.code);
+
+        await revokeAllSessions(req.user.id, { exceptSessionId: req.user.sessionId, reason: REVOKE_REASONS.TWO_FACTOR_ENABLED });
+
+        res.status(200).json({
+            message: 'Autenticação de dois fatores ativada. Guarde os códigos de recuperação num local seguro.',
+            recoveryCodes,
+            // Contas da equipa: a administração exige uma sessão aberta com o segundo fator
+            twoFactorLoginRequired: req.user.permissions.length > 0,
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao ativar 2FA:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 18: NOVOS CÓDIGOS DE RECUPERAÇÃO (POST /api/users/profile/2fa/recovery-codes) - PROTEGIDA
+// =================================================================
+// Exige um código atual da app; os códigos anteriores deixam de ser válidos
+// Códigos errados contam para o limite de tentativas de login da conta e do IP
+router.post('/profile/2fa/recovery-codes', authenticateToken, validateRequest(twoFactorCodeSchema), async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, twoFactorSecret: true, twoFactorEnabledAt: true },
+        });
+
+        if (!user.twoFactorEnabledAt) {
+            return res.status(409).json({ error: 'A autenticação de dois fatores não está ativa.' });
+        }
+
+        const throttle = await checkLoginAllowed(user.email, req.ip);
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
+        }
+
+        const { valid } = await verifySecondFactor(user, { code: req.body.code });
+        if (!valid) {
+            await recordTwoFactorFailure(user, req, 'recovery_codes');
+            return res.status(400).json({ error: 'Código de verificação inválido.' });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+        res.status(200).json({ recoveryCodes });
+
+    } catch (error) {
+        console.error('Erro ao gerar códigos de recuperação:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 19: DESATIVAR 2FA (POST /api/users/profile/2fa/disable) - PROTEGIDA
+// =================================================================
+// Exige a password e um segundo fator (código da app ou de recuperação)
+// Falhas contam para o limite de tentativas de login da conta e do IP
+// Contas da equipa podem desativar (ex: trocar de dispositivo), mas perdem o acesso à administração até voltarem a ativar
+router.post('/profile/2fa/disable', authenticateToken, validateRequest(twoFactorDisableSchema), async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, passwordHash: true, twoFactorSecret: true, twoFactorEnabledAt: true },
+        });
+
+        if (!user.twoFactorEnabledAt) {
+            return res.status(409).json({ error: 'A autenticação de dois fatores não está ativa.' });
+        }
+
+        const throttle = await checkLoginAllowed(user.email, req.ip);
+        if (!throttle.allowed) {
+            return sendLoginThrottled(res, throttle);
+        }
+
+        const isMatch = await checkPassword(password, user.passwordHash);
+        if (!isMatch) {
+            await recordTwoFactorFailure(user, req, 'disable');
+            return res.status(401).json({ error: 'Password incorreta.' });
+        }
+
+        const { valid } = await verifySecondFactor(user, { code, recoveryCode });
+        if (!valid) {
+            await recordTwoFactorFailure(user, req, 'disable');
+            return res.status(400).json({ error: 'Código de verificação inválido.' });
+        }
+
+        await disableTwoFactor(user.id);
+
+        res.status(200).json({ message: 'Autenticação de dois fatores desativada.' });
+
+    } catch (error) {
+        console.error('Erro ao desativar 2FA:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 20: ACEITAR CONVITE DE ADMINISTRAÇÃO (POST /api/users/accept-invite)
+// =================================================================
+// Cria a conta com o email e o papel do convite (ver ROTA 44 de admin.js) e abre sessão
+// A administração fica bloqueada até a 2FA ser ativada e usada num novo login (twoFactorSetupRequired)
+router.post('/accept-invite', validateRequest(acceptInviteSchema), async (req, res) => {
+    try {
+        const newUser = await acceptInvite(req.body, { requestedIp: req.ip });
+
+        const { accessToken, refreshToken } = await createSession(newUser, req);
+
+        res.status(201).json({
+            id: newUser.id,
+            email: newUser.email,
+            firstName: newUser.firstName,
+            role: newUser.role.key,
+            emailVerified: true,
+            twoFactorSetupRequired: isTwoFactorRequired(newUser.role),
+            token: accessToken,
+            refreshToken,
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao aceitar convite:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao aceitar convite.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 21: EXPORTAR DADOS PESSOAIS (GET /api/users/me/export) - PROTEGIDA
+// =================================================================
+// Ficheiro JSON com perfil, moradas, encomendas, lista de desejos, carrinho e sessões ativas (RGPD)
+router.get('/me/export', authenticateToken, async (req, res) => {
+    try {
+        // A personificação serve para ver a loja, não para extrair os dados do cliente
+        if (req.user.impersonatorId) {
+            return res.status(403).json({ error: 'Indisponível numa sessão de personificação.', code: 'IMPERSONATION_READ_ONLY' });
+        }
+
+        const data = await buildDataExport(req.user.id);
+
+        res.set('Content-Disposition', `attachment; filename="dados-pessoais-${req.user.id}.json"`);
+        res.status(200).json(data);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao exportar dados pessoais:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao exportar dados.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 22: ELIMINAR CONTA (DELETE /api/users/me) - PROTEGIDA
+// =================================================================
+// Agenda a anonimização para daqui a ACCOUNT_DELETION_GRACE_DAYS dias; até lá pode ser cancelada (ROTA 23)
+// As encomendas são mantidas (contabilidade) sem email nem moradas
+router.delete('/me', authenticateToken, validateRequest(accountDeletionSchema), async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { passwordHash: true },
+        });
+
+        const isMatch = await checkPassword(req.body.password, user.passwordHash);
+        if (!isMatch) {
+            return res.status(401).json({ error: 'Password incorreta.' });
+        }
+
+        const { deletionScheduledFor } = await requestAccountDeletion(req.user.id, { requestedIp: req.ip });
+
+        res.status(202).json({
+            message: `A conta será eliminada dentro de ${ACCOUNT_DELETION_GRACE_DAYS} dias. Até lá pode cancelar o pedido.`,
+            deletionScheduledFor,
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao pedir eliminação da conta:', error);
+        res.status(500).json({ error: 'Falha interna do servidor ao eliminar conta.' });
+    }
+});
+
+
+// =================================================================
+// ROTA 23: CANCELAR ELIMINAÇÃO DA CONTA (POST /api/users/me/deletion/cancel) - PROTEGIDA
+// =================================================================
+router.post('/me/deletion/cancel', authenticateToken, async (req, res) => {
+    try {
+        await cancelAccountDeletion(req.user.id, { requestedIp: req.ip });
+
+        res.status(200).json({ message: 'Pedido de eliminação da conta cancelado.' });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+
+        console.error('Erro ao cancelar eliminação da conta:', error);
+        res.status(500).json({ error: 'Falha interna do servidor.' });
+    }
+});
+
+
+export default router;
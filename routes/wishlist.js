@@ -6,6 +6,7 @@ import prisma from '../db.js';
 import { authenticateToken } from '../utils/auth.js';
 import { validateRequest } from '../utils/validateRequest.js';
 import { wishlistAddSchema } from '../utils/schemas.js';
+import { withAvailableStock } from '../utils/stockReservations.js';
 const router = Router();
 
 // =================================================================
@@ -42,8 +43,11 @@ router.get('/', authenticateToken, async (req, res) => {
             orderBy: { createdAt: 'desc' },
         });
 
+        // Stock disponível das variantes (desconta reservas ativas de checkouts em curso)
+        const variants = await withAvailableStock(wishlistItems.map(item => item.variant));
+
         // Formatar dados para retorno, incluindo URL da imagem principal
-        const formattedItems = wishlistItems.map(item => ({
+        const formattedItems = wishlistItems.map((item, index) => ({
             id: item.id,
             product: {
                 id: item.product.id,
@@ -53,7 +57,7 @@ router.get('/', authenticateToken, async (req, res) => {
                 description: item.product.description,
                 primaryImageUrl: item.product.images.length > 0 ? item.product.images[0].url : null,
             },
-            variant: item.variant,
+            variant: variants[index],
         }));
 
         res.status(200).json(formattedItems);
@@ -0,0 +1,65 @@
+// test/totp.test.js
+// Vetores de teste do RFC 6238 (anexo B, SHA-1) e do RFC 4226 (anexo D) para utils/totp.js
+// Segredo dos RFC: "12345678901234567890" em ASCII; os códigos de 6 dígitos são os últimos 6 dos de 8 dígitos
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Encode, base32Decode, hotp, generateTotp, verifyTotp, totpStep } from '../utils/totp.js';
+
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+// [tempo Unix (segundos), código TOTP de 8 dígitos do RFC 6238]
+const RFC_6238_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+];
+
+// Códigos HOTP para os contadores 0 a 9 (RFC 4226)
+const RFC_4226_VECTORS = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+test('base32 do segredo dos RFC', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(base32Decode(RFC_SECRET.toLowerCase()).toString('ascii'), '12345678901234567890');
+});
+
+test('hotp reproduz os vetores do RFC 4226', () => {
+    RFC_4226_VECTORS.forEach((code, counter) => {
+        assert.equal(hotp(RFC_SECRET, counter), code, `contador ${counter}`);
+    });
+});
+
+test('generateTotp reproduz os vetores do RFC 6238', () => {
+    for (const [seconds, code] of RFC_6238_VECTORS) {
+        assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+    }
+});
+
+test('verifyTotp aceita os códigos dos vetores e devolve o intervalo', () => {
+    for (const [seconds, code] of RFC_6238_VECTORS) {
+        const timestamp = seconds * 1000;
+        assert.equal(verifyTotp(RFC_SECRET, code.slice(-6), { timestamp }), totpStep(timestamp), `T = ${seconds}`);
+    }
+});
+
+test('verifyTotp tolera ±1 intervalo e rejeita fora da janela', () => {
+    const timestamp = 1111111111 * 1000;
+    const code = generateTotp(RFC_SECRET, timestamp);
+
+    assert.equal(verifyTotp(RFC_SECRET, code, { timestamp: timestamp + 30 * 1000 }), totpStep(timestamp));
+    assert.equal(verifyTotp(RFC_SECRET, code, { timestamp: timestamp - 30 * 1000 }), totpStep(timestamp));
+    assert.equal(verifyTotp(RFC_SECRET, code, { timestamp: timestamp + 90 * 1000 }), null);
+    assert.equal(verifyTotp(RFC_SECRET, code, { timestamp: timestamp + 90 * 1000, window: 3 }), totpStep(timestamp));
+});
+
+test('verifyTotp rejeita códigos mal formados', () => {
+    const timestamp = 59 * 1000;
+
+    assert.equal(verifyTotp(RFC_SECRET, '94287082', { timestamp }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '28708', { timestamp }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '28708a', { timestamp }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '287 082', { timestamp }), totpStep(timestamp));
+});
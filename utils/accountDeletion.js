@@ -0,0 +1,336 @@
+// utils/accountDeletion.js
+// Direitos do titular dos dados (RGPD): exportação dos dados pessoais e eliminação da conta por anonimização
+// A eliminação só acontece após um prazo em que pode ser cancelada (ACCOUNT_DELETION_GRACE_DAYS, predefinido 30)
+// e é aplicada por npm run process-deletions (agendar diariamente, ex: cron)
+// As encomendas são mantidas para a contabilidade: o email e as moradas copiadas são substituídos
+// Contas com encomendas por entregar só são anonimizadas depois da entrega ou do cancelamento (a morada é precisa até lá)
+
+import crypto from 'crypto';
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { hashPassword } from './auth.js';
+import { sendMail } from './mailer.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityLog.js';
+import { unlockAccount } from './loginThrottle.js';
+import { isStaffRole, ROLE_SELECT, SYSTEM_ROLES } from './permissions.js';
+
+export const ACCOUNT_DELETION_GRACE_DAYS = Math.max(parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30, 0);
+
+// Versão do formato do ficheiro de exportação (muda se a estrutura mudar)
+const EXPORT_FORMAT_VERSION = 1;
+
+// Email de substituição: único por conta e num domínio reservado (.invalid nunca recebe correio)
+const anonymisedEmail = (userId) => `anonimo-${userId}@anonymised.invalid`;
+
+// Morada copiada na encomenda sem dados pessoais: mantém o país, o distrito (state) e os 4 primeiros dígitos
+// do código postal, de onde se deriva a região da taxa de IVA aplicada (ver resolveTaxDestination em utils/tax.js)
+const scrubAddressSnapshot = (snapshot) => snapshot && ({
+    country: snapshot.country ?? null,
+    state: snapshot.state ?? null,
+    postalCode: String(snapshot.postalCode ?? '').replace(/\D/g, '').slice(0, 4) || null,
+    anonymised: true,
+});
+
+// Encomendas que ainda precisam da morada de envio (por enviar ou em trânsito)
+const OPEN_ORDER_STATUSES = ['pending', 'processing', 'on_hold', 'shipped'];
+
+// Campos com dados pessoais do cliente nos objetos Stripe guardados (sessão de checkout, pagamento, charge)
+const STRIPE_PII_FIELDS = ['customer_email', 'customer_details', 'shipping_details', 'shipping', 'billing_details', 'receipt_email', 'collected_information'];
+
+// Evento Stripe guardado sem os dados pessoais do objeto (o resto mantém-se para auditoria e reprocessamento)
+const scrubStripeEventPayload = (payload) => ({
+    ...payload,
+    data: {
+        ...payload.data,
+        object: Object.fromEntries(Object.entries(payload.data?.object ?? {}).map(([key, value]) => [
+            key,
+            STRIPE_PII_FIELDS.includes(key) ? null : value,
+        ])),
+    },
+});
+
+// Todos os dados pessoais do utilizador num objeto JSON (GET /api/users/me/export)
+export async function buildDataExport(userId) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            phone: true,
+            dateOfBirth: true,
+            emailVerifiedAt: true,
+            twoFactorEnabledAt: true,
+            deletionScheduledFor: true,
+            createdAt: true,
+            updatedAt: true,
+            role: { select: { key: true } },
+            addresses: { orderBy: { id: 'asc' } },
+            orders: {
+                include: {
+                    lineItems: {
+                        select: { title: true, variantTitle: true, sku: true, quantity: true, price: true, total: true, taxRate: true, taxAmount: true, refundedQuantity: true },
+                    },
+                    transactions: {
+                        select: { stripeObjectType: true, status: true, paymentMethod: true, amount: true, currency: true, reason: true, createdAt: true },
+                    },
+                    shipments: {
+                        select: { carrier: true, trackingNumber: true, trackingUrl: true, status: true, shippedAt: true, deliveredAt: true },
+                    },
+                    returns: {
+                        select: {
+                            id: true,
+                            status: true,
+                            reason: true,
+                            createdAt: true,
+                            refundedAt: true,
+                            items: { select: { quantity: true, lineItem: { select: { title: true, variantTitle: true } } } },
+                        },
+                    },
+                },
+                orderBy: { createdAt: 'asc' },
+            },
+            wishlistItems: {
+                select: {
+                    createdAt: true,
+                    product: { select: { id: true, name: true } },
+                    variant: { select: { id: true, sku: true, size: true } },
+                },
+                orderBy: { createdAt: 'asc' },
+            },
+            shoppingCart: {
+                select: {
+                    cartStatus: true,
+                    totalPrice: true,
+                    updatedAt: true,
+                    items: {
+                        select: {
+                            quantity: true,
+                            itemPrice: true,
+                            product: { select: { id: true, name: true } },
+                            variant: { select: { id: true, sku: true, size: true } },
+                        },
+                    },
+                },
+            },
+            sessions: {
+                where: { revokedAt: null, expiresAt: { gt: new Date() } },
+                select: { userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true },
+            },
+        },
+    });
+
+    if (!user) {
+        throw httpError(404, 'Utilizador não encontrado.');
+    }
+
+    const { addresses, orders, wishlistItems, shoppingCart, sessions, role, ...profile } = user;
+
+    return {
+        formatVersion: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile: { ...profile, role: role.key },
+        addresses,
+        orders,
+        wishlist: wishlistItems,
+        cart: shoppingCart,
+        activeSessions: sessions,
+    };
+}
+
+// Agenda a eliminação da conta para o fim do prazo de cancelamento
+// Contas da equipa não são eliminadas por este meio (o papel tem de ser alterado primeiro)
+// Lança httpError 409 se for uma conta da equipa ou se a eliminação já estiver agendada
+export async function requestAccountDeletion(userId, { requestedIp = null } = {}) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, firstName: true, deletionScheduledFor: true, role: ROLE_SELECT },
+    });
+
+    if (isStaffRole(user.role)) {
+        throw httpError(409, 'Contas da equipa não podem ser eliminadas. Peça a alteração do papel para cliente primeiro.');
+    }
+    if (user.deletionScheduledFor) {
+        throw httpError(409, 'A eliminação da conta já está agendada.', { deletionScheduledFor: user.deletionScheduledFor });
+    }
+
+    const now = new Date();
+    const deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await prisma.user.update({
+        where: { id: userId },
+        data: { deletionRequestedAt: now, deletionScheduledFor },
+    });
+
+    await recordSecurityEvent({
+        type: SECURITY_EVENTS.ACCOUNT_DELETION_REQUESTED,
+        userId,
+        email: user.email,
+        ipAddress: requestedIp,
+        details: { deletionScheduledFor },
+    });
+
+    // A eliminação já está agendada: uma falha no envio não invalida o pedido
+    await sendMail({
+        to: user.email,
+        subject: 'Pedido de eliminação da conta',
+        text: `Olá ${user.firstName},\n\nRecebemos o pedido de eliminação da sua conta. Os seus dados pessoais serão apagados em ${deletionScheduledFor.toISOString().slice(0, 10)} (ou, havendo encomendas em curso, depois da sua entrega).\nAté lá pode cancelar o pedido iniciando sessão na loja. As encomendas são mantidas sem dados pessoais, como exige a lei.`,
+    }).catch(error => console.error('Erro ao enviar email de eliminação da conta:', error));
+
+    return { deletionScheduledFor };
+}
+
+// Cancela a eliminação agendada
+// Lança httpError 409 se não houver eliminação pendente
+export async function cancelAccountDeletion(userId, { requestedIp = null } = {}) {
+    const { count } = await prisma.user.updateMany({
+        where: { id: userId, deletionScheduledFor: { not: null }, anonymisedAt: null },
+        data: { deletionRequestedAt: null, deletionScheduledFor: null },
+    });
+
+    if (count === 0) {
+        throw httpError(409, 'Não existe nenhum pedido de eliminação da conta pendente.');
+    }
+
+    await recordSecurityEvent({
+        type: SECURITY_EVENTS.ACCOUNT_DELETION_CANCELLED,
+        userId,
+        ipAddress: requestedIp,
+    });
+}
+
+// Anonimiza a conta: apaga moradas, carrinho, lista de desejos, sessões e tokens e substitui os dados pessoais
+// O registo do utilizador fica (as encomendas continuam ligadas a ele) mas sem email, nome, telefone nem password utilizáveis
+// Nas encomendas o email passa a ser o de substituição e as moradas copiadas ficam só com o necessário para o IVA
+// Nos eventos Stripe guardados do utilizador (metadata.userId ou pagamentos das suas encomendas) são apagados
+// o email, o nome, o telefone e as moradas do cliente
+// Retorna false se a conta já estiver anonimizada ou tiver encomendas por entregar (a anonimização fica adiada)
+export async function anonymiseUser(userId) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, anonymisedAt: true },
+    });
+
+    if (!user || user.anonymisedAt) return false;
+
+    const openOrders = await prisma.order.count({ where: { userId, status: { in: OPEN_ORDER_STATUSES } } });
+    if (openOrders > 0) return false;
+
+    const email = anonymisedEmail(userId);
+    // Password aleatória nunca revelada: a conta deixa de permitir login
+    const passwordHash = await hashPassword(crypto.randomBytes(32).toString('base64url'));
+
+    await prisma.$transaction(async (tx) => {
+        const orders = await tx.order.findMany({
+            where: { userId },
+            select: { id: true, shippingAddress: true, billingAddress: true },
+        });
+
+        for (const order of orders) {
+            await tx.order.update({
+                where: { id: order.id },
+                data: {
+                    email,
+                    notes: null,
+                    shippingAddress: scrubAddressSnapshot(order.shippingAddress) ?? undefined,
+                    billingAddress: scrubAddressSnapshot(order.billingAddress) ?? undefined,
+                },
+            });
+        }
+
+        // Eventos Stripe do utilizador: sessões com metadata.userId e eventos dos pagamentos das suas encomendas
+        const payments = await tx.orderTransaction.findMany({
+            where: { order: { userId }, stripeObjectType: { not: 'refund' } },
+            select: { stripeId: true },
+        });
+        const paymentIntentIds = [...new Set(payments.map(payment => payment.stripeId))];
+
+        const stripeEvents = await tx.stripeEvent.findMany({
+            where: {
+                OR: [
+                    { payload: { path: ['data', 'object', 'metadata', 'userId'], equals: String(userId) } },
+                    ...paymentIntentIds.flatMap(paymentIntentId => [
+                        { payload: { path: ['data', 'object', 'payment_intent'], equals: paymentIntentId } },
+                        { payload: { path: ['data', 'object', 'id'], equals: paymentIntentId } },
+                    ]),
+                ],
+            },
+            select: { id: true, payload: true },
+        });
+
+        for (const event of stripeEvents) {
+            await tx.stripeEvent.update({
+                where: { id: event.id },
+                data: { payload: scrubStripeEventPayload(event.payload) },
+            });
+        }
+
+        await tx.userAddress.deleteMany({ where: { userId } });
+        await tx.wishlist.deleteMany({ where: { userId } });
+        await tx.shoppingCart.deleteMany({ where: { userId } });
+        await tx.userSession.deleteMany({ where: { userId } });
+        await tx.userToken.deleteMany({ where: { userId } });
+        await tx.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+
+        await tx.securityEvent.updateMany({
+            where: { userId },
+            data: { email: null, ipAddress: null },
+        });
+        await tx.userInvite.updateMany({
+            where: { acceptedUserId: userId },
+            data: { email },
+        });
+
+        await tx.user.update({
+            where: { id: userId },
+            data: {
+                email,
+                firstName: 'Utilizador',
+                lastName: 'Anonimizado',
+                phone: null,
+                dateOfBirth: null,
+                passwordHash,
+                emailVerifiedAt: null,
+                twoFactorSecret: null,
+                twoFactorEnabledAt: null,
+                twoFactorLastStep: null,
+                deletionScheduledFor: null,
+                anonymisedAt: new Date(),
+                role: { connect: { key: SYSTEM_ROLES.USER } },
+            },
+        });
+
+        await recordSecurityEvent({ type: SECURITY_EVENTS.ACCOUNT_ANONYMISED, userId }, tx);
+    });
+
+    // Tentativas de login guardadas com o email antigo
+    await unlockAccount(user.email);
+
+    return true;
+}
+
+// Anonimiza as contas cujo prazo de cancelamento terminou; retorna o número de contas anonimizadas
+// Contas com encomendas por entregar ficam para uma execução seguinte
+export async function processDueAccountDeletions(now = new Date()) {
+    const dueUsers = await prisma.user.findMany({
+        where: { deletionScheduledFor: { lte: now }, anonymisedAt: null },
+        select: { id: true },
+        orderBy: { deletionScheduledFor: 'asc' },
+    });
+
+    let processed = 0;
+    for (const { id } of dueUsers) {
+        try {
+            if (await anonymiseUser(id)) {
+                processed++;
+            } else {
+                console.log(`Utilizador #${id}: encomendas por entregar, anonimização adiada.`);
+            }
+        } catch (error) {
+            console.error(`Erro ao anonimizar o utilizador #${id}:`, error);
+        }
+    }
+
+    return processed;
+}
@@ -0,0 +1,67 @@
+// utils/accountStatus.js
+// Estado da conta definido pela administração: active, suspended (temporária ou indefinida) e banned
+// Contas bloqueadas não fazem login nem usam as sessões existentes (login, authenticateToken e refresh)
+
+import prisma from '../db.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityLog.js';
+import { revokeAllSessions, REVOKE_REASONS } from './sessions.js';
+
+export const ACCOUNT_STATUSES = {
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    BANNED: 'banned',
+};
+
+// Uma suspensão com data de fim termina sozinha (sem escrita na BD)
+export const isAccountActive = (user, now = new Date()) => user.status === ACCOUNT_STATUSES.ACTIVE
+    || (user.status === ACCOUNT_STATUSES.SUSPENDED && user.suspendedUntil !== null && user.suspendedUntil <= now);
+
+// Corpo da resposta 403 para uma conta bloqueada; null se a conta estiver ativa
+// user tem de incluir status e suspendedUntil
+export function getAccountBlock(user, now = new Date()) {
+    if (isAccountActive(user, now)) return null;
+
+    if (user.status === ACCOUNT_STATUSES.BANNED) {
+        return { error: 'Esta conta foi banida. Contacte o apoio ao cliente.', code: 'ACCOUNT_BANNED' };
+    }
+
+    return {
+        error: 'Esta conta está suspensa. Contacte o apoio ao cliente.',
+        code: 'ACCOUNT_SUSPENDED',
+        suspendedUntil: user.suspendedUntil,
+    };
+}
+
+// Altera o estado da conta; suspender ou banir termina de imediato todas as sessões
+// actorId é o admin que fez a alteração (registo de segurança)
+export async function setAccountStatus(userId, { status, reason = null, suspendedUntil = null }, { actorId, requestedIp = null }) {
+    const active = status === ACCOUNT_STATUSES.ACTIVE;
+
+    return prisma.$transaction(async (tx) => {
+        const user = await tx.user.update({
+            where: { id: userId },
+            data: {
+                status,
+                statusReason: active ? null : reason,
+                suspendedUntil: status === ACCOUNT_STATUSES.SUSPENDED ? suspendedUntil : null,
+                statusChangedAt: new Date(),
+            },
+            select: { id: true, email: true, status: true, statusReason: true, suspendedUntil: true, statusChangedAt: true },
+        });
+
+        if (!active) {
+            await revokeAllSessions(userId, { reason: REVOKE_REASONS.ACCOUNT_BLOCKED, client: tx });
+        }
+
+        await recordSecurityEvent({
+            type: SECURITY_EVENTS.ACCOUNT_STATUS_CHANGED,
+            userId,
+            email: user.email,
+            ipAddress: requestedIp,
+            actorId,
+            details: { status, reason, suspendedUntil: user.suspendedUntil },
+        }, tx);
+
+        return user;
+    });
+}
@@ -0,0 +1,86 @@
+// utils/addresses.js
+// Moradas do checkout: moradas guardadas (UserAddress) ou inline, copiadas para a encomenda
+
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { normalizeCountry } from './tax.js';
+
+// Cópia da morada no formato guardado em Order.shippingAddress / Order.billingAddress
+// Aceita um UserAddress (addressLine1) ou uma morada inline validada pelo schema (street)
+export function toAddressSnapshot(address, user) {
+    return {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        phone: user.phone || null,
+        company: address.company || null,
+        addressLine1: address.addressLine1 ?? address.street,
+        city: address.city,
+        state: address.state || null,
+        postalCode: address.postalCode,
+        country: address.country || 'Portugal',
+        // Referência à morada guardada de origem (apenas informativa; a cópia não muda se for editada)
+        addressId: address.id ?? null,
+    };
+}
+
+// Cópia da morada sem dados pessoais (nome, telefone, empresa e rua), para quem não tem users:read_pii
+export function redactAddressSnapshot(snapshot) {
+    if (!snapshot) return snapshot;
+
+    const { city = null, state = null, postalCode = null, country = null } = snapshot;
+    return { city, state, postalCode, country, redacted: true };
+}
+
+// Carrega uma morada guardada do utilizador (404 se não existir ou pertencer a outro utilizador)
+async function findUserAddress(userId, addressId, client) {
+    const address = await client.userAddress.findUnique({ where: { id: addressId } });
+
+    if (!address || address.userId !== userId) {
+        throw httpError(404, `Endereço ${addressId} não encontrado.`);
+    }
+
+    return address;
+}
+
+// Moradas guardadas antes da validação do país podem ter texto livre que o motor de IVA não reconhece
+// (o IVA seria calculado a zero): o checkout é recusado até a morada de envio ser corrigida
+function assertKnownShippingCountry(address) {
+    if (normalizeCountry(address.country) === null) {
+        throw httpError(400, `País da morada de envio não reconhecido ('${address.country}'). Atualize a morada com o código ISO do país (ex: PT).`);
+    }
+}
+
+// Resolve as moradas de envio e faturação do checkout em snapshots
+// Sem morada de faturação é usada a morada de envio
+export async function resolveCheckoutAddresses(userId, { shippingAddressId, shippingAddress, billingAddressId, billingAddress }, client = prisma) {
+    const user = await client.user.findUnique({
+        where: { id: userId },
+        select: { firstName: true, lastName: true, phone: true },
+    });
+
+    const shipping = shippingAddressId
+        ? await findUserAddress(userId, shippingAddressId, client)
+        : shippingAddress;
+
+    let billing = shipping;
+    if (billingAddressId) {
+        billing = await findUserAddress(userId, billingAddressId, client);
+    } else if (billingAddress) {
+        billing = billingAddress;
+    }
+
+    assertKnownShippingCountry(shipping);
+
+    return {
+        shippingAddress: toAddressSnapshot(shipping, user),
+        billingAddress: toAddressSnapshot(billing, user),
+    };
+}
+
+// Morada de envio predefinida do utilizador (estimativa de IVA no carrinho antes do checkout)
+export function findDefaultShippingAddress(userId, client = prisma) {
+    return client.userAddress.findFirst({
+        where: { userId, type: 'shipping' },
+        orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }],
+    });
+}
@@ -0,0 +1,17 @@
+// utils/adminAlerts.js
+// Fila de atenção do painel administrativo (situações que exigem intervenção manual)
+
+import prisma from '../db.js';
+
+// Tipos de alerta conhecidos
+export const ALERT_TYPES = {
+    OVERSELLING: 'OVERSELLING',
+    REFUND_FAILED: 'REFUND_FAILED',
+};
+
+// Regista um alerta na fila de atenção (aceita cliente de transação)
+export function createAdminAlert({ type, message, orderId = null, details = null }, client = prisma) {
+    return client.adminAlert.create({
+        data: { type, message, orderId, details },
+    });
+}
@@ -0,0 +1,98 @@
+// utils/auditLog.js
+// Registo de auditoria das ações de administração (só de acréscimo: a BD rejeita UPDATE/DELETE em audit_logs)
+// Cada entrada guarda quem fez (actor), o quê (action + entityType/entityId), as diferenças antes/depois,
+// o IP e o id do pedido (X-Request-Id, ver utils/requestId.js)
+
+import prisma from '../db.js';
+
+// Tipos de entidade auditados
+export const AUDIT_ENTITIES = {
+    PRODUCT: 'product',
+    PRODUCT_VARIANT: 'product_variant',
+    PRODUCT_IMAGE: 'product_image',
+    CATEGORY: 'category',
+    BRAND: 'brand',
+    ORDER: 'order',
+    RETURN: 'return_request',
+    SHIPMENT: 'shipment',
+    ADMIN_ALERT: 'admin_alert',
+    STRIPE_EVENT: 'stripe_event',
+    COUPON: 'coupon',
+    PROMOTION: 'promotion',
+    TAX_RATE: 'tax_rate',
+    SHIPPING_ZONE: 'shipping_zone',
+    SHIPPING_METHOD: 'shipping_method',
+    USER: 'user',
+    USER_INVITE: 'user_invite',
+    IMPERSONATION_REQUEST: 'impersonation_request',
+    ROLE: 'role',
+};
+
+// Ações genéricas; ações específicas usam verbos próprios (ex: status_change, refund, replay)
+export const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+};
+
+// Campos nunca guardados em claro no registo
+const REDACTED_FIELDS = new Set(['passwordHash', 'twoFactorSecret', 'tokenHash', 'refreshTokenHash', 'previousRefreshTokenHash', 'codeHash']);
+
+// Dados pessoais: só fica registado que mudaram (o registo não pode ser apagado na anonimização da conta
+// e audit:view não dá acesso a users:read_pii)
+const PERSONAL_FIELDS = new Set(['email', 'firstName', 'lastName', 'phone', 'dateOfBirth', 'shippingAddress', 'billingAddress']);
+
+// Campos que mudam em todas as escritas e não acrescentam informação
+const IGNORED_FIELDS = new Set(['updatedAt']);
+
+// Converte Decimal, Date e BigInt para valores JSON (o que é guardado é o que o cliente da API vê)
+const toJson = (value) => (value === undefined || value === null
+    ? null
+    : JSON.parse(JSON.stringify(value, (key, val) => (typeof val === 'bigint' ? val.toString() : val))));
+
+// Diferenças campo a campo entre dois estados da entidade: { campo: { from, to } }
+// Na criação before é null (todos os campos com from: null); na eliminação after é null
+export function diffSnapshots(before, after) {
+    const from = toJson(before) ?? {};
+    const to = toJson(after) ?? {};
+    const changes = {};
+
+    for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+        if (IGNORED_FIELDS.has(field)) continue;
+
+        const previous = from[field] ?? null;
+        const next = to[field] ?? null;
+        if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+
+        changes[field] = REDACTED_FIELDS.has(field) || PERSONAL_FIELDS.has(field)
+            ? { from: '[REDACTED]', to: '[REDACTED]' }
+            : { from: previous, to: next };
+    }
+
+    return changes;
+}
+
+// Regista uma ação de administração feita no pedido req (após authenticateToken)
+// A ação já foi aplicada: uma falha no registo é reportada na consola mas não anula a resposta
+export async function recordAudit(req, { action, entityType, entityId = null, before = null, after = null, details = null }) {
+    try {
+        const changes = diffSnapshots(before, after);
+
+        await prisma.auditLog.create({
+            data: {
+                actorId: req.user?.id ?? null,
+                actorEmail: req.user?.email ?? null,
+                actorRole: req.user?.role ?? null,
+                action,
+                entityType,
+                entityId: entityId === null ? null : String(entityId),
+                changes: Object.keys(changes).length > 0 ? changes : undefined,
+                details: toJson(details) ?? undefined,
+                ipAddress: req.ip || null,
+                requestId: req.id || null,
+            },
+        });
+    } catch (error) {
+        console.error(`[AUDIT] Falha ao registar ${entityType}.${action} (${entityId}):`, error);
+    }
+}
@@ -4,28 +4,52 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
 import 'dotenv/config'; 
+import prisma from '../db.js';
+import { resolvePermissions, hasPermission, ROLE_SELECT } from './permissions.js';
+import { getAccountBlock } from './accountStatus.js';
 
-// Gera token JWT para utilizador autenticado
-export const signToken = (user) => {
-    if (!user || !user.role) {
+// Validade do access token (renovado com o refresh token da sessão em POST /api/users/refresh)
+export const ACCESS_TOKEN_TTL = '15m';
+
+// Validade da sessão de personificação (ver utils/impersonation.js)
+export const IMPERSONATION_TTL_MINUTES = 15;
+
+// Métodos permitidos numa sessão de personificação (só de leitura)
+const IMPERSONATION_SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Gera access token JWT de curta duração associado a uma sessão (UserSession)
+// user.role é a relação Role (incluir com ROLE_SELECT); o token leva apenas a chave do papel
+// Na personificação o token é marcado com imp (id do admin) e expira com a sessão
+export const signToken = (user, sessionId, { impersonatorId = null } = {}) => {
+    if (!user || !user.role?.key) {
         throw new Error("Não é possível gerar o token: O campo 'role' do utilizador está em falta.");
     }
+    if (!sessionId) {
+        throw new Error("Não é possível gerar o token: A sessão está em falta.");
+    }
     
     return jwt.sign(
         {
             sub: user.id,
+            sid: sessionId,
             email: user.email,
-            role: user.role,
+            role: user.role.key,
+            ...(impersonatorId && { imp: impersonatorId }),
         },
         process.env.JWT_SECRET,
-        { expiresIn: "8h" }
+        { expiresIn: impersonatorId ? `${IMPERSONATION_TTL_MINUTES}m` : ACCESS_TOKEN_TTL }
     );
 }
 
 // Middleware de autenticação JWT
 // Valida token no header Authorization: Bearer <token>
-// Anexa req.user com id, email, role
-export const authenticateToken = (req, res, next) => {
+// A sessão do token tem de estar ativa (logout/revogação produzem efeito imediato)
+// O papel, as permissões e o estado da conta são lidos da BD: alterações aplicam-se ao pedido seguinte
+// Contas suspensas ou banidas recebem 403 (ACCOUNT_SUSPENDED / ACCOUNT_BANNED)
+// Sessões de personificação são só de leitura (403 IMPERSONATION_READ_ONLY noutros métodos)
+// Anexa req.user com id, email, role (chave do papel), permissions, emailVerified, twoFactorEnabled,
+// twoFactorVerified (sessão aberta com o segundo fator), sessionId e impersonatorId (admin que personifica o utilizador, ou null)
+export const authenticateToken = async (req, res, next) => {
     const hdr = req.headers.authorization;
     
     if (!hdr || !hdr.startsWith("Bearer ")) {
@@ -34,42 +58,105 @@ export const authenticateToken = (req, res, next) => {
     
     const token = hdr.slice(7);
 
+    let payload;
     try {
-        const payload = jwt.verify(token, process.env.JWT_SECRET);
-        
-        req.user = { 
-            id: payload.sub, 
-            email: payload.email, 
-            role: payload.role
-        };
-
-        next();
+        payload = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         return res.status(401).json({ error: "Token inválido ou expirado." });
     }
-};
 
-// Middleware de autorização para ADMIN e OWNER
-export const requireAdmin = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({ error: "Utilizador não autenticado." });
+    // Tokens emitidos antes das sessões (sem sid) não podem ser revogados: exigir novo login
+    if (!payload.sid) {
+        return res.status(401).json({ error: "Token inválido ou expirado." });
     }
 
-    if (req.user.role !== 'ADMIN' && req.user.role !== 'OWNER') {
-        return res.status(403).json({ error: "Acesso negado: Permissões de administrador necessárias." });
+    try {
+        const session = await prisma.userSession.findUnique({
+            where: { id: payload.sid },
+            select: {
+                userId: true,
+                revokedAt: true,
+                expiresAt: true,
+                impersonatorId: true,
+                twoFactorVerifiedAt: true,
+                user: {
+                    select: { id: true, email: true, role: ROLE_SELECT, emailVerifiedAt: true, twoFactorEnabledAt: true, status: true, suspendedUntil: true },
+                },
+            },
+        });
+
+        if (!session || session.userId !== payload.sub || session.revokedAt || session.expiresAt < new Date()
+            || session.impersonatorId !== (payload.imp ?? null)) {
+            return res.status(401).json({ error: "Sessão terminada. Faça login novamente." });
+        }
+
+        const block = getAccountBlock(session.user);
+        if (block) {
+            return res.status(403).json(block);
+        }
+
+        if (session.impersonatorId && !IMPERSONATION_SAFE_METHODS.has(req.method)) {
+            return res.status(403).json({
+                error: "Sessão de personificação só de leitura.",
+                code: 'IMPERSONATION_READ_ONLY',
+            });
+        }
+
+        req.user = { 
+            id: session.user.id, 
+            email: session.user.email, 
+            role: session.user.role.key,
+            permissions: resolvePermissions(session.user.role),
+            emailVerified: session.user.emailVerifiedAt !== null,
+            twoFactorEnabled: session.user.twoFactorEnabledAt !== null,
+            twoFactorVerified: session.user.twoFactorEnabledAt !== null && session.twoFactorVerifiedAt !== null,
+            sessionId: payload.sid,
+            impersonatorId: session.impersonatorId,
+        };
+    } catch (error) {
+        console.error('Erro ao validar sessão:', error);
+        return res.status(500).json({ error: "Falha interna do servidor." });
     }
 
     next();
 };
 
-// Middleware de autorização apenas para OWNER
-export const requireOwner = (req, res, next) => {
+// Middleware de autenticação JWT opcional (rotas acessíveis a visitantes)
+// Sem header Authorization segue como visitante; com token inválido responde 401
+export const optionalAuthenticateToken = (req, res, next) => {
+    if (!req.headers.authorization) {
+        return next();
+    }
+
+    return authenticateToken(req, res, next);
+};
+
+// Middleware de autorização por permissão (após authenticateToken): exige todas as permissões indicadas
+// Contas com acesso à administração só o usam com 2FA ativa (configurável em /api/users/profile/2fa)
+// e numa sessão aberta com o segundo fator (POST /api/users/login/2fa); a password só não chega
+// Ex: router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE), ...)
+export const requirePermission = (...permissions) => (req, res, next) => {
     if (!req.user) {
         return res.status(401).json({ error: "Utilizador não autenticado." });
     }
 
-    if (req.user.role !== 'OWNER') {
-        return res.status(403).json({ error: "Acesso negado: Apenas o proprietário pode executar esta ação." });
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+        return res.status(403).json({ error: "Acesso negado: Permissões insuficientes.", missing });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+        return res.status(403).json({
+            error: "Ative a autenticação de dois fatores para aceder a esta área.",
+            code: 'TWO_FACTOR_REQUIRED',
+        });
+    }
+
+    if (!req.user.twoFactorVerified) {
+        return res.status(403).json({
+            error: "Inicie sessão novamente com o código de dois fatores para aceder a esta área.",
+            code: 'TWO_FACTOR_LOGIN_REQUIRED',
+        });
     }
 
     next();
@@ -1,8 +1,39 @@
 // Utilitários para cálculos do carrinho de compras
 
+import crypto from 'crypto';
+import prisma from '../db.js';
+import { evaluatePromotions, getActivePromotions } from './promotions.js';
+import { evaluateCoupon } from './coupons.js';
+import { calculateTaxForAddress } from './tax.js';
+import { resolveShippingMethod } from './shipping.js';
+import { getReservedQuantities } from './stockReservations.js';
+
+// Header usado pelos visitantes para identificar o carrinho anónimo (guardado em ShoppingCart.sessionId)
+export const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+// Carrinhos de visitante sem alterações há mais de GUEST_CART_TTL_DAYS dias são ignorados e eliminados (npm run purge-guest-carts)
+export const GUEST_CART_TTL_DAYS = Math.max(parseInt(process.env.GUEST_CART_TTL_DAYS) || 30, 1);
+
+// Data a partir da qual um carrinho de visitante ainda é válido (última alteração)
+function guestCartCutoff(now = new Date()) {
+    return new Date(now.getTime() - GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Include necessário nos itens do carrinho para promoções, cupões (restrições por produto/categoria/marca/género), IVA e portes
+export const PRICING_ITEM_INCLUDE = {
+    product: {
+        select: {
+            id: true, name: true, categoryId: true, brandId: true, gender: true,
+            isTaxable: true, taxClass: true, weight: true, requiresShipping: true,
+        },
+    },
+    variant: { select: { id: true, weight: true } },
+};
+
 // Calcula o preço total do carrinho multiplicando preço unitário pela quantidade de cada item
-export function calculateTotalPrice(items) {
-    return items.reduce((total, item) => {
+// Com promoções (getActivePromotions) desconta as poupanças das promoções automáticas
+export function calculateTotalPrice(items, promotions = []) {
+    const subtotal = items.reduce((total, item) => {
         // Converter Decimal para número
         const itemPrice = typeof item.itemPrice === 'object' 
             ? parseFloat(item.itemPrice.toString()) 
@@ -10,4 +41,265 @@ export function calculateTotalPrice(items) {
         const itemTotal = itemPrice * item.quantity;
         return total + itemTotal;
     }, 0);
+
+    if (promotions.length === 0) {
+        return subtotal;
+    }
+
+    return Math.max(subtotal - evaluatePromotions(items, promotions).totalSavings, 0);
+}
+
+// Recalcula e guarda o total do carrinho (com promoções automáticas) após alterar os itens
+export async function refreshCartTotal(cartId, client = prisma) {
+    const [items, promotions] = await Promise.all([
+        client.cartItem.findMany({ where: { cartId }, include: PRICING_ITEM_INCLUDE }),
+        getActivePromotions(client),
+    ]);
+
+    return client.shoppingCart.update({
+        where: { id: cartId },
+        data: { totalPrice: calculateTotalPrice(items, promotions) },
+    });
+}
+
+// Preço completo do carrinho: subtotal, promoções automáticas, cupão e IVA (items com PRICING_ITEM_INCLUDE)
+// O desconto total (promoções + cupão) nunca excede o subtotal
+// ignoreInvalidCoupon: devolve o motivo em coupon.error em vez de lançar (leitura do carrinho)
+// shippingAddress: destino do IVA (sem morada é usado Portugal continental) e dos portes
+// shippingMethodId: quando definido (checkout) valida o método de envio e soma os portes ao total
+// taxLines acompanha a ordem de items; o IVA só soma ao total quando os preços não o incluem
+export async function priceCart(items, { couponId = null, userId = null, ignoreInvalidCoupon = false, shippingAddress = null, shippingMethodId, client = prisma } = {}) {
+    const promotions = await getActivePromotions(client);
+    const subtotal = calculateTotalPrice(items);
+    const { totalSavings, applied } = evaluatePromotions(items, promotions);
+
+    let coupon = null;
+    if (couponId) {
+        const appliedCoupon = await client.coupon.findUnique({ where: { id: couponId } });
+
+        try {
+            const evaluation = await evaluateCoupon(appliedCoupon, items, { userId, client });
+            coupon = { ...evaluation, discountAmount: evaluation.discountAmount.toNumber(), valid: true };
+        } catch (error) {
+            if (!ignoreInvalidCoupon || !error.status) throw error;
+            coupon = { couponId, code: appliedCoupon?.code ?? null, discountAmount: 0, freeShipping: false, valid: false, error: error.message };
+        }
+    }
+
+    const discountAmount = Math.min(
+        Math.round((totalSavings + (coupon ? coupon.discountAmount : 0)) * 100) / 100,
+        subtotal
+    );
+
+    const tax = await calculateTaxForAddress(items, shippingAddress, { discountAmount, client });
+
+    // Portes: cupão de portes grátis válido anula o preço do método escolhido
+    const shipping = shippingMethodId === undefined
+        ? null
+        : await resolveShippingMethod(items, shippingAddress, shippingMethodId, {
+            orderValue: subtotal - discountAmount,
+            freeShippingCoupon: Boolean(coupon?.valid && coupon.freeShipping),
+            client,
+        });
+    const shippingAmount = shipping ? shipping.amount : 0;
+
+    const total = subtotal - discountAmount + (tax.pricesIncludeTax ? 0 : tax.taxAmount) + shippingAmount;
+
+    return {
+        subtotal,
+        promotions: applied,
+        promotionSavings: totalSavings,
+        coupon,
+        discountAmount,
+        taxAmount: tax.taxAmount,
+        taxLines: tax.lines,
+        taxRates: tax.rates,
+        pricesIncludeTax: tax.pricesIncludeTax,
+        shipping,
+        shippingAmount,
+        total: Math.round(total * 100) / 100,
+    };
+}
+
+// Poupança atribuída ao cupão (registada na CouponRedemption): desconto nos artigos ou portes anulados
+export function couponSavings(pricing) {
+    if (!pricing.coupon) return 0;
+
+    const shippingSaved = pricing.shipping?.freeShippingReason === 'coupon' ? pricing.shipping.baseAmount : 0;
+    return Math.round((pricing.coupon.discountAmount + shippingSaved) * 100) / 100;
+}
+
+// Gera token opaco e imprevisível para um carrinho de visitante
+export function generateCartToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Verifica se o carrinho pertence ao pedido atual (utilizador autenticado ou visitante com token)
+export function isCartOwner(cart, req) {
+    if (req.user) {
+        return cart.userId === req.user.id;
+    }
+
+    const cartToken = req.get(CART_TOKEN_HEADER);
+    return Boolean(cartToken) && cart.userId === null && cart.sessionId === cartToken;
+}
+
+// Procura o carrinho ativo do pedido atual sem criar nenhum (leituras); retorna null se não existir
+// Utilizadores autenticados usam userId; visitantes usam o token do header X-Cart-Token
+// Carrinhos de visitante expirados (GUEST_CART_TTL_DAYS) são tratados como inexistentes
+export async function findActiveCart(req, res, include) {
+    if (req.user) {
+        return prisma.shoppingCart.findFirst({
+            where: { userId: req.user.id, cartStatus: 'ACTIVE' },
+            include,
+        });
+    }
+
+    const cartToken = req.get(CART_TOKEN_HEADER);
+    if (!cartToken) {
+        return null;
+    }
+
+    const cart = await prisma.shoppingCart.findFirst({
+        where: { sessionId: cartToken, userId: null, cartStatus: 'ACTIVE', updatedAt: { gt: guestCartCutoff() } },
+        include,
+    });
+
+    if (cart) {
+        res.set(CART_TOKEN_HEADER, cart.sessionId);
+    }
+
+    return cart;
+}
+
+// Procura o carrinho ativo do pedido atual ou cria um novo (apenas em pedidos que alteram o carrinho)
+// Para visitantes, o token é sempre devolvido no header da resposta
+export async function findOrCreateActiveCart(req, res, include) {
+    const existing = await findActiveCart(req, res, include);
+    if (existing) {
+        return { cart: existing, created: false };
+    }
+
+    let cart;
+    if (req.user) {
+        // userId é único: reativar carrinho finalizado em vez de criar um segundo
+        cart = await prisma.shoppingCart.upsert({
+            where: { userId: req.user.id },
+            update: { cartStatus: 'ACTIVE', totalPrice: 0.00 },
+            create: { userId: req.user.id, cartStatus: 'ACTIVE', totalPrice: 0.00 },
+            include,
+        });
+    } else {
+        // Token em falta, desconhecido ou expirado: emitir sempre um token novo gerado pelo servidor
+        cart = await prisma.shoppingCart.create({
+            data: { sessionId: generateCartToken(), cartStatus: 'ACTIVE', totalPrice: 0.00 },
+            include,
+        });
+
+        res.set(CART_TOKEN_HEADER, cart.sessionId);
+    }
+
+    return { cart, created: true };
+}
+
+// Elimina os carrinhos de visitante sem alterações há mais de GUEST_CART_TTL_DAYS dias (itens em cascata)
+// Retorna o número de carrinhos eliminados
+export async function purgeExpiredGuestCarts(now = new Date()) {
+    const { count } = await prisma.shoppingCart.deleteMany({
+        where: { userId: null, updatedAt: { lte: guestCartCutoff(now) } },
+    });
+
+    return count;
+}
+
+// Junta o carrinho de visitante ao carrinho do utilizador após login/registo
+// Regras:
+//  - Variante já existente no carrinho do utilizador: soma as quantidades
+//  - A quantidade final é limitada ao stock disponível (stock menos reservas ativas), sem nunca reduzir o que o utilizador já tinha
+//  - Variantes inativas ou sem stock são descartadas
+//  - O preço unitário é atualizado para o preço atual da variante
+// O carrinho de visitante é eliminado no fim. Retorna null se não houver nada a juntar.
+export async function mergeGuestCart(userId, cartToken) {
+    if (!cartToken) {
+        return null;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const guestCart = await tx.shoppingCart.findFirst({
+            where: { sessionId: cartToken, userId: null, cartStatus: 'ACTIVE', updatedAt: { gt: guestCartCutoff() } },
+            include: {
+                items: {
+                    include: { variant: { select: { id: true, price: true, stock: true, isActive: true } } },
+                },
+            },
+        });
+
+        if (!guestCart) {
+            return null;
+        }
+
+        const userCart = await tx.shoppingCart.upsert({
+            where: { userId },
+            update: { cartStatus: 'ACTIVE' },
+            create: { userId, cartStatus: 'ACTIVE', totalPrice: 0.00 },
+            include: { items: true },
+        });
+
+        const summary = { cartId: userCart.id, merged: 0, adjusted: [], removed: [] };
+        const reserved = await getReservedQuantities(guestCart.items.map(item => item.variantId), tx);
+
+        for (const item of guestCart.items) {
+            const existing = userCart.items.find(i => i.variantId === item.variantId);
+            const available = item.variant.isActive
+                ? Math.max(item.variant.stock - (reserved.get(item.variantId) || 0), 0)
+                : 0;
+
+            if (available <= 0) {
+                summary.removed.push({ variantId: item.variantId, requested: item.quantity });
+                continue;
+            }
+
+            const currentQty = existing ? existing.quantity : 0;
+            const requested = currentQty + item.quantity;
+            const quantity = Math.max(currentQty, Math.min(requested, available));
+
+            if (quantity < requested) {
+                summary.adjusted.push({ variantId: item.variantId, requested, quantity });
+            }
+
+            if (existing) {
+                await tx.cartItem.update({
+                    where: { id: existing.id },
+                    data: { quantity, itemPrice: item.variant.price },
+                });
+            } else {
+                await tx.cartItem.create({
+                    data: {
+                        cartId: userCart.id,
+                        productId: item.productId,
+                        variantId: item.variantId,
+                        quantity,
+                        itemPrice: item.variant.price,
+                    },
+                });
+            }
+            summary.merged++;
+        }
+
+        // Eliminar carrinho de visitante (itens em cascata)
+        await tx.shoppingCart.delete({ where: { id: guestCart.id } });
+
+        // Manter o cupão do visitante se o utilizador ainda não tinha nenhum
+        if (!userCart.couponId && guestCart.couponId) {
+            await tx.shoppingCart.update({
+                where: { id: userCart.id },
+                data: { couponId: guestCart.couponId },
+            });
+        }
+
+        // Recalcular total do carrinho do utilizador
+        await refreshCartTotal(userCart.id, tx);
+
+        return summary;
+    });
 }
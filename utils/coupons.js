@@ -0,0 +1,100 @@
+// utils/coupons.js
+// Motor de cupões: validação (datas, limites, restrições) e cálculo do desconto sobre o carrinho
+
+import { Decimal } from '@prisma/client/runtime/library';
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+
+// Códigos são guardados e comparados em maiúsculas
+export const normalizeCouponCode = (code) => code.trim().toUpperCase();
+
+export function findCouponByCode(code, client = prisma) {
+    return client.coupon.findUnique({ where: { code: normalizeCouponCode(code) } });
+}
+
+// Artigo abrangido pelas restrições do cupão (listas vazias = sem restrição)
+function isEligibleItem(coupon, product) {
+    return (coupon.categoryIds.length === 0 || coupon.categoryIds.includes(product.categoryId))
+        && (coupon.brandIds.length === 0 || coupon.brandIds.includes(product.brandId))
+        && (coupon.genders.length === 0 || coupon.genders.includes(product.gender));
+}
+
+const lineTotal = (item) => new Decimal(item.itemPrice).mul(item.quantity);
+
+// Valida o cupão contra os itens do carrinho (items com product: PRICING_ITEM_INCLUDE) e calcula o desconto
+// userId: quando indicado verifica também o limite por utilizador
+// Lança httpError 400 com o motivo se o cupão não puder ser aplicado
+export async function evaluateCoupon(coupon, items, { userId = null, client = prisma } = {}) {
+    const now = new Date();
+
+    if (!coupon || !coupon.isActive) {
+        throw httpError(400, 'Cupão inválido ou inativo.');
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+        throw httpError(400, 'Este cupão ainda não está ativo.');
+    }
+    if (coupon.endsAt && coupon.endsAt < now) {
+        throw httpError(400, 'Este cupão expirou.');
+    }
+    if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+        throw httpError(400, 'Este cupão atingiu o limite de utilizações.');
+    }
+
+    if (userId && coupon.usageLimitPerUser !== null) {
+        const used = await client.couponRedemption.count({ where: { couponId: coupon.id, userId } });
+        if (used >= coupon.usageLimitPerUser) {
+            throw httpError(400, 'Já utilizou este cupão o número máximo de vezes.');
+        }
+    }
+
+    const subtotal = items.reduce((total, item) => total.add(lineTotal(item)), new Decimal(0));
+
+    if (coupon.minSubtotal !== null && subtotal.lt(coupon.minSubtotal)) {
+        throw httpError(400, `Este cupão exige um valor mínimo de compra de ${new Decimal(coupon.minSubtotal).toFixed(2)} EUR.`);
+    }
+
+    const eligibleSubtotal = items
+        .filter(item => isEligibleItem(coupon, item.product))
+        .reduce((total, item) => total.add(lineTotal(item)), new Decimal(0));
+
+    if (eligibleSubtotal.lte(0)) {
+        throw httpError(400, 'Nenhum artigo do carrinho é elegível para este cupão.');
+    }
+
+    let discountAmount = new Decimal(0);
+
+    if (coupon.type === 'percentage') {
+        discountAmount = eligibleSubtotal.mul(coupon.value).div(100).toDecimalPlaces(2);
+    } else if (coupon.type === 'fixed_amount') {
+        discountAmount = Decimal.min(new Decimal(coupon.value), eligibleSubtotal);
+    }
+
+    return {
+        couponId: coupon.id,
+        code: coupon.code,
+        type: coupon.type,
+        discountAmount,
+        freeShipping: coupon.type === 'free_shipping',
+        eligibleSubtotal,
+    };
+}
+
+// Regista a utilização do cupão numa encomenda e incrementa o contador global
+// enforceLimit: falha (409) se o limite global já foi atingido por outra encomenda concorrente
+// Sem enforceLimit (pagamento Stripe já cobrado) o contador é incrementado mesmo acima do limite
+export async function redeemCoupon({ couponId, orderId, userId = null, discountAmount, enforceLimit = true }, client = prisma) {
+    const updated = enforceLimit
+        ? await client.$executeRaw`
+            UPDATE "coupons" SET "usage_count" = "usage_count" + 1
+            WHERE id = ${couponId} AND ("usage_limit" IS NULL OR "usage_count" < "usage_limit")
+        `
+        : await client.$executeRaw`UPDATE "coupons" SET "usage_count" = "usage_count" + 1 WHERE id = ${couponId}`;
+
+    if (updated === 0) {
+        throw httpError(409, 'Este cupão atingiu o limite de utilizações.');
+    }
+
+    return client.couponRedemption.create({
+        data: { couponId, orderId, userId, discountAmount },
+    });
+}
@@ -0,0 +1,152 @@
+// utils/customerMetrics.js
+// Métricas de cliente para a administração (lista de utilizadores e vista 360)
+// Contam as encomendas pagas (paid, partially_refunded, refunded); reembolsos a partir das OrderTransaction
+// lifetimeSpend = total das encomendas pagas; netSpend = lifetimeSpend - reembolsos
+
+import { Prisma } from '@prisma/client';
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+
+// Estados financeiros de encomendas efetivamente pagas (mesmo que depois reembolsadas)
+const PAID_FINANCIAL_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Estados de reembolso Stripe que contam como dinheiro devolvido (ver utils/refunds.js)
+const COUNTED_REFUND_STATUSES = ['succeeded', 'pending'];
+
+// Campos de ordenação aceites (sortBy) e a expressão SQL correspondente
+const SORT_COLUMNS = {
+    id: Prisma.sql`u.id`,
+    createdAt: Prisma.sql`u.created_at`,
+    updatedAt: Prisma.sql`u.updated_at`,
+    email: Prisma.sql`u.email`,
+    firstName: Prisma.sql`u.first_name`,
+    lastName: Prisma.sql`u.last_name`,
+    orderCount: Prisma.sql`"orderCount"`,
+    lifetimeSpend: Prisma.sql`"lifetimeSpend"`,
+    netSpend: Prisma.sql`"netSpend"`,
+    refundedAmount: Prisma.sql`"refundedAmount"`,
+    averageOrderValue: Prisma.sql`"averageOrderValue"`,
+    firstOrderAt: Prisma.sql`"firstOrderAt"`,
+    lastOrderAt: Prisma.sql`"lastOrderAt"`,
+};
+
+export const CUSTOMER_SORT_FIELDS = Object.keys(SORT_COLUMNS);
+
+// Agregados por utilizador (encomendas pagas e reembolsos) e colunas calculadas
+const METRICS_FROM = Prisma.sql`
+    FROM "users" u
+    JOIN "roles" ro ON ro.id = u.role_id
+    LEFT JOIN (
+        SELECT o.user_id,
+               COUNT(*)::int AS order_count,
+               SUM(o.total_amount) AS lifetime_spend,
+               MIN(o.created_at) AS first_order_at,
+               MAX(o.created_at) AS last_order_at
+        FROM "orders" o
+        WHERE o.user_id IS NOT NULL
+          AND o.financial_status::text IN (${Prisma.join(PAID_FINANCIAL_STATUSES)})
+        GROUP BY o.user_id
+    ) m ON m.user_id = u.id
+    LEFT JOIN (
+        SELECT o.user_id,
+               SUM(t.amount) AS refunded_amount,
+               COUNT(*)::int AS refund_count
+        FROM "order_transactions" t
+        JOIN "orders" o ON o.id = t.order_id
+        WHERE o.user_id IS NOT NULL
+          AND t.stripe_object_type = 'refund'
+          AND t.status IN (${Prisma.join(COUNTED_REFUND_STATUSES)})
+        GROUP BY o.user_id
+    ) r ON r.user_id = u.id
+`;
+
+const METRICS_COLUMNS = Prisma.sql`
+    u.id,
+    COALESCE(m.order_count, 0) AS "orderCount",
+    COALESCE(m.lifetime_spend, 0) AS "lifetimeSpend",
+    COALESCE(r.refunded_amount, 0) AS "refundedAmount",
+    COALESCE(r.refund_count, 0) AS "refundCount",
+    COALESCE(m.lifetime_spend, 0) - COALESCE(r.refunded_amount, 0) AS "netSpend",
+    ROUND(m.lifetime_spend / NULLIF(m.order_count, 0), 2) AS "averageOrderValue",
+    m.first_order_at AS "firstOrderAt",
+    m.last_order_at AS "lastOrderAt"
+`;
+
+// Linha SQL → métricas (Decimal convertido em número, como nas estatísticas do painel)
+const toMetrics = (row) => ({
+    orderCount: row.orderCount,
+    lifetimeSpend: parseFloat(row.lifetimeSpend),
+    netSpend: parseFloat(row.netSpend),
+    averageOrderValue: row.averageOrderValue === null ? null : parseFloat(row.averageOrderValue),
+    refunds: { amount: parseFloat(row.refundedAmount), count: row.refundCount },
+    firstOrderAt: row.firstOrderAt,
+    lastOrderAt: row.lastOrderAt,
+});
+
+// Número do filtro (query string); lança httpError 400 se não for numérico
+const parseNumberFilter = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw httpError(400, `Filtro ${name} inválido: indique um número positivo.`);
+    }
+    return number;
+};
+
+// Lista paginada de utilizadores com métricas, filtrável e ordenável pelas métricas
+// Filtros: role (chave), status, minOrders/maxOrders, minSpend/maxSpend (netSpend) e
+// inactiveDays (sem encomendas pagas nos últimos N dias, incluindo quem nunca encomendou; com minOrders=1 só clientes inativos)
+// Retorna { rows: [{ id, metrics }], total }; lança httpError 400 para filtros ou ordenação inválidos
+export async function listCustomerMetrics({ role, status, minOrders, maxOrders, minSpend, maxSpend, inactiveDays, sortBy = 'createdAt', sortOrder = 'desc', take, skip }) {
+    const sortColumn = SORT_COLUMNS[sortBy];
+    if (!sortColumn) {
+        throw httpError(400, `Ordenação inválida. Use: ${CUSTOMER_SORT_FIELDS.join(', ')}.`);
+    }
+    const direction = sortOrder === 'asc' ? Prisma.sql`ASC` : Prisma.sql`DESC`;
+
+    const filters = {
+        minOrders: parseNumberFilter(minOrders, 'minOrders'),
+        maxOrders: parseNumberFilter(maxOrders, 'maxOrders'),
+        minSpend: parseNumberFilter(minSpend, 'minSpend'),
+        maxSpend: parseNumberFilter(maxSpend, 'maxSpend'),
+        inactiveDays: parseNumberFilter(inactiveDays, 'inactiveDays'),
+    };
+
+    const conditions = [Prisma.sql`TRUE`];
+    if (role) conditions.push(Prisma.sql`ro.key = ${role}`);
+    if (status) conditions.push(Prisma.sql`u.status::text = ${status}`);
+    if (filters.minOrders !== undefined) conditions.push(Prisma.sql`COALESCE(m.order_count, 0) >= ${filters.minOrders}`);
+    if (filters.maxOrders !== undefined) conditions.push(Prisma.sql`COALESCE(m.order_count, 0) <= ${filters.maxOrders}`);
+    if (filters.minSpend !== undefined) conditions.push(Prisma.sql`COALESCE(m.lifetime_spend, 0) - COALESCE(r.refunded_amount, 0) >= ${filters.minSpend}`);
+    if (filters.maxSpend !== undefined) conditions.push(Prisma.sql`COALESCE(m.lifetime_spend, 0) - COALESCE(r.refunded_amount, 0) <= ${filters.maxSpend}`);
+    if (filters.inactiveDays !== undefined) {
+        const since = new Date(Date.now() - filters.inactiveDays * 24 * 60 * 60 * 1000);
+        conditions.push(Prisma.sql`(m.last_order_at IS NULL OR m.last_order_at < ${since})`);
+    }
+    const where = Prisma.join(conditions, ' AND ');
+
+    const [rows, [{ total }]] = await prisma.$transaction([
+        prisma.$queryRaw`
+            SELECT ${METRICS_COLUMNS}
+            ${METRICS_FROM}
+            WHERE ${where}
+            ORDER BY ${sortColumn} ${direction} NULLS LAST, u.id ASC
+            LIMIT ${take} OFFSET ${skip}
+        `,
+        prisma.$queryRaw`SELECT COUNT(*)::int AS total ${METRICS_FROM} WHERE ${where}`,
+    ]);
+
+    return { rows: rows.map(row => ({ id: row.id, metrics: toMetrics(row) })), total };
+}
+
+// Métricas de um utilizador (vista 360)
+export async function getCustomerMetrics(userId) {
+    const [row] = await prisma.$queryRaw`
+        SELECT ${METRICS_COLUMNS}
+        ${METRICS_FROM}
+        WHERE u.id = ${userId}
+    `;
+
+    return row ? toMetrics(row) : null;
+}
@@ -0,0 +1,68 @@
+// utils/emailVerification.js
+// Confirmação do email: envio do link de verificação e bloqueio de ações até o email estar confirmado
+// Configuração:
+//  - EMAIL_VERIFICATION_GATES: ações bloqueadas sem email confirmado, separadas por vírgula (predefinido: checkout)
+//    Ações conhecidas: checkout (criar encomenda / sessão de pagamento), returns (pedir devolução)
+//  - UNVERIFIED_MAX_ORDERS: encomendas permitidas sem email confirmado quando o checkout não está bloqueado
+
+import prisma from '../db.js';
+import { issueUserToken, USER_TOKEN_TTL_MINUTES } from './userTokens.js';
+import { sendMail } from './mailer.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const GATED_ACTIONS = new Set(
+    (process.env.EMAIL_VERIFICATION_GATES ?? 'checkout')
+        .split(',')
+        .map(action => action.trim())
+        .filter(Boolean)
+);
+
+const UNVERIFIED_MAX_ORDERS = process.env.UNVERIFIED_MAX_ORDERS !== undefined && process.env.UNVERIFIED_MAX_ORDERS !== ''
+    ? Math.max(parseInt(process.env.UNVERIFIED_MAX_ORDERS) || 0, 0)
+    : null;
+
+// Emite um token de verificação e envia o link por email (invalida links anteriores)
+export async function sendVerificationEmail(user, { requestedIp = null } = {}) {
+    const token = await issueUserToken(user.id, 'email_verification', { requestedIp });
+    const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    const hours = USER_TOKEN_TTL_MINUTES.email_verification / 60;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirme o seu email',
+        text: `Olá ${user.firstName},\n\nPara confirmar o seu email abra o link abaixo (válido durante ${hours} horas):\n${link}`,
+    });
+}
+
+// Middleware (após authenticateToken): bloqueia a ação com 403 se o email não estiver confirmado
+// No checkout aplica também o limite de encomendas sem email confirmado (UNVERIFIED_MAX_ORDERS)
+export const requireVerifiedEmail = (action) => async (req, res, next) => {
+    if (req.user.emailVerified) {
+        return next();
+    }
+
+    const blocked = { error: 'Confirme o seu email para continuar.', code: 'EMAIL_NOT_VERIFIED' };
+
+    if (GATED_ACTIONS.has(action)) {
+        return res.status(403).json(blocked);
+    }
+
+    if (action === 'checkout' && UNVERIFIED_MAX_ORDERS !== null) {
+        try {
+            const orderCount = await prisma.order.count({ where: { userId: req.user.id } });
+
+            if (orderCount >= UNVERIFIED_MAX_ORDERS) {
+                return res.status(403).json({
+                    ...blocked,
+                    error: `Confirme o seu email para fazer mais de ${UNVERIFIED_MAX_ORDERS} encomenda(s).`,
+                });
+            }
+        } catch (error) {
+            console.error('Erro ao verificar limite de encomendas sem email confirmado:', error);
+            return res.status(500).json({ error: 'Falha interna do servidor.' });
+        }
+    }
+
+    next();
+};
@@ -0,0 +1,25 @@
+// utils/httpError.js
+// Erros de regras de negócio com status HTTP associado
+// Lançados por módulos partilhados (utils) e convertidos em resposta pelas rotas via error.status
+
+export const httpError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (details !== undefined) {
+        error.details = details;
+    }
+    return error;
+};
+
+// Envia a resposta correspondente a um httpError; retorna false se o erro não for de negócio
+export const sendHttpError = (res, error) => {
+    if (!error.status) {
+        return false;
+    }
+
+    res.status(error.status).json({
+        error: error.message,
+        ...(error.details !== undefined && { details: error.details }),
+    });
+    return true;
+};
@@ -0,0 +1,165 @@
+// utils/impersonation.js
+// Personificação de clientes para apoio (ver a loja como o cliente a vê)
+// Fluxo: um admin com users:impersonate pede (com motivo) → um OWNER aprova → o admin obtém um token de uso único
+// A sessão criada é só de leitura, dura IMPERSONATION_TTL_MINUTES e o token é marcado (claim imp)
+// Pedidos de um OWNER ficam aprovados de imediato; cada passo fica no registo de segurança
+
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityLog.js';
+import { createImpersonationSession } from './sessions.js';
+import { isAccountActive } from './accountStatus.js';
+import { isStaffRole, ROLE_SELECT, SYSTEM_ROLES } from './permissions.js';
+
+// Prazo para um OWNER decidir um pedido pendente
+export const IMPERSONATION_REQUEST_TTL_HOURS = 24;
+
+// Prazo para usar um pedido aprovado
+export const IMPERSONATION_APPROVAL_TTL_MINUTES = 60;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Estado derivado das datas do pedido
+export function getImpersonationStatus(request, now = new Date()) {
+    if (request.usedAt) return 'used';
+    if (request.rejectedAt) return 'rejected';
+    if (request.expiresAt <= now) return 'expired';
+    if (request.approvedAt) return 'approved';
+    return 'pending';
+}
+
+// Cria um pedido de personificação do cliente targetUserId por requestedBy (req.user)
+// Lança httpError 404 se o utilizador não existir; 400 se for o próprio, uma conta da equipa,
+// uma conta anonimizada ou bloqueada
+export async function requestImpersonation({ targetUserId, requestedBy, reason }, { requestedIp = null } = {}) {
+    const target = await prisma.user.findUnique({
+        where: { id: targetUserId },
+        select: { id: true, email: true, status: true, suspendedUntil: true, anonymisedAt: true, role: ROLE_SELECT },
+    });
+
+    if (!target) {
+        throw httpError(404, 'Utilizador não encontrado.');
+    }
+    if (target.id === requestedBy.id || isStaffRole(target.role)) {
+        throw httpError(400, 'Só é possível personificar contas de clientes.');
+    }
+    if (target.anonymisedAt || !isAccountActive(target)) {
+        throw httpError(400, 'A conta não está ativa.');
+    }
+
+    const now = new Date();
+    const selfApproved = requestedBy.role === SYSTEM_ROLES.OWNER;
+
+    const request = await prisma.impersonationRequest.create({
+        data: {
+            targetUserId,
+            requestedById: requestedBy.id,
+            reason,
+            ...(selfApproved && { approvedById: requestedBy.id, approvedAt: now }),
+            expiresAt: selfApproved
+                ? minutesFromNow(IMPERSONATION_APPROVAL_TTL_MINUTES)
+                : minutesFromNow(IMPERSONATION_REQUEST_TTL_HOURS * 60),
+        },
+    });
+
+    await recordSecurityEvent({
+        type: SECURITY_EVENTS.IMPERSONATION_REQUESTED,
+        userId: targetUserId,
+        email: target.email,
+        ipAddress: requestedIp,
+        actorId: requestedBy.id,
+        details: { impersonationRequestId: request.id, reason, selfApproved },
+    });
+
+    return request;
+}
+
+// Aprova ou rejeita um pedido pendente (apenas um OWNER)
+// Lança httpError 403 se owner não for OWNER, 404 se o pedido não existir, 409 se já não estiver pendente
+export async function decideImpersonation(requestId, { approve, owner }, { requestedIp = null } = {}) {
+    if (owner.role !== SYSTEM_ROLES.OWNER) {
+        throw httpError(403, 'Apenas um OWNER pode aprovar ou rejeitar personificações.');
+    }
+
+    const request = await prisma.impersonationRequest.findUnique({ where: { id: requestId } });
+    if (!request) {
+        throw httpError(404, 'Pedido de personificação não encontrado.');
+    }
+
+    const now = new Date();
+
+    // Condicional: dois OWNERs não decidem o mesmo pedido
+    const { count } = await prisma.impersonationRequest.updateMany({
+        where: { id: requestId, approvedAt: null, rejectedAt: null, usedAt: null, expiresAt: { gt: now } },
+        data: approve
+            ? { approvedById: owner.id, approvedAt: now, expiresAt: minutesFromNow(IMPERSONATION_APPROVAL_TTL_MINUTES) }
+            : { approvedById: owner.id, rejectedAt: now },
+    });
+    if (count === 0) {
+        throw httpError(409, `O pedido já não está pendente (${getImpersonationStatus(request, now)}).`);
+    }
+
+    await recordSecurityEvent({
+        type: approve ? SECURITY_EVENTS.IMPERSONATION_APPROVED : SECURITY_EVENTS.IMPERSONATION_REJECTED,
+        userId: request.targetUserId,
+        ipAddress: requestedIp,
+        actorId: owner.id,
+        details: { impersonationRequestId: requestId },
+    });
+
+    return prisma.impersonationRequest.findUnique({ where: { id: requestId } });
+}
+
+// Emite o token de personificação de um pedido aprovado (uso único, apenas para quem o pediu)
+// Retorna { accessToken, session, targetUser }
+// Lança httpError 404 se o pedido não existir ou for de outro admin; 409 se não estiver aprovado ou já tiver sido usado
+export async function startImpersonation(requestId, { impersonator, req }) {
+    const request = await prisma.impersonationRequest.findUnique({
+        where: { id: requestId },
+        include: {
+            targetUser: {
+                select: { id: true, email: true, firstName: true, status: true, suspendedUntil: true, anonymisedAt: true, role: ROLE_SELECT },
+            },
+        },
+    });
+
+    if (!request || request.requestedById !== impersonator.id) {
+        throw httpError(404, 'Pedido de personificação não encontrado.');
+    }
+
+    const { targetUser } = request;
+    if (targetUser.anonymisedAt || !isAccountActive(targetUser) || isStaffRole(targetUser.role)) {
+        throw httpError(409, 'A conta já não pode ser personificada.');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const now = new Date();
+
+        // Condicional: o mesmo pedido não emite dois tokens
+        const { count } = await tx.impersonationRequest.updateMany({
+            where: { id: requestId, approvedAt: { not: null }, rejectedAt: null, usedAt: null, expiresAt: { gt: now } },
+            data: { usedAt: now },
+        });
+        if (count === 0) {
+            throw httpError(409, `O pedido não está aprovado (${getImpersonationStatus(request, now)}).`);
+        }
+
+        const { accessToken, session } = await createImpersonationSession(targetUser, impersonator.id, req, tx);
+
+        await tx.impersonationRequest.update({
+            where: { id: requestId },
+            data: { sessionId: session.id },
+        });
+
+        await recordSecurityEvent({
+            type: SECURITY_EVENTS.IMPERSONATION_STARTED,
+            userId: targetUser.id,
+            email: targetUser.email,
+            ipAddress: req.ip || null,
+            actorId: impersonator.id,
+            details: { impersonationRequestId: requestId, sessionId: session.id, expiresAt: session.expiresAt },
+        }, tx);
+
+        return { accessToken, session, targetUser };
+    });
+}
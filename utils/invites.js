@@ -0,0 +1,173 @@
+// utils/invites.js
+// Convites para contas da equipa: quem tem users:invite convida um email com um papel de administração
+// e a conta é criada quando o convidado aceita o link (o registo público cria sempre contas USER)
+
+import crypto from 'crypto';
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { hashPassword } from './auth.js';
+import { sendMail } from './mailer.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityLog.js';
+import { isStaffRole, canGrantRole, ROLE_SELECT } from './permissions.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Validade do link do convite
+export const INVITE_TTL_HOURS = 72;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Estado derivado das datas do convite
+export function getInviteStatus(invite, now = new Date()) {
+    if (invite.acceptedAt) return 'accepted';
+    if (invite.revokedAt) return 'revoked';
+    if (invite.expiresAt <= now) return 'expired';
+    return 'pending';
+}
+
+// Cria um convite e envia o link por email (convites pendentes para o mesmo email deixam de ser válidos)
+// Uma falha no envio não anula o convite: emailSent fica false e um novo convite reenvia o link
+// invitedBy é o req.user de quem convida: só pode convidar para papéis cujas permissões tem
+// Lança httpError 400 se o papel não existir ou não for de administração, 403 se não o puder atribuir,
+// 409 se já existir uma conta com o email
+export async function createInvite({ email, roleKey, invitedBy }, { requestedIp = null } = {}) {
+    const role = await prisma.role.findUnique({ where: { key: roleKey }, ...ROLE_SELECT });
+    if (!role || !isStaffRole(role)) {
+        throw httpError(400, 'Papel inválido: os convites são apenas para papéis com permissões de administração.');
+    }
+    if (!canGrantRole(invitedBy, role)) {
+        throw httpError(403, 'Não pode convidar para um papel com permissões que não tem.');
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    if (existingUser) {
+        throw httpError(409, 'Já existe uma conta com este email. Altere o papel do utilizador em vez de o convidar.');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const [, invite] = await prisma.$transaction([
+        prisma.userInvite.updateMany({
+            where: { email, acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+            data: { revokedAt: now },
+        }),
+        prisma.userInvite.create({
+            data: {
+                email,
+                roleId: role.id,
+                tokenHash: hashToken(token),
+                invitedById: invitedBy.id,
+                expiresAt: new Date(now.getTime() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+            },
+        }),
+    ]);
+
+    await recordSecurityEvent({
+        type: SECURITY_EVENTS.USER_INVITED,
+        email,
+        ipAddress: requestedIp,
+        actorId: invitedBy.id,
+        details: { inviteId: invite.id, role: role.key },
+    });
+
+    const link = `${FRONTEND_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+
+    const emailSent = await sendMail({
+        to: email,
+        subject: 'Convite para a equipa de administração',
+        text: `Olá,\n\nFoi convidado para aceder à administração da loja (${role.name}).\nPara criar a sua conta abra o link abaixo (válido durante ${INVITE_TTL_HOURS} horas):\n${link}`,
+    }).then(() => true, (error) => {
+        console.error('Erro ao enviar email de convite:', error);
+        return false;
+    });
+
+    return { ...invite, role, emailSent };
+}
+
+// Aceita o convite e cria a conta com o papel do convite (o email fica confirmado: o link chegou à caixa de correio)
+// Lança httpError 400 se o convite for inválido, expirado, revogado ou já aceite; 409 se o email já tiver conta
+export async function acceptInvite({ token, firstName, lastName, password }, { requestedIp = null } = {}) {
+    const passwordHash = await hashPassword(password);
+
+    return prisma.$transaction(async (tx) => {
+        const invite = await tx.userInvite.findUnique({
+            where: { tokenHash: hashToken(token) },
+            include: { role: { select: { key: true } } },
+        });
+
+        if (!invite || getInviteStatus(invite) !== 'pending') {
+            throw httpError(400, 'Convite inválido ou expirado. Peça um novo convite.');
+        }
+
+        // Condicional: o mesmo convite não cria duas contas em pedidos concorrentes
+        const { count } = await tx.userInvite.updateMany({
+            where: { id: invite.id, acceptedAt: null, revokedAt: null },
+            data: { acceptedAt: new Date() },
+        });
+        if (count === 0) {
+            throw httpError(400, 'Convite inválido ou expirado. Peça um novo convite.');
+        }
+
+        const existingUser = await tx.user.findUnique({ where: { email: invite.email }, select: { id: true } });
+        if (existingUser) {
+            throw httpError(409, 'O email já está registado.');
+        }
+
+        const user = await tx.user.create({
+            data: {
+                firstName,
+                lastName,
+                email: invite.email,
+                passwordHash,
+                roleId: invite.roleId,
+                emailVerifiedAt: new Date(),
+            },
+            include: { role: ROLE_SELECT },
+        });
+
+        await tx.userInvite.update({
+            where: { id: invite.id },
+            data: { acceptedUserId: user.id },
+        });
+
+        await recordSecurityEvent({
+            type: SECURITY_EVENTS.INVITE_ACCEPTED,
+            userId: user.id,
+            email: user.email,
+            ipAddress: requestedIp,
+            actorId: invite.invitedById,
+            details: { inviteId: invite.id, role: invite.role.key },
+        }, tx);
+
+        return user;
+    });
+}
+
+// Revoga um convite pendente
+// Lança httpError 404 se não existir, 409 se já não estiver pendente
+export async function revokeInvite(inviteId, { actorId, requestedIp = null } = {}) {
+    const invite = await prisma.userInvite.findUnique({
+        where: { id: inviteId },
+        include: { role: { select: { key: true } } },
+    });
+    if (!invite) {
+        throw httpError(404, 'Convite não encontrado.');
+    }
+
+    const { count } = await prisma.userInvite.updateMany({
+        where: { id: inviteId, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+        data: { revokedAt: new Date() },
+    });
+    if (count === 0) {
+        throw httpError(409, `O convite já não está pendente (${getInviteStatus(invite)}).`);
+    }
+
+    await recordSecurityEvent({
+        type: SECURITY_EVENTS.INVITE_REVOKED,
+        email: invite.email,
+        ipAddress: requestedIp,
+        actorId,
+        details: { inviteId, role: invite.role.key },
+    });
+}
@@ -0,0 +1,228 @@
+// utils/loginThrottle.js
+// Proteção contra força bruta no login: tentativas falhadas por conta (email) e por IP
+// Após algumas falhas cada nova tentativa exige uma espera crescente (backoff exponencial);
+// ao atingir o limite a chave fica bloqueada temporariamente e o bloqueio é registado no registo de segurança
+// Os contadores vivem num store intercambiável (LOGIN_THROTTLE_STORE): 'memory' (predefinido) ou 'database'
+// (partilhado entre instâncias)
+
+import prisma from '../db.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from './securityLog.js';
+
+// Política por tipo de chave: o IP tolera mais falhas (pode ser partilhado por vários utilizadores)
+const POLICY = {
+    account: { backoffAfter: 3, lockAfter: 10, lockMinutes: 15 },
+    ip: { backoffAfter: 10, lockAfter: 50, lockMinutes: 15 },
+};
+
+// Falhas mais antigas do que a janela deixam de contar
+const FAILURE_WINDOW_MINUTES = 60;
+const MAX_BACKOFF_SECONDS = 300;
+
+// Store = { get(key), increment(key, now), startLock(key, options), delete(key) }
+// state = { failures, lastFailureAt, lockedUntil }
+// increment e startLock são atómicos: pedidos de login em paralelo não perdem falhas nem iniciam dois bloqueios
+
+// Máximo de chaves no store em memória (emails aleatórios não podem fazer crescer o Map sem limite)
+const MEMORY_STORE_MAX_KEYS = 100000;
+const MEMORY_STORE_SWEEP_MS = 5 * 60 * 1000;
+
+const isLockedAt = (state, now) => Boolean(state.lockedUntil && state.lockedUntil > now);
+const isStaleAt = (state, now) => !isLockedAt(state, now)
+    && state.lastFailureAt.getTime() < now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000;
+
+function createMemoryStore() {
+    const entries = new Map();
+
+    // Limpeza periódica das chaves fora da janela (unref: não impede o processo de terminar)
+    setInterval(() => {
+        const now = new Date();
+        for (const [key, state] of entries) {
+            if (isStaleAt(state, now)) entries.delete(key);
+        }
+    }, MEMORY_STORE_SWEEP_MS).unref();
+
+    return {
+        async get(key) {
+            return entries.get(key) ?? null;
+        },
+        async increment(key, now) {
+            const state = entries.get(key);
+            if (state) {
+                state.failures += 1;
+                state.lastFailureAt = now;
+                return { ...state };
+            }
+
+            // Cheio: descarta a chave mais antiga (ordem de inserção do Map)
+            if (entries.size >= MEMORY_STORE_MAX_KEYS) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, { failures: 1, lastFailureAt: now, lockedUntil: null });
+            return { ...entries.get(key) };
+        },
+        async startLock(key, { threshold, lockedUntil, now }) {
+            const state = entries.get(key);
+            if (!state || state.failures < threshold || isLockedAt(state, now)) return false;
+
+            state.failures -= threshold;
+            state.lockedUntil = lockedUntil;
+            return true;
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+function createDatabaseStore() {
+    return {
+        get(key) {
+            return prisma.loginThrottle.findUnique({ where: { key } });
+        },
+        increment(key, now) {
+            // upsert com INSERT ... ON CONFLICT: o incremento é feito pela BD
+            return prisma.loginThrottle.upsert({
+                where: { key },
+                update: { failures: { increment: 1 }, lastFailureAt: now },
+                create: { key, failures: 1, lastFailureAt: now },
+            });
+        },
+        async startLock(key, { threshold, lockedUntil, now }) {
+            // Condicional: só um dos pedidos concorrentes que ultrapassam o limite inicia o bloqueio
+            const { count } = await prisma.loginThrottle.updateMany({
+                where: {
+                    key,
+                    failures: { gte: threshold },
+                    OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
+                },
+                data: { failures: { decrement: threshold }, lockedUntil },
+            });
+            return count === 1;
+        },
+        async delete(key) {
+            await prisma.loginThrottle.deleteMany({ where: { key } });
+        },
+    };
+}
+
+const STORES = { memory: createMemoryStore, database: createDatabaseStore };
+
+const store = (STORES[process.env.LOGIN_THROTTLE_STORE] || STORES.memory)();
+
+const accountKey = (email) => `account:${email.trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Estado atual da chave, descartando falhas fora da janela
+async function getState(key, now) {
+    const state = await store.get(key);
+    if (!state) return null;
+
+    if (isStaleAt(state, now)) {
+        await store.delete(key);
+        return null;
+    }
+
+    return state;
+}
+
+// Segundos até a chave poder tentar de novo (0 = pode tentar)
+function retryAfterSeconds(state, policy, now) {
+    if (!state) return 0;
+
+    if (state.lockedUntil && state.lockedUntil > now) {
+        return Math.ceil((state.lockedUntil.getTime() - now.getTime()) / 1000);
+    }
+
+    if (state.failures < policy.backoffAfter) return 0;
+
+    const backoff = Math.min(2 ** (state.failures - policy.backoffAfter), MAX_BACKOFF_SECONDS);
+    const nextAttemptAt = state.lastFailureAt.getTime() + backoff * 1000;
+    return Math.max(Math.ceil((nextAttemptAt - now.getTime()) / 1000), 0);
+}
+
+// Verifica se o login pode ser tentado para o email e o IP
+// Retorna { allowed, retryAfter (segundos), locked }
+export async function checkLoginAllowed(email, ip) {
+    const now = new Date();
+    const [account, address] = await Promise.all([
+        getState(accountKey(email), now),
+        getState(ipKey(ip), now),
+    ]);
+
+    const retryAfter = Math.max(
+        retryAfterSeconds(account, POLICY.account, now),
+        retryAfterSeconds(address, POLICY.ip, now)
+    );
+    const locked = Boolean((account?.lockedUntil && account.lockedUntil > now) || (address?.lockedUntil && address.lockedUntil > now));
+
+    return { allowed: retryAfter === 0, retryAfter, locked };
+}
+
+// Soma uma falha à chave e bloqueia-a ao atingir o limite; retorna true se o bloqueio começou agora
+// O limite é avaliado sobre o valor devolvido pelo incremento atómico
+async function addFailure(key, policy, now) {
+    // Falhas antigas (fora da janela) não se somam às novas
+    await getState(key, now);
+
+    const state = await store.increment(key, now);
+    if (state.failures < policy.lockAfter || isLockedAt(state, now)) {
+        return false;
+    }
+
+    // Após um bloqueio a contagem recomeça (o próximo bloqueio exige novo ciclo de falhas)
+    return store.startLock(key, {
+        threshold: policy.lockAfter,
+        lockedUntil: new Date(now.getTime() + policy.lockMinutes * 60 * 1000),
+        now,
+    });
+}
+
+// Regista uma tentativa falhada (também para emails sem conta: o bloqueio não revela se o email existe)
+export async function recordLoginFailure(email, ip, { userId = null } = {}) {
+    const now = new Date();
+
+    const [accountLocked, ipLocked] = await Promise.all([
+        addFailure(accountKey(email), POLICY.account, now),
+        addFailure(ipKey(ip), POLICY.ip, now),
+    ]);
+
+    if (accountLocked) {
+        await recordSecurityEvent({
+            type: SECURITY_EVENTS.ACCOUNT_LOCKED,
+            userId,
+            email,
+            ipAddress: ip,
+            details: { failures: POLICY.account.lockAfter, lockMinutes: POLICY.account.lockMinutes },
+        });
+    }
+    if (ipLocked) {
+        await recordSecurityEvent({
+            type: SECURITY_EVENTS.IP_LOCKED,
+            email,
+            ipAddress: ip,
+            details: { failures: POLICY.ip.lockAfter, lockMinutes: POLICY.ip.lockMinutes },
+        });
+    }
+}
+
+// Login bem-sucedido: limpa as falhas da conta (as do IP só expiram com a janela)
+export async function recordLoginSuccess(email) {
+    await store.delete(accountKey(email));
+}
+
+// Estado do bloqueio da conta (painel de administração)
+export async function getAccountLockState(email) {
+    const now = new Date();
+    const state = await getState(accountKey(email), now);
+
+    return {
+        failures: state?.failures ?? 0,
+        lockedUntil: state?.lockedUntil && state.lockedUntil > now ? state.lockedUntil : null,
+        retryAfter: retryAfterSeconds(state, POLICY.account, now),
+    };
+}
+
+// Desbloqueio manual da conta (limpa falhas e bloqueio)
+export async function unlockAccount(email) {
+    await store.delete(accountKey(email));
+}
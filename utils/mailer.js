@@ -0,0 +1,47 @@
+// utils/mailer.js
+// Envio de emails com transportes intercambiáveis (MAIL_TRANSPORT)
+// Incluídos para desenvolvimento: 'console' (predefinido) e 'file' (grava cada email em MAIL_OUTBOX_DIR)
+// Em produção regista-se outro transporte (SMTP, API do fornecedor) com registerMailTransport
+// Com NODE_ENV=production não há predefinido: sem MAIL_TRANSPORT o envio falha (os emails levam links de
+// recuperação e convites válidos que não podem acabar nos logs)
+
+import fs from 'fs/promises';
+import path from 'path';
+import 'dotenv/config';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Loja <no-reply@localhost>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(path.resolve(), 'uploads', 'mail-outbox');
+
+// Transporte = função async (message) que entrega { from, to, subject, text, html }
+const transports = {
+    console: async (message) => {
+        console.log(`[MAIL] Para: ${message.to} | Assunto: ${message.subject}\n${message.text}`);
+    },
+
+    file: async (message) => {
+        await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+        await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+    },
+};
+
+// Regista um transporte adicional (ex: SMTP) selecionável por MAIL_TRANSPORT
+export function registerMailTransport(name, transport) {
+    transports[name] = transport;
+}
+
+// Envia um email pelo transporte configurado
+export async function sendMail({ to, subject, text, html }) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+    if (!name) {
+        throw new Error('MAIL_TRANSPORT não está definido (obrigatório em produção).');
+    }
+
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Transporte de email desconhecido: ${name}`);
+    }
+
+    await transport({ from: MAIL_FROM, to, subject, text, html });
+}
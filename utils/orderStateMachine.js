@@ -0,0 +1,142 @@
+// utils/orderStateMachine.js
+// Máquina de estados das encomendas (status, financialStatus, fulfillmentStatus) e histórico de eventos
+
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+
+// Transições permitidas por campo (estado atual -> estados seguintes)
+export const ORDER_TRANSITIONS = {
+    status: {
+        pending: ['processing', 'on_hold', 'cancelled'],
+        processing: ['on_hold', 'shipped', 'cancelled'],
+        on_hold: ['processing', 'cancelled'],
+        shipped: ['delivered'],
+        delivered: [],
+        cancelled: [],
+    },
+    financialStatus: {
+        pending: ['paid', 'voided'],
+        paid: ['partially_refunded', 'refunded'],
+        partially_refunded: ['refunded'],
+        refunded: [],
+        voided: [],
+    },
+    fulfillmentStatus: {
+        unfulfilled: ['partial', 'fulfilled'],
+        partial: ['fulfilled', 'returned'],
+        fulfilled: ['partial', 'returned'],
+        returned: [],
+    },
+};
+
+// Quem originou a alteração (guardado em OrderEvent.actorType)
+export const ACTOR_TYPES = {
+    CUSTOMER: 'customer',
+    ADMIN: 'admin',
+    SYSTEM: 'system',
+};
+
+const FIELD_LABELS = {
+    status: 'estado',
+    financialStatus: 'estado financeiro',
+    fulfillmentStatus: 'estado de envio',
+};
+
+// Transições disponíveis a partir do estado atual da encomenda (para o painel de admin)
+export function getAllowedTransitions(order) {
+    return Object.fromEntries(
+        Object.keys(ORDER_TRANSITIONS).map(field => [field, ORDER_TRANSITIONS[field][order[field]] || []])
+    );
+}
+
+// Valida as alterações pedidas contra a máquina de estados e as regras entre campos
+// Lança httpError 409 com os estados permitidos se a transição for ilegal
+export function assertOrderTransition(order, changes) {
+    for (const [field, to] of Object.entries(changes)) {
+        const from = order[field];
+        if (to === undefined || to === from) continue;
+
+        const allowed = ORDER_TRANSITIONS[field][from] || [];
+        if (!allowed.includes(to)) {
+            throw httpError(409, `Transição inválida de ${FIELD_LABELS[field]}: '${from}' -> '${to}'.`, { field, from, to, allowed });
+        }
+    }
+
+    const next = { ...order, ...changes };
+
+    // Mercadoria já enviada não pode ser cancelada (usar devolução)
+    if (changes.status === 'cancelled' && next.fulfillmentStatus !== 'unfulfilled') {
+        throw httpError(409, 'Não é possível cancelar uma encomenda com artigos já enviados.', { field: 'status', from: order.status, to: 'cancelled' });
+    }
+
+    // Encomenda cancelada não tem envios
+    if (changes.fulfillmentStatus !== undefined && changes.fulfillmentStatus !== order.fulfillmentStatus && next.status === 'cancelled') {
+        throw httpError(409, 'Não é possível alterar o envio de uma encomenda cancelada.', { field: 'fulfillmentStatus', from: order.fulfillmentStatus, to: changes.fulfillmentStatus });
+    }
+
+    // Não enviar encomendas reembolsadas ou anuladas
+    if (changes.status === 'shipped' && ['refunded', 'voided'].includes(next.financialStatus)) {
+        throw httpError(409, `Não é possível enviar uma encomenda com estado financeiro '${next.financialStatus}'.`, { field: 'status', from: order.status, to: 'shipped' });
+    }
+}
+
+// Aplica alterações de estado a uma encomenda e regista um OrderEvent por campo alterado
+// changes: { status?, financialStatus?, fulfillmentStatus? }
+// force: regista sem validar (sincronização vinda do Stripe, que é a fonte da verdade)
+// Aceita cliente de transação; caso contrário abre uma transação própria
+export async function transitionOrder(orderId, changes, { actor = { type: ACTOR_TYPES.SYSTEM }, reason = null, force = false, client = prisma } = {}) {
+    const run = async (tx) => {
+        const order = await tx.order.findUnique({ where: { id: orderId } });
+
+        if (!order) {
+            throw httpError(404, 'Pedido não encontrado.');
+        }
+
+        if (!force) {
+            assertOrderTransition(order, changes);
+        }
+
+        const changedFields = Object.keys(ORDER_TRANSITIONS)
+            .filter(field => changes[field] !== undefined && changes[field] !== order[field]);
+
+        if (changedFields.length === 0) {
+            return order;
+        }
+
+        const updatedOrder = await tx.order.update({
+            where: { id: orderId },
+            data: Object.fromEntries(changedFields.map(field => [field, changes[field]])),
+        });
+
+        await tx.orderEvent.createMany({
+            data: changedFields.map(field => ({
+                orderId,
+                field,
+                fromValue: order[field],
+                toValue: changes[field],
+                actorType: actor.type,
+                actorId: actor.id ?? null,
+                reason,
+            })),
+        });
+
+        return updatedOrder;
+    };
+
+    return client === prisma ? prisma.$transaction(run) : run(client);
+}
+
+// Regista os estados iniciais de uma encomenda acabada de criar (fromValue nulo)
+export function recordOrderCreated(order, { actor = { type: ACTOR_TYPES.SYSTEM }, reason = null } = {}, client = prisma) {
+    return client.orderEvent.createMany({
+        data: Object.keys(ORDER_TRANSITIONS).map(field => ({
+            orderId: order.id,
+            field,
+            fromValue: null,
+            toValue: order[field],
+            actorType: actor.type,
+            actorId: actor.id ?? null,
+            reason,
+        })),
+    });
+}
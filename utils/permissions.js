@@ -0,0 +1,88 @@
+// utils/permissions.js
+// Permissões finas da administração e papéis (roles) que as agrupam
+// Os papéis vivem na tabela roles e são geridos pelo OWNER (ou por quem tenha roles:manage)
+// Papéis de sistema: USER (clientes, sem permissões), ADMIN (editável) e OWNER (todas as permissões, incluindo futuras)
+
+// Permissões conhecidas (formato área:ação)
+export const PERMISSIONS = {
+    CATALOG_WRITE: 'catalog:write',
+    ORDERS_READ: 'orders:read',
+    ORDERS_MANAGE: 'orders:manage',
+    ORDERS_REFUND: 'orders:refund',
+    RETURNS_MANAGE: 'returns:manage',
+    MARKETING_MANAGE: 'marketing:manage',
+    SETTINGS_MANAGE: 'settings:manage',
+    REPORTS_VIEW: 'reports:view',
+    ALERTS_MANAGE: 'alerts:manage',
+    PAYMENTS_MANAGE: 'payments:manage',
+    USERS_READ: 'users:read',
+    USERS_READ_PII: 'users:read_pii',
+    USERS_MANAGE: 'users:manage',
+    USERS_INVITE: 'users:invite',
+    USERS_IMPERSONATE: 'users:impersonate',
+    ROLES_MANAGE: 'roles:manage',
+    SECURITY_VIEW: 'security:view',
+    AUDIT_VIEW: 'audit:view',
+};
+
+// Descrição de cada permissão (catálogo em GET /api/admin/permissions)
+export const PERMISSION_DESCRIPTIONS = {
+    [PERMISSIONS.CATALOG_WRITE]: 'Criar, editar e eliminar produtos, variantes, imagens, categorias e marcas',
+    [PERMISSIONS.ORDERS_READ]: 'Consultar pedidos',
+    [PERMISSIONS.ORDERS_MANAGE]: 'Alterar estado e preparação de pedidos e registar envios',
+    [PERMISSIONS.ORDERS_REFUND]: 'Reembolsar pedidos e devoluções',
+    [PERMISSIONS.RETURNS_MANAGE]: 'Consultar, aprovar e receber devoluções',
+    [PERMISSIONS.MARKETING_MANAGE]: 'Gerir cupões e promoções',
+    [PERMISSIONS.SETTINGS_MANAGE]: 'Gerir taxas de IVA e zonas e métodos de envio',
+    [PERMISSIONS.REPORTS_VIEW]: 'Ver estatísticas e relatórios de vendas',
+    [PERMISSIONS.ALERTS_MANAGE]: 'Consultar e resolver alertas de administração',
+    [PERMISSIONS.PAYMENTS_MANAGE]: 'Consultar e reprocessar eventos do Stripe',
+    [PERMISSIONS.USERS_READ]: 'Listar utilizadores',
+    [PERMISSIONS.USERS_READ_PII]: 'Ver dados pessoais dos clientes (telefone, data de nascimento e moradas)',
+    [PERMISSIONS.USERS_MANAGE]: 'Desbloquear, suspender, banir e editar contas',
+    [PERMISSIONS.USERS_INVITE]: 'Convidar membros da equipa',
+    [PERMISSIONS.USERS_IMPERSONATE]: 'Pedir para ver a loja como um cliente (com aprovação de um OWNER)',
+    [PERMISSIONS.ROLES_MANAGE]: 'Gerir papéis e atribuí-los a utilizadores',
+    [PERMISSIONS.SECURITY_VIEW]: 'Consultar o registo de segurança',
+    [PERMISSIONS.AUDIT_VIEW]: 'Consultar o registo de auditoria das ações de administração',
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Chaves dos papéis de sistema (criados pela migração; não podem ser eliminados)
+export const SYSTEM_ROLES = {
+    USER: 'USER',
+    ADMIN: 'ADMIN',
+    OWNER: 'OWNER',
+};
+
+// Relação role a incluir nas queries de utilizadores
+export const ROLE_SELECT = { select: { id: true, key: true, name: true, permissions: true } };
+
+// Permissões efetivas de um papel: o OWNER tem sempre todas; permissões desconhecidas são ignoradas
+export function resolvePermissions(role) {
+    if (!role) return [];
+    if (role.key === SYSTEM_ROLES.OWNER) return ALL_PERMISSIONS;
+
+    return role.permissions.filter(permission => ALL_PERMISSIONS.includes(permission));
+}
+
+// Papel com acesso à administração (alguma permissão): conta de equipa
+export const isStaffRole = (role) => resolvePermissions(role).length > 0;
+
+// req.user (authenticateToken) tem a permissão?
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+// Um utilizador só atribui (ou convida para) papéis cujas permissões já tem: sem escalada de privilégios
+// O papel OWNER só é atribuído por um OWNER
+export function canGrantRole(user, role) {
+    if (role.key === SYSTEM_ROLES.OWNER) {
+        return user.role === SYSTEM_ROLES.OWNER;
+    }
+
+    return resolvePermissions(role).every(permission => hasPermission(user, permission));
+}
+
+// Um utilizador só gere (suspende, edita) outras contas cujo papel podia atribuir; nunca a própria
+// target.role é a relação Role (incluir com ROLE_SELECT)
+export const canManageUser = (user, target) => user.id !== target.id && canGrantRole(user, target.role);
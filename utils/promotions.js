@@ -0,0 +1,152 @@
+// utils/promotions.js
+// Promoções automáticas (sem código): leve X pague Y, descontos por quantidade e preço de pack
+// Avaliadas por ordem de prioridade; cada unidade do carrinho só beneficia de uma promoção
+
+import { Decimal } from '@prisma/client/runtime/library';
+import prisma from '../db.js';
+
+// Promoções ativas e dentro do período de validade, pela ordem de avaliação
+export function getActivePromotions(client = prisma) {
+    const now = new Date();
+
+    return client.promotion.findMany({
+        where: {
+            isActive: true,
+            OR: [{ startsAt: null }, { startsAt: { lte: now } }],
+            AND: [{ OR: [{ endsAt: null }, { endsAt: { gte: now } }] }],
+        },
+        orderBy: [{ priority: 'desc' }, { id: 'asc' }],
+    });
+}
+
+// Artigo abrangido por um alvo { productIds, categoryIds, brandIds } (listas vazias/omitidas = sem restrição)
+function matchesTarget(unit, target) {
+    const { productIds = [], categoryIds = [], brandIds = [] } = target;
+
+    return (productIds.length === 0 || productIds.includes(unit.productId))
+        && (categoryIds.length === 0 || categoryIds.includes(unit.categoryId))
+        && (brandIds.length === 0 || brandIds.includes(unit.brandId));
+}
+
+const sumPrices = (units) => units.reduce((total, unit) => total.add(unit.price), new Decimal(0));
+
+// Leve X pague Y: unidades elegíveis ordenadas da mais cara para a mais barata, em grupos de (buy + get)
+// Em cada grupo completo as 'get' unidades mais baratas recebem discountPercent de desconto
+function applyBuyXGetY(promotion, pool) {
+    const { buyQuantity, getQuantity, discountPercent = 100 } = promotion.config;
+    const groupSize = buyQuantity + getQuantity;
+
+    const units = pool
+        .filter(unit => matchesTarget(unit, promotion))
+        .sort((a, b) => b.price.cmp(a.price));
+
+    const groups = Math.floor(units.length / groupSize);
+    const used = units.slice(0, groups * groupSize);
+    let savings = new Decimal(0);
+
+    for (let g = 0; g < groups; g++) {
+        const discounted = used.slice(g * groupSize + buyQuantity, (g + 1) * groupSize);
+        savings = savings.add(sumPrices(discounted).mul(discountPercent).div(100));
+    }
+
+    return { savings, used };
+}
+
+// Desconto por quantidade do mesmo produto: aplica o maior escalão atingido (tiers: [{ minQuantity, percentOff }])
+function applyQuantityTier(promotion, pool) {
+    const tiers = [...promotion.config.tiers].sort((a, b) => b.minQuantity - a.minQuantity);
+
+    const byProduct = new Map();
+    for (const unit of pool.filter(unit => matchesTarget(unit, promotion))) {
+        byProduct.set(unit.productId, [...(byProduct.get(unit.productId) || []), unit]);
+    }
+
+    let savings = new Decimal(0);
+    const used = [];
+
+    for (const units of byProduct.values()) {
+        const tier = tiers.find(t => units.length >= t.minQuantity);
+        if (!tier) continue;
+
+        savings = savings.add(sumPrices(units).mul(tier.percentOff).div(100));
+        used.push(...units);
+    }
+
+    return { savings, used };
+}
+
+// Preço de pack: cada componente ({ productIds/categoryIds/brandIds, quantity }) usa as unidades elegíveis mais caras
+// Forma packs enquanto houver unidades para todos os componentes e o pack ficar mais barato que o preço normal
+function applyBundle(promotion, pool) {
+    const { components, bundlePrice } = promotion.config;
+    const available = [...pool].sort((a, b) => b.price.cmp(a.price));
+    let savings = new Decimal(0);
+    const used = [];
+
+    while (true) {
+        const bundleUnits = [];
+
+        for (const component of components) {
+            const units = available
+                .filter(unit => !bundleUnits.includes(unit) && matchesTarget(unit, component))
+                .slice(0, component.quantity || 1);
+
+            if (units.length < (component.quantity || 1)) {
+                return { savings, used };
+            }
+            bundleUnits.push(...units);
+        }
+
+        const normalPrice = sumPrices(bundleUnits);
+        if (normalPrice.lte(bundlePrice)) {
+            return { savings, used };
+        }
+
+        savings = savings.add(normalPrice.sub(bundlePrice));
+        used.push(...bundleUnits);
+        for (const unit of bundleUnits) {
+            available.splice(available.indexOf(unit), 1);
+        }
+    }
+}
+
+const PROMOTION_HANDLERS = {
+    buy_x_get_y: applyBuyXGetY,
+    quantity_tier: applyQuantityTier,
+    bundle: applyBundle,
+};
+
+// Avalia as promoções (já ordenadas por prioridade) sobre os itens do carrinho
+// items: { productId, itemPrice, quantity, product?: { categoryId, brandId } }
+// Política de acumulação: uma promoção não acumulável só se aplica se nenhuma outra se aplicou antes,
+// e quando se aplica nenhuma promoção seguinte é avaliada
+// Retorna { totalSavings, applied: [{ promotionId, name, type, savings }] }
+export function evaluatePromotions(items, promotions) {
+    let pool = items.flatMap(item => Array.from({ length: item.quantity }, () => ({
+        productId: item.productId,
+        categoryId: item.product?.categoryId ?? null,
+        brandId: item.product?.brandId ?? null,
+        price: new Decimal(item.itemPrice),
+    })));
+
+    const applied = [];
+    let totalSavings = new Decimal(0);
+
+    for (const promotion of promotions) {
+        if (!promotion.stackable && applied.length > 0) continue;
+
+        const handler = PROMOTION_HANDLERS[promotion.type];
+        const { savings, used } = handler(promotion, pool);
+        const rounded = savings.toDecimalPlaces(2);
+
+        if (rounded.lte(0)) continue;
+
+        pool = pool.filter(unit => !used.includes(unit));
+        totalSavings = totalSavings.add(rounded);
+        applied.push({ promotionId: promotion.id, name: promotion.name, type: promotion.type, savings: rounded.toNumber() });
+
+        if (!promotion.stackable) break;
+    }
+
+    return { totalSavings: totalSavings.toNumber(), applied };
+}
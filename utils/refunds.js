@@ -0,0 +1,222 @@
+// utils/refunds.js
+// Reembolsos Stripe (totais ou por linha) e recálculo do estado financeiro das encomendas
+
+import crypto from 'crypto';
+import { Decimal } from '@prisma/client/runtime/library';
+import prisma from '../db.js';
+import stripe, { toCents, fromCents } from './stripe.js';
+import { httpError } from './httpError.js';
+import { transitionOrder, ACTOR_TYPES } from './orderStateMachine.js';
+import { syncFulfillment } from './shipments.js';
+import { allocateDiscount } from './tax.js';
+
+// Cabeçalho opcional com a chave de idempotência de um reembolso pedido pelo cliente HTTP
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+// Estados de reembolso Stripe que contam como dinheiro devolvido
+const COUNTED_REFUND_STATUSES = ['succeeded', 'pending'];
+
+// Transação de pagamento original da encomenda (stripeId = payment_intent do Stripe)
+export function getPaymentTransaction(orderId, client = prisma) {
+    return client.orderTransaction.findFirst({
+        where: { orderId, stripeObjectType: { not: 'refund' }, status: 'succeeded' },
+        orderBy: { createdAt: 'asc' },
+    });
+}
+
+// Totais pagos e reembolsados de uma encomenda (a partir das OrderTransaction)
+export async function getRefundTotals(orderId, client = prisma) {
+    const transactions = await client.orderTransaction.findMany({ where: { orderId } });
+
+    let paid = new Decimal(0);
+    let refunded = new Decimal(0);
+
+    for (const transaction of transactions) {
+        if (transaction.stripeObjectType === 'refund') {
+            if (COUNTED_REFUND_STATUSES.includes(transaction.status)) {
+                refunded = refunded.add(transaction.amount);
+            }
+        } else if (transaction.status === 'succeeded') {
+            paid = paid.add(transaction.amount);
+        }
+    }
+
+    return { paid, refunded, refundable: Decimal.max(paid.sub(refunded), 0) };
+}
+
+// Recalcula financialStatus a partir das transações: refunded, partially_refunded ou paid
+// As transações do Stripe são a fonte da verdade: a alteração é registada no histórico sem validação
+// Encomendas sem pagamento registado não são alteradas (retorna null)
+export async function recomputeFinancialStatus(orderId, client = prisma, { actor = { type: ACTOR_TYPES.SYSTEM }, reason = null } = {}) {
+    const { paid, refunded } = await getRefundTotals(orderId, client);
+
+    if (paid.lte(0)) {
+        return null;
+    }
+
+    let financialStatus = 'paid';
+    if (refunded.gte(paid)) {
+        financialStatus = 'refunded';
+    } else if (refunded.gt(0)) {
+        financialStatus = 'partially_refunded';
+    }
+
+    return transitionOrder(orderId, { financialStatus }, { actor, reason, force: true, client });
+}
+
+// Regista a transação de um reembolso Stripe
+// Upsert: o webhook charge.refunded pode chegar antes de a rota gravar o mesmo reembolso
+export function recordRefundTransaction({ orderId, refund, paymentMethod = null, reason = null }, client = prisma) {
+    return client.orderTransaction.upsert({
+        where: { stripeId: refund.id },
+        update: { status: refund.status },
+        create: {
+            orderId,
+            stripeId: refund.id,
+            stripeObjectType: 'refund',
+            status: refund.status,
+            paymentMethod,
+            amount: fromCents(refund.amount),
+            currency: refund.currency.toUpperCase(),
+            reason,
+        },
+    });
+}
+
+// Valor pago por cada linha: preço x quantidade menos a sua parte do desconto da encomenda
+// Mesma repartição do cálculo do IVA (allocateDiscount, linhas pela ordem de criação)
+// Retorna Map(lineItemId -> Decimal)
+function getNetLineTotals(order) {
+    const lineItems = [...order.lineItems].sort((a, b) => a.id - b.id);
+    const lineTotals = lineItems.map(li => new Decimal(li.price).mul(li.quantity));
+    const shares = allocateDiscount(lineTotals, order.discountAmount ?? 0);
+
+    return new Map(lineItems.map((li, index) => [li.id, Decimal.max(lineTotals[index].sub(shares[index]), 0)]));
+}
+
+// Chave de idempotência derivada do pedido de reembolso e do que já foi reembolsado
+// Um duplo envio produz a mesma chave (o Stripe devolve o mesmo reembolso); depois de aplicado, a chave muda
+function deriveRefundIdempotencyKey(orderId, refundLines, amount) {
+    const state = refundLines.map(({ lineItem, quantity }) => [lineItem.id, quantity, lineItem.refundedQuantity]);
+    const hash = crypto.createHash('sha256')
+        .update(JSON.stringify({ state, amount: toCents(amount) }))
+        .digest('hex')
+        .slice(0, 32);
+
+    return `refund-${orderId}-${hash}`;
+}
+
+// Reembolsa uma encomenda no Stripe e atualiza linhas, stock e estado financeiro
+// lines: [{ lineItemId, quantity }] reembolsa apenas essas unidades (preço unitário da linha após descontos)
+// Sem lines: reembolsa todas as unidades por reembolsar e todo o montante ainda não devolvido
+// restock: devolve as unidades reembolsadas ao stock das variantes
+// idempotencyKey: omitida, é derivada das linhas e das quantidades já reembolsadas
+export async function refundOrder({ orderId, lines, restock = false, reason = null, idempotencyKey, actor = { type: ACTOR_TYPES.SYSTEM } }) {
+    const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { lineItems: true },
+    });
+
+    if (!order) {
+        throw httpError(404, 'Pedido não encontrado.');
+    }
+
+    const payment = await getPaymentTransaction(orderId);
+    if (!payment) {
+        throw httpError(400, 'Este pedido não tem nenhum pagamento registado para reembolsar.');
+    }
+
+    const { refundable } = await getRefundTotals(orderId);
+    if (refundable.lte(0)) {
+        throw httpError(409, 'Este pedido já foi totalmente reembolsado.');
+    }
+
+    let refundLines;
+    let amount;
+
+    if (lines && lines.length > 0) {
+        const seen = new Set();
+
+        refundLines = lines.map(({ lineItemId, quantity }) => {
+            const lineItem = order.lineItems.find(li => li.id === lineItemId);
+            if (!lineItem) {
+                throw httpError(400, `A linha ${lineItemId} não pertence a este pedido.`);
+            }
+            if (seen.has(lineItemId)) {
+                throw httpError(400, `A linha ${lineItemId} foi indicada mais do que uma vez.`);
+            }
+            seen.add(lineItemId);
+
+            const remaining = lineItem.quantity - lineItem.refundedQuantity;
+            if (quantity > remaining) {
+                throw httpError(400, `A linha ${lineItemId} só tem ${remaining} unidade(s) por reembolsar.`);
+            }
+            return { lineItem, quantity };
+        });
+
+        // Cada unidade reembolsa o que foi pago por ela: a sua parte do valor da linha após descontos
+        // e, sem IVA incluído no preço, a sua parte do IVA da linha
+        const netLineTotals = getNetLineTotals(order);
+        const linesTotal = refundLines.reduce((total, { lineItem, quantity }) => {
+            const lineTotal = order.pricesIncludeTax
+                ? netLineTotals.get(lineItem.id)
+                : netLineTotals.get(lineItem.id).add(lineItem.taxAmount);
+            return total.add(lineTotal.mul(quantity).div(lineItem.quantity));
+        }, new Decimal(0)).toDecimalPlaces(2);
+        amount = Decimal.min(linesTotal, refundable);
+    } else {
+        refundLines = order.lineItems
+            .filter(li => li.quantity > li.refundedQuantity)
+            .map(li => ({ lineItem: li, quantity: li.quantity - li.refundedQuantity }));
+        amount = refundable;
+    }
+
+    // Chamada externa fora da transação: se a gravação falhar, o webhook charge.refunded regista o reembolso
+    const refund = await stripe.refunds.create({
+        payment_intent: payment.stripeId,
+        amount: toCents(amount),
+        metadata: {
+            orderId: orderId.toString(),
+            ...(reason && { reason: reason.slice(0, 500) }),
+        },
+    }, { idempotencyKey: idempotencyKey || deriveRefundIdempotencyKey(orderId, refundLines, amount) });
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+        await recordRefundTransaction({ orderId, refund, paymentMethod: payment.paymentMethod, reason }, tx);
+
+        for (const { lineItem, quantity } of refundLines) {
+            // Condicional: num pedido repetido (mesmo reembolso devolvido pelo Stripe) a linha já foi atualizada
+            const { count } = await tx.orderLineItem.updateMany({
+                where: { id: lineItem.id, refundedQuantity: lineItem.refundedQuantity },
+                data: { refundedQuantity: { increment: quantity } },
+            });
+            if (count === 0) {
+                continue;
+            }
+
+            if (restock) {
+                await tx.productVariant.update({
+                    where: { id: lineItem.variantId },
+                    data: { stock: { increment: quantity } },
+                });
+            }
+        }
+
+        // Unidades por enviar reembolsadas: uma encomenda parcialmente enviada pode ficar completa
+        await syncFulfillment(orderId, { actor, reason, client: tx });
+
+        return recomputeFinancialStatus(orderId, tx, { actor, reason });
+    });
+
+    return {
+        refund: {
+            id: refund.id,
+            status: refund.status,
+            amount: fromCents(refund.amount),
+            currency: refund.currency.toUpperCase(),
+        },
+        lines: refundLines.map(({ lineItem, quantity }) => ({ lineItemId: lineItem.id, quantity })),
+        restocked: restock,
+        order: updatedOrder,
+    };
+}
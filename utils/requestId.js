@@ -0,0 +1,19 @@
+// utils/requestId.js
+// Identificador do pedido (X-Request-Id): reutiliza o enviado pelo proxy/cliente ou gera um novo
+// Fica em req.id e é devolvido no header da resposta (correlação entre logs, registo de auditoria e suporte)
+
+import crypto from 'crypto';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Só aceita ids curtos e sem caracteres especiais (o valor é guardado e devolvido tal como vem)
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export const assignRequestId = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    next();
+};
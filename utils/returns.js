@@ -0,0 +1,229 @@
+// utils/returns.js
+// Devoluções (RMA): pedido do cliente, aprovação pelo admin, receção no armazém e reembolso
+
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { refundOrder } from './refunds.js';
+import { transitionOrder, ACTOR_TYPES } from './orderStateMachine.js';
+import { getShippedQuantities, getReturnedQuantities, deriveFulfillmentStatus } from './shipments.js';
+
+// Transições permitidas do pedido de devolução
+export const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received'],
+    received: ['refunded'],
+    rejected: [],
+    refunded: [],
+};
+
+// Devoluções que ocupam unidades enviadas (rejeitadas libertam as unidades)
+const ACTIVE_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunded'];
+
+// Só é possível devolver artigos já enviados
+const RETURNABLE_FULFILLMENT_STATUSES = ['partial', 'fulfilled'];
+
+// Include usado nas respostas de devoluções (cliente e admin)
+export const RETURN_INCLUDE = {
+    items: {
+        include: {
+            lineItem: { select: { id: true, title: true, variantTitle: true, sku: true, price: true, quantity: true } },
+        },
+    },
+    order: { select: { id: true, orderNumber: true, status: true, financialStatus: true, fulfillmentStatus: true } },
+};
+
+// Unidades ainda devolvíveis por linha: enviadas - já incluídas noutras devoluções
+// Retorna Map(lineItemId -> quantidade)
+export async function getReturnableQuantities(order, client = prisma) {
+    const [shipped, returned] = await Promise.all([
+        getShippedQuantities(order.id, client),
+        getReturnedQuantities(order.id, ACTIVE_RETURN_STATUSES, client),
+    ]);
+
+    return new Map(order.lineItems.map(li => [
+        li.id,
+        Math.max((shipped.get(li.id) || 0) - (returned.get(li.id) || 0), 0),
+    ]));
+}
+
+// Abre um pedido de devolução (items: [{ lineItemId, quantity }])
+// A linha da encomenda é bloqueada para serializar pedidos concorrentes sobre as mesmas unidades
+export async function createReturnRequest({ orderId, userId, reason, items }) {
+    return prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "orders" WHERE id = ${orderId} FOR UPDATE`;
+
+        const order = await tx.order.findUnique({
+            where: { id: orderId },
+            include: { lineItems: true },
+        });
+
+        if (!order) {
+            throw httpError(404, 'Pedido não encontrado.');
+        }
+
+        if (order.userId !== userId) {
+            throw httpError(403, 'Acesso negado: Este pedido não lhe pertence.');
+        }
+
+        if (!RETURNABLE_FULFILLMENT_STATUSES.includes(order.fulfillmentStatus)) {
+            throw httpError(409, 'Só é possível pedir a devolução de artigos já enviados.');
+        }
+
+        const returnable = await getReturnableQuantities(order, tx);
+        const seen = new Set();
+
+        for (const { lineItemId, quantity } of items) {
+            if (!returnable.has(lineItemId)) {
+                throw httpError(400, `A linha ${lineItemId} não pertence a este pedido.`);
+            }
+            if (seen.has(lineItemId)) {
+                throw httpError(400, `A linha ${lineItemId} foi indicada mais do que uma vez.`);
+            }
+            seen.add(lineItemId);
+
+            if (quantity > returnable.get(lineItemId)) {
+                throw httpError(400, `A linha ${lineItemId} só tem ${returnable.get(lineItemId)} unidade(s) que podem ser devolvidas.`);
+            }
+        }
+
+        return tx.returnRequest.create({
+            data: {
+                orderId,
+                userId,
+                reason,
+                items: { create: items.map(({ lineItemId, quantity }) => ({ lineItemId, quantity })) },
+            },
+            include: RETURN_INCLUDE,
+        });
+    });
+}
+
+// Muda o estado de uma devolução apenas se ainda estiver no estado esperado (evita dupla aprovação/receção)
+async function claimReturn(tx, returnId, to, data = {}) {
+    const returnRequest = await tx.returnRequest.findUnique({ where: { id: returnId } });
+
+    if (!returnRequest) {
+        throw httpError(404, 'Devolução não encontrada.');
+    }
+
+    const allowed = RETURN_TRANSITIONS[returnRequest.status];
+    if (!allowed.includes(to)) {
+        throw httpError(409, `Transição inválida da devolução: '${returnRequest.status}' -> '${to}'.`, { from: returnRequest.status, to, allowed });
+    }
+
+    const { count } = await tx.returnRequest.updateMany({
+        where: { id: returnId, status: returnRequest.status },
+        data: { status: to, ...data },
+    });
+
+    if (count === 0) {
+        throw httpError(409, 'A devolução foi alterada por outro pedido. Tente novamente.');
+    }
+
+    return returnRequest;
+}
+
+// Aprova ou rejeita um pedido de devolução
+export async function reviewReturn(returnId, { approve, note = null, actor }) {
+    return prisma.$transaction(async (tx) => {
+        await claimReturn(tx, returnId, approve ? 'approved' : 'rejected', {
+            reviewedById: actor.id,
+            reviewedAt: new Date(),
+            reviewNote: note,
+        });
+
+        return tx.returnRequest.findUnique({ where: { id: returnId }, include: RETURN_INCLUDE });
+    });
+}
+
+// Regista a receção no armazém (dispositions: Map(returnItemId -> 'restock' | 'write_off'), por omissão restock)
+// Repõe o stock dos artigos em condições e atualiza o fulfillmentStatus da encomenda
+export async function receiveReturn(returnId, { dispositions = new Map(), actor }) {
+    return prisma.$transaction(async (tx) => {
+        const returnRequest = await claimReturn(tx, returnId, 'received', { receivedAt: new Date() });
+
+        const items = await tx.returnItem.findMany({
+            where: { returnId },
+            include: { lineItem: { select: { variantId: true } } },
+        });
+
+        for (const returnItemId of dispositions.keys()) {
+            if (!items.some(item => item.id === returnItemId)) {
+                throw httpError(400, `O artigo ${returnItemId} não pertence a esta devolução.`);
+            }
+        }
+
+        for (const item of items) {
+            const disposition = dispositions.get(item.id) || 'restock';
+
+            await tx.returnItem.update({
+                where: { id: item.id },
+                data: { disposition },
+            });
+
+            if (disposition === 'restock') {
+                await tx.productVariant.update({
+                    where: { id: item.lineItem.variantId },
+                    data: { stock: { increment: item.quantity } },
+                });
+            }
+        }
+
+        const order = await tx.order.findUnique({ where: { id: returnRequest.orderId }, include: { lineItems: true } });
+        const { fulfillmentStatus } = await deriveFulfillmentStatus(order, tx);
+        await transitionOrder(returnRequest.orderId, { fulfillmentStatus }, {
+            actor,
+            reason: `Devolução #${returnId} recebida`,
+            client: tx,
+        });
+
+        return tx.returnRequest.findUnique({ where: { id: returnId }, include: RETURN_INCLUDE });
+    });
+}
+
+// Reembolsa as unidades de uma devolução recebida (o stock já foi tratado na receção)
+// A devolução é marcada como reembolsada antes da chamada ao Stripe para impedir reembolsos em duplicado
+// Se o Stripe falhar volta a 'received' e o reembolso pode ser repetido (idempotencyKey por devolução)
+export async function refundReturn(returnId, { actor = { type: ACTOR_TYPES.SYSTEM } } = {}) {
+    const returnRequest = await prisma.returnRequest.findUnique({
+        where: { id: returnId },
+        include: { items: true },
+    });
+
+    if (!returnRequest) {
+        throw httpError(404, 'Devolução não encontrada.');
+    }
+
+    const { count } = await prisma.returnRequest.updateMany({
+        where: { id: returnId, status: 'received' },
+        data: { status: 'refunded', refundedAt: new Date() },
+    });
+
+    if (count === 0) {
+        throw httpError(409, `Só é possível reembolsar devoluções recebidas (estado atual: '${returnRequest.status}').`);
+    }
+
+    let refund;
+    try {
+        ({ refund } = await refundOrder({
+            orderId: returnRequest.orderId,
+            lines: returnRequest.items.map(item => ({ lineItemId: item.lineItemId, quantity: item.quantity })),
+            restock: false,
+            reason: `Devolução #${returnId}: ${returnRequest.reason}`,
+            idempotencyKey: `return-refund-${returnId}`,
+            actor,
+        }));
+    } catch (error) {
+        await prisma.returnRequest.update({
+            where: { id: returnId },
+            data: { status: 'received', refundedAt: null },
+        });
+        throw error;
+    }
+
+    return prisma.returnRequest.update({
+        where: { id: returnId },
+        data: { stripeRefundId: refund.id },
+        include: RETURN_INCLUDE,
+    });
+}
@@ -2,6 +2,7 @@
 // Schemas de validação Zod para todos os endpoints da API
 
 import { z } from 'zod';
+import { ALL_PERMISSIONS } from './permissions.js';
 
 // Validação de dados de utilizador (registo, login, atualização)
 
@@ -11,14 +12,85 @@ export const userRegisterSchema = z.object({
   lastName: z.string().max(50).optional(),
   email: z.string().email('Email inválido'),
   password: z.string().min(8, 'Password deve ter pelo menos 8 caracteres'),
-  role: z.enum(['USER', 'OWNER', 'ADMIN']).optional().default('USER'),
 });
 
+// Convite para conta da equipa (chave do papel) e aceitação pelo convidado
+export const userInviteCreateSchema = z.object({
+  email: z.string().email('Email inválido'),
+  role: z.string().min(1).optional().default('ADMIN'),
+}).strict();
+
+export const acceptInviteSchema = z.object({
+  token: z.string().min(1, 'Token é obrigatório'),
+  firstName: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(50),
+  lastName: z.string().max(50).optional().default(''),
+  password: z.string().min(8, 'Password deve ter pelo menos 8 caracteres'),
+}).strict();
+
 export const userLoginSchema = z.object({
   email: z.string().email('Email inválido'),
   password: z.string().min(1, 'Password é obrigatória'),
 });
 
+export const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, 'Refresh token é obrigatório'),
+}).strict();
+
+export const forgotPasswordSchema = z.object({
+  email: z.string().email('Email inválido'),
+}).strict();
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Token é obrigatório'),
+  newPassword: z.string().min(8, 'Nova password deve ter pelo menos 8 caracteres'),
+  confirmPassword: z.string().min(8),
+}).strict().refine(data => data.newPassword === data.confirmPassword, {
+  message: 'As passwords não coincidem',
+  path: ['confirmPassword'],
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Token é obrigatório'),
+}).strict();
+
+// Código de 6 dígitos da app autenticadora
+const totpCode = z.string().trim().regex(/^\d{6}$/, 'O código deve ter 6 dígitos');
+
+// Segundo fator: código da app ou, em alternativa, um código de recuperação
+const secondFactorFields = {
+  code: totpCode.optional(),
+  recoveryCode: z.string().trim().min(1).max(20).optional(),
+};
+
+const hasOneSecondFactor = [
+  (data) => Boolean(data.code) !== Boolean(data.recoveryCode),
+  { message: 'Indique o código da app ou um código de recuperação', path: ['code'] },
+];
+
+export const loginTwoFactorSchema = z.object({
+  challengeToken: z.string().min(1, 'Desafio de login é obrigatório'),
+  ...secondFactorFields,
+}).strict().refine(...hasOneSecondFactor);
+
+export const twoFactorCodeSchema = z.object({
+  code: totpCode,
+}).strict();
+
+export const twoFactorDisableSchema = z.object({
+  password: z.string().min(1, 'Password é obrigatória'),
+  ...secondFactorFields,
+}).strict().refine(...hasOneSecondFactor);
+
+// Eliminação da conta (RGPD): confirmação com a password
+export const accountDeletionSchema = z.object({
+  password: z.string().min(1, 'Password é obrigatória'),
+}).strict();
+
+export const logoutSchema = z.object({
+  // Terminar também as sessões de todos os outros dispositivos
+  allDevices: z.boolean().optional().default(false),
+}).strict();
+
 export const userUpdateSchema = z.object({
   firstName: z.string().min(2).max(50).optional(),
   lastName: z.string().max(50).optional(),
@@ -61,6 +133,8 @@ export const productCreateSchema = z.object({
   categoryId: z.coerce.number().int().positive('ID de categoria inválido'),
   brandId: z.coerce.number().int().positive('ID de marca inválido').optional(),
   gender: z.enum(['MALE', 'FEMALE'], 'Género é obrigatório (MALE ou FEMALE)'),
+  isTaxable: z.boolean().optional(),
+  taxClass: z.enum(['standard', 'intermediate', 'reduced']).optional(),
   tempFileName: z.string().optional(),
 }).strict();
 
@@ -75,6 +149,8 @@ export const productUpdateSchema = z.object({
   isPublished: z.boolean().optional(),
   isFeatured: z.boolean().optional(),
   isNew: z.boolean().optional(),
+  isTaxable: z.boolean().optional(),
+  taxClass: z.enum(['standard', 'intermediate', 'reduced']).optional(),
 }).strict();
 
 // =====================================================
@@ -120,14 +196,75 @@ export const cartItemUpdateSchema = z.object({
   quantity: z.coerce.number().int().positive('Quantidade deve ser pelo menos 1'),
 }).strict();
 
+export const cartCouponApplySchema = z.object({
+  code: z.string().trim().min(1, 'Código do cupão é obrigatório').max(50),
+}).strict();
+
 // =====================================================
 // ORDER SCHEMAS
 // =====================================================
 
+// País das moradas: código ISO de 2 letras (define a taxa de IVA e a zona de envio)
+const addressCountrySchema = z.string().trim()
+  .regex(/^[A-Za-z]{2}$/, 'País deve ser um código ISO de 2 letras (ex: PT)')
+  .transform(c => c.toUpperCase());
+
+// Morada indicada diretamente no checkout (alternativa a uma morada guardada)
+const checkoutAddressSchema = z.object({
+  company: z.string().max(100).optional().nullable(),
+  street: z.string().min(5, 'Rua deve ter pelo menos 5 caracteres').max(200),
+  city: z.string().min(2, 'Cidade deve ter pelo menos 2 caracteres').max(100),
+  state: z.string().min(2).max(100).optional().nullable(),
+  postalCode: z.string().min(2).max(20),
+  country: addressCountrySchema.optional(),
+}).strict();
+
+// Moradas do checkout: ID de morada guardada (/api/addresses) ou morada inline
+// Faturação é opcional (por omissão igual à morada de envio)
+const checkoutAddressFields = {
+  shippingAddressId: z.coerce.number().int().positive('ID de endereço inválido').optional(),
+  shippingAddress: checkoutAddressSchema.optional(),
+  billingAddressId: z.coerce.number().int().positive('ID de endereço inválido').optional(),
+  billingAddress: checkoutAddressSchema.optional(),
+  // Obrigatório quando o carrinho tem artigos a enviar (ver GET /api/cart/shipping-options)
+  shippingMethodId: z.coerce.number().int().positive('ID de método de envio inválido').optional(),
+};
+
+const refineCheckoutAddresses = (data, ctx) => {
+  if ((data.shippingAddressId === undefined) === (data.shippingAddress === undefined)) {
+    ctx.addIssue({ code: 'custom', path: ['shippingAddress'], message: 'Indique shippingAddressId ou shippingAddress (apenas um)' });
+  }
+  if (data.billingAddressId !== undefined && data.billingAddress !== undefined) {
+    ctx.addIssue({ code: 'custom', path: ['billingAddress'], message: 'Indique billingAddressId ou billingAddress (apenas um)' });
+  }
+};
+
 export const orderCreateSchema = z.object({
-  shippingAddress: z.string().min(5, 'Morada de envio deve ter pelo menos 5 caracteres').max(500),
+  ...checkoutAddressFields,
   paymentMethod: z.string().min(1, 'Método de pagamento é obrigatório').max(100),
   notes: z.string().max(500).optional(),
+}).strict().superRefine(refineCheckoutAddresses);
+
+export const checkoutSessionSchema = z.object({
+  cartId: z.coerce.number().int().positive('cartId é obrigatório'),
+  ...checkoutAddressFields,
+}).strict().superRefine(refineCheckoutAddresses);
+
+export const orderCancelSchema = z.object({
+  reason: z.string().min(3, 'Indique o motivo do cancelamento').max(500),
+}).strict();
+
+// =====================================================
+// RETURN SCHEMAS
+// =====================================================
+
+export const returnCreateSchema = z.object({
+  orderId: z.coerce.number().int().positive('ID de pedido inválido'),
+  reason: z.string().min(3, 'Indique o motivo da devolução').max(1000),
+  items: z.array(z.object({
+    lineItemId: z.coerce.number().int().positive('ID de linha inválido'),
+    quantity: z.coerce.number().int().positive('Quantidade deve ser pelo menos 1'),
+  }).strict()).min(1, 'Indique pelo menos um artigo a devolver'),
 }).strict();
 
 // =====================================================
@@ -139,7 +276,7 @@ export const addressCreateSchema = z.object({
   city: z.string().min(2, 'Cidade deve ter pelo menos 2 caracteres').max(100),
   state: z.string().min(2).max(100).optional().nullable(),
   postalCode: z.string().min(2).max(20),
-  country: z.string().min(2).max(100).optional(),
+  country: addressCountrySchema.optional(),
   type: z.enum(['billing', 'shipping']),
   isDefault: z.boolean().optional(),
 }).strict();
@@ -149,7 +286,7 @@ export const addressUpdateSchema = z.object({
   city: z.string().min(2).max(100).optional(),
   state: z.string().min(2).max(100).optional().nullable(),
   postalCode: z.string().min(2).max(20).optional(),
-  country: z.string().min(2).max(100).optional(),
+  country: addressCountrySchema.optional(),
   type: z.enum(['billing', 'shipping']).optional(),
   isDefault: z.boolean().optional(),
 }).strict();
@@ -188,13 +325,298 @@ export const userChangePasswordSchema = z.object({
 // =====================================================
 
 export const orderStatusUpdateSchema = z.object({
-  status: z.enum(['pending', 'processing', 'shipped', 'delivered', 'cancelled'], {
+  status: z.enum(['pending', 'processing', 'on_hold', 'shipped', 'delivered', 'cancelled'], {
     errorMap: () => ({ message: 'Status de pedido inválido' })
   }),
+  reason: z.string().max(500).optional(),
 }).strict();
 
 export const fulfillmentStatusUpdateSchema = z.object({
   fulfillmentStatus: z.enum(['unfulfilled', 'fulfilled', 'partial', 'returned'], {
     errorMap: () => ({ message: 'Status de fulfillment inválido' })
   }),
+  reason: z.string().max(500).optional(),
+}).strict();
+
+export const orderRefundSchema = z.object({
+  lineItems: z.array(z.object({
+    lineItemId: z.coerce.number().int().positive('ID de linha inválido'),
+    quantity: z.coerce.number().int().positive('Quantidade deve ser pelo menos 1'),
+  }).strict()).min(1, 'Indique pelo menos uma linha ou omita para reembolso total').optional(),
+  restock: z.boolean().optional().default(false),
+  reason: z.string().max(500).optional(),
+}).strict();
+
+export const shipmentCreateSchema = z.object({
+  carrier: z.string().min(2, 'Transportadora é obrigatória').max(100),
+  trackingNumber: z.string().min(3, 'Número de tracking é obrigatório').max(100),
+  trackingUrl: z.string().url('URL de tracking inválido').max(500).optional(),
+  shippedAt: z.coerce.date().optional(),
+  // Omitido: envia todas as unidades ainda por enviar
+  lineItems: z.array(z.object({
+    lineItemId: z.coerce.number().int().positive('ID de linha inválido'),
+    quantity: z.coerce.number().int().positive('Quantidade deve ser pelo menos 1'),
+  }).strict()).min(1, 'Indique pelo menos uma linha ou omita para enviar tudo').optional(),
+}).strict();
+
+export const shipmentDeliveredSchema = z.object({
+  deliveredAt: z.coerce.date().optional(),
+}).strict();
+
+const couponBaseSchema = z.object({
+  code: z.string().trim().min(3, 'Código deve ter pelo menos 3 caracteres').max(50)
+    .regex(/^[A-Za-z0-9_-]+$/, 'Código só pode conter letras, números, _ e -'),
+  description: z.string().max(500).optional().nullable(),
+  type: z.enum(['percentage', 'fixed_amount', 'free_shipping'], {
+    errorMap: () => ({ message: 'Tipo de cupão inválido' })
+  }),
+  value: z.coerce.number().min(0).optional(),
+  minSubtotal: z.coerce.number().min(0).optional().nullable(),
+  startsAt: z.coerce.date().optional().nullable(),
+  endsAt: z.coerce.date().optional().nullable(),
+  usageLimit: z.coerce.number().int().positive().optional().nullable(),
+  usageLimitPerUser: z.coerce.number().int().positive().optional().nullable(),
+  categoryIds: z.array(z.coerce.number().int().positive()).optional(),
+  brandIds: z.array(z.coerce.number().int().positive()).optional(),
+  genders: z.array(z.enum(['MALE', 'FEMALE'])).optional(),
+  isActive: z.boolean().optional(),
+}).strict();
+
+const refineCoupon = (data, ctx) => {
+  if (data.type === 'percentage' && (data.value === undefined || data.value <= 0 || data.value > 100)) {
+    ctx.addIssue({ code: 'custom', path: ['value'], message: 'Percentagem deve estar entre 0 e 100' });
+  }
+  if (data.type === 'fixed_amount' && (data.value === undefined || data.value <= 0)) {
+    ctx.addIssue({ code: 'custom', path: ['value'], message: 'Valor do desconto é obrigatório' });
+  }
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    ctx.addIssue({ code: 'custom', path: ['endsAt'], message: 'A data de fim deve ser posterior à data de início' });
+  }
+};
+
+export const couponCreateSchema = couponBaseSchema.superRefine(refineCoupon);
+
+export const couponUpdateSchema = couponBaseSchema.partial().superRefine((data, ctx) => {
+  // Tipo e valor são validados em conjunto apenas quando o tipo é alterado
+  if (data.type !== undefined) refineCoupon(data, ctx);
+  else if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    ctx.addIssue({ code: 'custom', path: ['endsAt'], message: 'A data de fim deve ser posterior à data de início' });
+  }
+});
+
+const idListSchema = z.array(z.coerce.number().int().positive()).optional();
+
+// Parâmetros de cada tipo de promoção (Promotion.config)
+export const promotionConfigSchemas = {
+  buy_x_get_y: z.object({
+    buyQuantity: z.coerce.number().int().min(1),
+    getQuantity: z.coerce.number().int().min(1),
+    discountPercent: z.coerce.number().gt(0).max(100).optional().default(100),
+  }).strict(),
+  quantity_tier: z.object({
+    tiers: z.array(z.object({
+      minQuantity: z.coerce.number().int().min(2, 'Escalão deve começar em pelo menos 2 unidades'),
+      percentOff: z.coerce.number().gt(0).max(100),
+    }).strict()).min(1, 'Indique pelo menos um escalão'),
+  }).strict(),
+  bundle: z.object({
+    components: z.array(z.object({
+      productIds: idListSchema,
+      categoryIds: idListSchema,
+      brandIds: idListSchema,
+      quantity: z.coerce.number().int().min(1).optional().default(1),
+    }).strict().refine(c => c.productIds?.length || c.categoryIds?.length || c.brandIds?.length, {
+      message: 'Cada componente do pack deve indicar produtos, categorias ou marcas',
+    })).min(2, 'Um pack tem pelo menos 2 componentes'),
+    bundlePrice: z.coerce.number().positive('Preço do pack é obrigatório'),
+  }).strict(),
+};
+
+const promotionBaseSchema = z.object({
+  name: z.string().min(3, 'Nome deve ter pelo menos 3 caracteres').max(150),
+  description: z.string().max(1000).optional().nullable(),
+  type: z.enum(['buy_x_get_y', 'quantity_tier', 'bundle'], {
+    errorMap: () => ({ message: 'Tipo de promoção inválido' })
+  }),
+  config: z.record(z.string(), z.unknown()),
+  priority: z.coerce.number().int().optional(),
+  stackable: z.boolean().optional(),
+  productIds: idListSchema,
+  categoryIds: idListSchema,
+  brandIds: idListSchema,
+  startsAt: z.coerce.date().optional().nullable(),
+  endsAt: z.coerce.date().optional().nullable(),
+  isActive: z.boolean().optional(),
+}).strict();
+
+// Valida config contra o tipo e substitui-o pela versão normalizada (com valores por omissão)
+const parsePromotionConfig = (data, ctx) => {
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    ctx.addIssue({ code: 'custom', path: ['endsAt'], message: 'A data de fim deve ser posterior à data de início' });
+  }
+  if (data.config === undefined) return data;
+
+  const result = promotionConfigSchemas[data.type].safeParse(data.config);
+  if (!result.success) {
+    for (const issue of result.error.issues) {
+      ctx.addIssue({ code: 'custom', path: ['config', ...issue.path], message: issue.message });
+    }
+    return z.NEVER;
+  }
+  return { ...data, config: result.data };
+};
+
+export const promotionCreateSchema = promotionBaseSchema.transform(parsePromotionConfig);
+
+export const promotionUpdateSchema = promotionBaseSchema.partial()
+  .refine(data => data.config === undefined || data.type !== undefined, {
+    message: 'Indique o tipo da promoção ao alterar a configuração',
+    path: ['type'],
+  })
+  .transform(parsePromotionConfig);
+
+// Taxas de IVA (país ISO de 2 letras; região = subdivisão ISO, ex: PT-30 Madeira, PT-20 Açores)
+export const taxRateCreateSchema = z.object({
+  country: z.string().regex(/^[A-Za-z]{2}$/, 'País deve ser um código ISO de 2 letras').transform(c => c.toUpperCase()),
+  region: z.string().regex(/^[A-Za-z]{2}-[A-Za-z0-9]{1,3}$/, 'Região deve ser um código ISO (ex: PT-30)').transform(r => r.toUpperCase()).optional().nullable(),
+  taxClass: z.enum(['standard', 'intermediate', 'reduced'], {
+    errorMap: () => ({ message: 'Classe de imposto inválida' })
+  }),
+  rate: z.coerce.number().min(0).max(100, 'Taxa deve estar entre 0 e 100'),
+  name: z.string().min(2).max(100),
+  isActive: z.boolean().optional(),
+}).strict();
+
+export const taxRateUpdateSchema = z.object({
+  rate: z.coerce.number().min(0).max(100, 'Taxa deve estar entre 0 e 100').optional(),
+  name: z.string().min(2).max(100).optional(),
+  isActive: z.boolean().optional(),
+}).strict();
+
+// Zonas e métodos de envio
+const postalCodeRangeSchema = z.object({
+  from: z.string().min(1).max(20),
+  to: z.string().min(1).max(20),
+}).strict();
+
+export const shippingZoneCreateSchema = z.object({
+  name: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(100),
+  countries: z.array(
+    z.string().regex(/^[A-Za-z]{2}$/, 'País deve ser um código ISO de 2 letras').transform(c => c.toUpperCase())
+  ).min(1, 'Indique pelo menos um país'),
+  postalCodeRanges: z.array(postalCodeRangeSchema).optional().nullable(),
+  isActive: z.boolean().optional(),
+}).strict();
+
+export const shippingZoneUpdateSchema = shippingZoneCreateSchema.partial();
+
+const weightRateSchema = z.object({
+  maxWeight: z.coerce.number().positive('Peso máximo deve ser positivo'),
+  price: z.coerce.number().min(0),
+}).strict();
+
+const shippingMethodBaseSchema = z.object({
+  name: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(100),
+  type: z.enum(['standard', 'express', 'pickup'], {
+    errorMap: () => ({ message: 'Tipo de envio inválido' })
+  }),
+  rateType: z.enum(['flat', 'weight_based']).optional().default('flat'),
+  flatRate: z.coerce.number().min(0).optional().nullable(),
+  weightRates: z.array(weightRateSchema).optional().nullable(),
+  freeShippingThreshold: z.coerce.number().positive().optional().nullable(),
+  minDeliveryDays: z.coerce.number().int().min(0).optional().nullable(),
+  maxDeliveryDays: z.coerce.number().int().min(0).optional().nullable(),
+  sortOrder: z.coerce.number().int().optional(),
+  isActive: z.boolean().optional(),
+}).strict();
+
+// Preço fixo exige flatRate; por peso exige pelo menos um escalão
+const refineShippingRate = (data, ctx) => {
+  if (data.rateType === 'flat' && (data.flatRate === undefined || data.flatRate === null)) {
+    ctx.addIssue({ code: 'custom', path: ['flatRate'], message: 'Indique o preço fixo do envio' });
+  }
+  if (data.rateType === 'weight_based' && !data.weightRates?.length) {
+    ctx.addIssue({ code: 'custom', path: ['weightRates'], message: 'Indique pelo menos um escalão de peso' });
+  }
+  if (data.minDeliveryDays != null && data.maxDeliveryDays != null && data.maxDeliveryDays < data.minDeliveryDays) {
+    ctx.addIssue({ code: 'custom', path: ['maxDeliveryDays'], message: 'Prazo máximo não pode ser inferior ao mínimo' });
+  }
+};
+
+export const shippingMethodCreateSchema = shippingMethodBaseSchema.superRefine(refineShippingRate);
+
+export const shippingMethodUpdateSchema = shippingMethodBaseSchema
+  .extend({ rateType: z.enum(['flat', 'weight_based']).optional() })
+  .partial()
+  .superRefine((data, ctx) => {
+    // Tipo de preço e respetivos valores são validados em conjunto apenas quando o tipo é alterado
+    if (data.rateType !== undefined) refineShippingRate(data, ctx);
+  });
+
+// Papéis (roles) da administração: conjuntos de permissões geridos pelo OWNER
+const rolePermissions = z.array(z.enum(ALL_PERMISSIONS, {
+  errorMap: () => ({ message: 'Permissão desconhecida (consulte GET /api/admin/permissions)' })
+})).transform(permissions => [...new Set(permissions)]);
+
+export const roleCreateSchema = z.object({
+  key: z.string().trim().toUpperCase().regex(/^[A-Z][A-Z0-9_]{1,49}$/, 'Chave inválida (letras, números e _; ex: CATALOG_EDITOR)'),
+  name: z.string().trim().min(2).max(100),
+  description: z.string().max(500).optional(),
+  permissions: rolePermissions,
+}).strict();
+
+export const roleUpdateSchema = z.object({
+  name: z.string().trim().min(2).max(100).optional(),
+  description: z.string().max(500).nullable().optional(),
+  permissions: rolePermissions.optional(),
+}).strict();
+
+// Estado da conta (admin): suspender ou banir exige motivo; suspendedUntil só em suspensões
+export const accountStatusUpdateSchema = z.object({
+  status: z.enum(['active', 'suspended', 'banned']),
+  reason: z.string().trim().min(3).max(1000).optional(),
+  suspendedUntil: z.coerce.date().optional().nullable(),
+}).strict().superRefine((data, ctx) => {
+  if (data.status !== 'active' && !data.reason) {
+    ctx.addIssue({ code: 'custom', path: ['reason'], message: 'Indique o motivo da suspensão ou do banimento' });
+  }
+  if (data.suspendedUntil && data.status !== 'suspended') {
+    ctx.addIssue({ code: 'custom', path: ['suspendedUntil'], message: 'A data de fim só se aplica a suspensões' });
+  } else if (data.suspendedUntil && data.suspendedUntil <= new Date()) {
+    ctx.addIssue({ code: 'custom', path: ['suspendedUntil'], message: 'A data de fim da suspensão deve ser futura' });
+  }
+});
+
+// Edição do perfil de um cliente pela administração (ex: corrigir o email a pedido do cliente)
+export const adminUserUpdateSchema = z.object({
+  firstName: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(50).optional(),
+  lastName: z.string().max(50).optional(),
+  email: z.string().email('Email inválido').optional(),
+  phone: z.string().max(20).optional().nullable(),
+  dateOfBirth: z.string().date().optional().nullable(),
+}).strict().refine(data => Object.keys(data).length > 0, { message: 'Indique pelo menos um campo a alterar' });
+
+export const impersonationRequestSchema = z.object({
+  reason: z.string().trim().min(10, 'Indique o motivo (ex: número do pedido de suporte)').max(1000),
+}).strict();
+
+export const adminAlertResolveSchema = z.object({
+  note: z.string().max(1000).optional(),
+}).strict();
+
+export const returnReviewSchema = z.object({
+  decision: z.enum(['approve', 'reject'], {
+    errorMap: () => ({ message: "Decisão inválida (use 'approve' ou 'reject')" })
+  }),
+  note: z.string().max(1000).optional(),
+}).strict();
+
+export const returnReceiveSchema = z.object({
+  // Artigos omitidos voltam ao stock (restock)
+  items: z.array(z.object({
+    returnItemId: z.coerce.number().int().positive('ID de artigo inválido'),
+    disposition: z.enum(['restock', 'write_off'], {
+      errorMap: () => ({ message: "Destino inválido (use 'restock' ou 'write_off')" })
+    }),
+  }).strict()).optional().default([]),
 }).strict();
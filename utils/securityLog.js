@@ -0,0 +1,32 @@
+// utils/securityLog.js
+// Registo de eventos de segurança (bloqueios por tentativas de login, códigos 2FA errados, desbloqueios manuais,
+// convites de administração, pedidos de eliminação de conta, estado da conta e personificação)
+
+import prisma from '../db.js';
+
+// Tipos de evento conhecidos
+export const SECURITY_EVENTS = {
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    IP_LOCKED: 'IP_LOCKED',
+    ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+    TWO_FACTOR_VERIFICATION_FAILED: 'TWO_FACTOR_VERIFICATION_FAILED',
+    USER_INVITED: 'USER_INVITED',
+    INVITE_ACCEPTED: 'INVITE_ACCEPTED',
+    INVITE_REVOKED: 'INVITE_REVOKED',
+    OWNER_BOOTSTRAPPED: 'OWNER_BOOTSTRAPPED',
+    ACCOUNT_DELETION_REQUESTED: 'ACCOUNT_DELETION_REQUESTED',
+    ACCOUNT_DELETION_CANCELLED: 'ACCOUNT_DELETION_CANCELLED',
+    ACCOUNT_ANONYMISED: 'ACCOUNT_ANONYMISED',
+    ACCOUNT_STATUS_CHANGED: 'ACCOUNT_STATUS_CHANGED',
+    IMPERSONATION_REQUESTED: 'IMPERSONATION_REQUESTED',
+    IMPERSONATION_APPROVED: 'IMPERSONATION_APPROVED',
+    IMPERSONATION_REJECTED: 'IMPERSONATION_REJECTED',
+    IMPERSONATION_STARTED: 'IMPERSONATION_STARTED',
+};
+
+// Regista um evento de segurança (aceita cliente de transação)
+export function recordSecurityEvent({ type, userId = null, email = null, ipAddress = null, actorId = null, details = null }, client = prisma) {
+    return client.securityEvent.create({
+        data: { type, userId, email, ipAddress, actorId, details },
+    });
+}
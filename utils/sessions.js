@@ -0,0 +1,157 @@
+// utils/sessions.js
+// Sessões de login: refresh tokens rotativos guardados (hash) na BD e revogação do lado do servidor
+
+import crypto from 'crypto';
+import prisma from '../db.js';
+import { signToken, IMPERSONATION_TTL_MINUTES } from './auth.js';
+import { httpError } from './httpError.js';
+import { ROLE_SELECT } from './permissions.js';
+import { getAccountBlock } from './accountStatus.js';
+
+// Validade do refresh token (renovada a cada rotação)
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Motivos de revogação guardados em UserSession.revokedReason
+export const REVOKE_REASONS = {
+    LOGOUT: 'logout',
+    LOGOUT_ALL: 'logout_all',
+    USER_REVOKED: 'user_revoked',
+    PASSWORD_CHANGED: 'password_changed',
+    PASSWORD_RESET: 'password_reset',
+    TOKEN_REUSE: 'refresh_token_reuse',
+    ACCOUNT_BLOCKED: 'account_blocked',
+    TWO_FACTOR_ENABLED: 'two_factor_enabled',
+};
+
+// Apenas o hash é guardado: uma fuga da BD não permite renovar sessões
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Dados do dispositivo a partir do pedido (lista de sessões no perfil)
+const deviceInfo = (req) => ({
+    userAgent: req.get('User-Agent')?.slice(0, 500) || null,
+    ipAddress: req.ip || null,
+});
+
+// Cria uma sessão (login/registo) e devolve o par de tokens (user.role incluído com ROLE_SELECT)
+// twoFactorVerified: o login passou pelo segundo fator (POST /api/users/login/2fa); mantém-se nas rotações
+// Retorna { accessToken, refreshToken, session }
+export async function createSession(user, req, { twoFactorVerified = false } = {}, client = prisma) {
+    const refreshToken = generateRefreshToken();
+
+    const session = await client.userSession.create({
+        data: {
+            userId: user.id,
+            refreshTokenHash: hashToken(refreshToken),
+            expiresAt: refreshExpiry(),
+            twoFactorVerifiedAt: twoFactorVerified ? new Date() : null,
+            ...deviceInfo(req),
+        },
+    });
+
+    return { accessToken: signToken(user, session.id), refreshToken, session };
+}
+
+// Cria a sessão de personificação de um cliente por um admin (ver utils/impersonation.js)
+// Sem refresh token utilizável: termina ao fim de IMPERSONATION_TTL_MINUTES e não é renovada
+// Retorna { accessToken, session }
+export async function createImpersonationSession(user, impersonatorId, req, client = prisma) {
+    const session = await client.userSession.create({
+        data: {
+            userId: user.id,
+            impersonatorId,
+            refreshTokenHash: hashToken(generateRefreshToken()),
+            expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000),
+            ...deviceInfo(req),
+        },
+    });
+
+    return { accessToken: signToken(user, session.id, { impersonatorId }), session };
+}
+
+// Troca um refresh token válido por um novo par de tokens (o token usado deixa de ser válido)
+// Reutilizar um token já rodado indica roubo: a sessão inteira é revogada
+// Lança httpError 401 se o token for inválido, expirado ou de uma sessão revogada
+export async function rotateRefreshToken(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await prisma.userSession.findUnique({
+        where: { refreshTokenHash: tokenHash },
+        include: { user: { select: { id: true, email: true, role: ROLE_SELECT, status: true, suspendedUntil: true } } },
+    });
+
+    if (!session) {
+        const reused = await prisma.userSession.findUnique({ where: { previousRefreshTokenHash: tokenHash } });
+        if (reused && !reused.revokedAt) {
+            await revokeSession(reused.id, REVOKE_REASONS.TOKEN_REUSE);
+            console.warn(`[AUTH] Reutilização de refresh token na sessão ${reused.id} (utilizador ${reused.userId}). Sessão revogada.`);
+        }
+        throw httpError(401, 'Refresh token inválido.');
+    }
+
+    if (session.revokedAt || session.expiresAt < new Date() || session.impersonatorId) {
+        throw httpError(401, 'Sessão expirada ou terminada. Faça login novamente.');
+    }
+
+    const block = getAccountBlock(session.user);
+    if (block) {
+        throw httpError(403, block.error, { code: block.code });
+    }
+
+    const newRefreshToken = generateRefreshToken();
+
+    // Condicional ao hash atual: dois pedidos concorrentes com o mesmo token não rodam ambos
+    const { count } = await prisma.userSession.updateMany({
+        where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+        data: {
+            refreshTokenHash: hashToken(newRefreshToken),
+            previousRefreshTokenHash: tokenHash,
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry(),
+            ...deviceInfo(req),
+        },
+    });
+
+    if (count === 0) {
+        throw httpError(401, 'Refresh token inválido.');
+    }
+
+    return {
+        accessToken: signToken(session.user, session.id),
+        refreshToken: newRefreshToken,
+        session,
+    };
+}
+
+// Termina uma sessão (os access tokens dessa sessão deixam de ser aceites de imediato)
+export function revokeSession(sessionId, reason = REVOKE_REASONS.LOGOUT, client = prisma) {
+    return client.userSession.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason },
+    });
+}
+
+// Termina todas as sessões ativas do utilizador (exceto, opcionalmente, a sessão atual)
+export function revokeAllSessions(userId, { exceptSessionId = null, reason = REVOKE_REASONS.LOGOUT_ALL, client = prisma } = {}) {
+    return client.userSession.updateMany({
+        where: {
+            userId,
+            revokedAt: null,
+            ...(exceptSessionId && { id: { not: exceptSessionId } }),
+        },
+        data: { revokedAt: new Date(), revokedReason: reason },
+    });
+}
+
+// Sessões ativas do utilizador (dispositivos com login), a mais recente primeiro
+// As sessões de personificação não são listadas (são do admin, registadas em impersonation_requests)
+export function listActiveSessions(userId) {
+    return prisma.userSession.findMany({
+        where: { userId, impersonatorId: null, revokedAt: null, expiresAt: { gt: new Date() } },
+        select: { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+        orderBy: { lastUsedAt: 'desc' },
+    });
+}
@@ -0,0 +1,208 @@
+// utils/shipments.js
+// Envios (transportadora, tracking) e derivação do fulfillmentStatus/status da encomenda
+
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { transitionOrder } from './orderStateMachine.js';
+
+// Só se envia mercadoria de encomendas pagas em processamento (ou já parcialmente enviadas)
+const SHIPPABLE_ORDER_STATUSES = ['processing', 'shipped'];
+
+// Soma de quantidades por linha (Map(lineItemId -> quantidade)) a partir de um groupBy
+const sumByLineItem = (grouped) => new Map(grouped.map(row => [row.lineItemId, row._sum.quantity || 0]));
+
+// Unidades já enviadas por linha
+export async function getShippedQuantities(orderId, client = prisma) {
+    const grouped = await client.shipmentItem.groupBy({
+        by: ['lineItemId'],
+        where: { shipment: { orderId } },
+        _sum: { quantity: true },
+    });
+
+    return sumByLineItem(grouped);
+}
+
+// Unidades em devoluções com os estados indicados, por linha
+export async function getReturnedQuantities(orderId, statuses, client = prisma) {
+    const grouped = await client.returnItem.groupBy({
+        by: ['lineItemId'],
+        where: { returnRequest: { orderId, status: { in: statuses } } },
+        _sum: { quantity: true },
+    });
+
+    return sumByLineItem(grouped);
+}
+
+// Unidades ainda por enviar por linha: quantidade - enviadas - reembolsadas antes do envio
+// Reembolsos de devoluções dizem respeito a unidades já enviadas e não contam aqui; os restantes só contam
+// até ao número de unidades não enviadas (uma unidade enviada nunca volta a ficar por enviar)
+// Uma linha está completa quando não lhe resta nada por enviar
+export async function getShippableQuantities(order, client = prisma) {
+    const [shipped, refundedReturns] = await Promise.all([
+        getShippedQuantities(order.id, client),
+        getReturnedQuantities(order.id, ['refunded'], client),
+    ]);
+
+    return new Map(order.lineItems.map(li => {
+        const unshipped = Math.max(li.quantity - (shipped.get(li.id) || 0), 0);
+        const refundedUnshipped = Math.min(Math.max(li.refundedQuantity - (refundedReturns.get(li.id) || 0), 0), unshipped);
+        return [li.id, unshipped - refundedUnshipped];
+    }));
+}
+
+// Estado de envio a partir dos envios e das devoluções recebidas no armazém (order com lineItems)
+// Sem devoluções: 'fulfilled' quando nada resta por enviar, senão 'partial'
+// Com devoluções: 'returned' se tudo o que foi enviado voltou e nada falta enviar, senão 'partial'
+// remaining: unidades ainda por enviar
+export async function deriveFulfillmentStatus(order, client = prisma) {
+    const [shipped, returned, shippable] = await Promise.all([
+        getShippedQuantities(order.id, client),
+        getReturnedQuantities(order.id, ['received', 'refunded'], client),
+        getShippableQuantities(order, client),
+    ]);
+
+    const sum = (quantities) => [...quantities.values()].reduce((total, quantity) => total + quantity, 0);
+    const remaining = sum(shippable);
+
+    if (sum(returned) === 0) {
+        return { fulfillmentStatus: remaining > 0 ? 'partial' : 'fulfilled', remaining };
+    }
+
+    const kept = sum(shipped) - sum(returned);
+    return { fulfillmentStatus: kept > 0 || remaining > 0 ? 'partial' : 'returned', remaining };
+}
+
+// Recalcula o estado de envio de uma encomenda com envios (após uma entrega ou um reembolso), ver deriveFulfillmentStatus
+// Uma encomenda parcialmente devolvida mantém-se 'partial' mesmo sem unidades por enviar
+// status: 'delivered' quando nada resta por enviar e nenhum envio está em trânsito
+// Encomendas sem envios, devolvidas ou canceladas não são alteradas
+export async function syncFulfillment(orderId, { actor, reason = null, client = prisma }) {
+    const order = await client.order.findUnique({
+        where: { id: orderId },
+        include: { lineItems: true },
+    });
+
+    if (!order || order.status === 'cancelled' || !['partial', 'fulfilled'].includes(order.fulfillmentStatus)) {
+        return order;
+    }
+
+    const [{ fulfillmentStatus, remaining }, inTransit] = await Promise.all([
+        deriveFulfillmentStatus(order, client),
+        client.shipment.count({ where: { orderId, status: 'in_transit' } }),
+    ]);
+
+    return transitionOrder(orderId, {
+        fulfillmentStatus,
+        ...(remaining === 0 && inTransit === 0 && order.status === 'shipped' && { status: 'delivered' }),
+    }, { actor, reason, client });
+}
+
+// Regista um envio (items: [{ lineItemId, quantity }]; omitido envia todas as unidades pendentes)
+// fulfillmentStatus passa a 'partial' ou 'fulfilled' e o status passa de 'processing' a 'shipped'
+export async function createShipment({ orderId, carrier, trackingNumber, trackingUrl = null, shippedAt, items, actor }) {
+    return prisma.$transaction(async (tx) => {
+        // Bloquear a encomenda para serializar envios concorrentes
+        await tx.$queryRaw`SELECT id FROM "orders" WHERE id = ${orderId} FOR UPDATE`;
+
+        const order = await tx.order.findUnique({
+            where: { id: orderId },
+            include: { lineItems: true },
+        });
+
+        if (!order) {
+            throw httpError(404, 'Pedido não encontrado.');
+        }
+
+        if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+            throw httpError(409, `Não é possível enviar uma encomenda com estado '${order.status}'.`);
+        }
+
+        const shippable = await getShippableQuantities(order, tx);
+        let shipmentLines;
+
+        if (items && items.length > 0) {
+            const seen = new Set();
+
+            shipmentLines = items.map(({ lineItemId, quantity }) => {
+                if (!shippable.has(lineItemId)) {
+                    throw httpError(400, `A linha ${lineItemId} não pertence a este pedido.`);
+                }
+                if (seen.has(lineItemId)) {
+                    throw httpError(400, `A linha ${lineItemId} foi indicada mais do que uma vez.`);
+                }
+                seen.add(lineItemId);
+
+                if (quantity > shippable.get(lineItemId)) {
+                    throw httpError(400, `A linha ${lineItemId} só tem ${shippable.get(lineItemId)} unidade(s) por enviar.`);
+                }
+                return { lineItemId, quantity };
+            });
+        } else {
+            shipmentLines = [...shippable.entries()]
+                .filter(([, quantity]) => quantity > 0)
+                .map(([lineItemId, quantity]) => ({ lineItemId, quantity }));
+        }
+
+        if (shipmentLines.length === 0) {
+            throw httpError(409, 'Esta encomenda não tem unidades por enviar.');
+        }
+
+        const shipment = await tx.shipment.create({
+            data: {
+                orderId,
+                carrier,
+                trackingNumber,
+                trackingUrl,
+                ...(shippedAt && { shippedAt }),
+                createdById: actor.id ?? null,
+                items: { create: shipmentLines },
+            },
+            include: { items: true },
+        });
+
+        const remaining = [...shippable.values()].reduce((total, quantity) => total + quantity, 0)
+            - shipmentLines.reduce((total, line) => total + line.quantity, 0);
+
+        await transitionOrder(orderId, {
+            fulfillmentStatus: remaining > 0 ? 'partial' : 'fulfilled',
+            status: 'shipped',
+        }, {
+            actor,
+            reason: `Envio #${shipment.id} (${carrier} ${trackingNumber})`,
+            client: tx,
+        });
+
+        return shipment;
+    });
+}
+
+// Marca um envio como entregue; a encomenda passa a 'delivered' quando nada resta por enviar e tudo foi entregue
+export async function markShipmentDelivered(shipmentId, { deliveredAt = new Date(), actor }) {
+    return prisma.$transaction(async (tx) => {
+        const { count } = await tx.shipment.updateMany({
+            where: { id: shipmentId, status: 'in_transit' },
+            data: { status: 'delivered', deliveredAt },
+        });
+
+        const shipment = await tx.shipment.findUnique({
+            where: { id: shipmentId },
+            include: { items: true },
+        });
+
+        if (!shipment) {
+            throw httpError(404, 'Envio não encontrado.');
+        }
+
+        if (count === 0) {
+            throw httpError(409, 'Este envio já foi marcado como entregue.');
+        }
+
+        await syncFulfillment(shipment.orderId, {
+            actor,
+            reason: `Envio #${shipmentId} entregue`,
+            client: tx,
+        });
+
+        return shipment;
+    });
+}
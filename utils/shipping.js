@@ -0,0 +1,144 @@
+// utils/shipping.js
+// Portes de envio: zona pelo destino (país + código postal), métodos da zona e preço por peso, fixo ou grátis
+
+import { Decimal } from '@prisma/client/runtime/library';
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { normalizeCountry } from './tax.js';
+
+// Peso por unidade: o da variante, senão o do produto (sem peso conta 0 kg)
+const unitWeight = (item) => new Decimal(item.variant?.weight ?? item.product?.weight ?? 0);
+
+// Itens que precisam de envio físico (Product.requiresShipping)
+const shippableItems = (items) => items.filter(item => item.product?.requiresShipping !== false);
+
+export const cartRequiresShipping = (items) => shippableItems(items).length > 0;
+
+// Peso total (kg) dos itens a enviar
+export function getCartWeight(items) {
+    return shippableItems(items)
+        .reduce((total, item) => total.add(unitWeight(item).mul(item.quantity)), new Decimal(0))
+        .toNumber();
+}
+
+// Código postal comparável: só letras/dígitos, em maiúsculas (ex: "9050-020" -> "9050020")
+const normalizePostalCode = (postalCode) => String(postalCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Intervalo { from, to } comparado pelo prefixo do código postal com o comprimento de cada limite
+function inPostalCodeRange(postalCode, { from, to }) {
+    const code = normalizePostalCode(postalCode);
+    const lower = normalizePostalCode(from);
+    const upper = normalizePostalCode(to);
+
+    return code.slice(0, lower.length) >= lower && code.slice(0, upper.length) <= upper;
+}
+
+// Zona de envio do destino (morada snapshot, UserAddress ou { country, postalCode }) com os métodos ativos
+// Zonas com intervalos de códigos postais que abrangem o destino têm prioridade sobre zonas só por país
+export async function findShippingZone(address, client = prisma) {
+    const country = normalizeCountry(address?.country);
+    if (!country) return null;
+
+    const zones = await client.shippingZone.findMany({
+        where: { isActive: true, countries: { has: country } },
+        include: {
+            methods: {
+                where: { isActive: true },
+                orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+            },
+        },
+        orderBy: { id: 'asc' },
+    });
+
+    const hasRanges = (zone) => Array.isArray(zone.postalCodeRanges) && zone.postalCodeRanges.length > 0;
+
+    return zones.find(zone => hasRanges(zone)
+        && address.postalCode
+        && zone.postalCodeRanges.some(range => inPostalCodeRange(address.postalCode, range)))
+        ?? zones.find(zone => !hasRanges(zone))
+        ?? null;
+}
+
+// Preço base do método para o peso indicado; null se o peso excede todos os escalões
+function baseRate(method, weight) {
+    if (method.rateType === 'flat') {
+        return new Decimal(method.flatRate ?? 0);
+    }
+
+    const tier = [...(method.weightRates || [])]
+        .sort((a, b) => a.maxWeight - b.maxWeight)
+        .find(t => weight <= t.maxWeight);
+
+    return tier ? new Decimal(tier.price) : null;
+}
+
+// Cotação de um método: { methodId, zoneId, zoneName, name, type, amount, baseAmount, freeShipping, minDeliveryDays, maxDeliveryDays }
+// Grátis quando o valor da encomenda (após descontos) atinge o limiar do método ou com cupão de portes grátis
+// Retorna null se o método não está disponível (peso acima do último escalão)
+export function quoteShippingMethod(method, zone, { weight, orderValue, freeShippingCoupon = false }) {
+    const rate = baseRate(method, weight);
+    if (rate === null) return null;
+
+    const aboveThreshold = method.freeShippingThreshold !== null
+        && method.freeShippingThreshold !== undefined
+        && new Decimal(orderValue).gte(method.freeShippingThreshold);
+    const freeShipping = rate.gt(0) && (aboveThreshold || freeShippingCoupon);
+
+    return {
+        methodId: method.id,
+        zoneId: zone.id,
+        zoneName: zone.name,
+        name: method.name,
+        type: method.type,
+        amount: freeShipping ? 0 : rate.toNumber(),
+        baseAmount: rate.toNumber(),
+        freeShipping,
+        freeShippingReason: freeShipping ? (aboveThreshold ? 'threshold' : 'coupon') : null,
+        minDeliveryDays: method.minDeliveryDays,
+        maxDeliveryDays: method.maxDeliveryDays,
+    };
+}
+
+// Opções de envio disponíveis para os itens e o destino
+// orderValue: valor da encomenda após descontos (para o limiar de portes grátis)
+// Retorna { requiresShipping, zone, weight, options }
+export async function getShippingOptions(items, address, { orderValue, freeShippingCoupon = false, client = prisma }) {
+    if (!cartRequiresShipping(items)) {
+        return { requiresShipping: false, zone: null, weight: 0, options: [] };
+    }
+
+    const weight = getCartWeight(items);
+    const zone = await findShippingZone(address, client);
+
+    const options = zone
+        ? zone.methods
+            .map(method => quoteShippingMethod(method, zone, { weight, orderValue, freeShippingCoupon }))
+            .filter(Boolean)
+        : [];
+
+    return {
+        requiresShipping: true,
+        zone: zone ? { id: zone.id, name: zone.name } : null,
+        weight,
+        options,
+    };
+}
+
+// Método de envio escolhido no checkout, validado contra o destino (httpError 400 se indisponível)
+// Retorna null quando nenhum item precisa de envio
+export async function resolveShippingMethod(items, address, shippingMethodId, { orderValue, freeShippingCoupon = false, client = prisma }) {
+    const { requiresShipping, options } = await getShippingOptions(items, address, { orderValue, freeShippingCoupon, client });
+
+    if (!requiresShipping) return null;
+
+    if (!shippingMethodId) {
+        throw httpError(400, 'Escolha um método de envio.');
+    }
+
+    const option = options.find(o => o.methodId === shippingMethodId);
+    if (!option) {
+        throw httpError(400, 'O método de envio escolhido não está disponível para esta morada.');
+    }
+
+    return option;
+}
@@ -0,0 +1,148 @@
+// utils/stockReservations.js
+// Reservas temporárias de stock durante o checkout Stripe
+// Evita que dois clientes paguem a última unidade da mesma variante
+
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+import prisma from '../db.js';
+
+// O Stripe exige que uma sessão de checkout expire entre 30 minutos e 24 horas após a criação
+// O mínimo tem 1 minuto de margem para o tempo até o Stripe criar a sessão
+const MIN_RESERVATION_MINUTES = 31;
+const MAX_RESERVATION_MINUTES = 24 * 60;
+
+export const RESERVATION_TTL_MINUTES = Math.min(
+    Math.max(parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || MIN_RESERVATION_MINUTES, MIN_RESERVATION_MINUTES),
+    MAX_RESERVATION_MINUTES
+);
+
+// Fim da reserva contado a partir de agora (calcular imediatamente antes de criar a sessão Stripe)
+export function reservationExpiry() {
+    return new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+}
+
+// Gera referência única do checkout (enviada na metadata da sessão Stripe)
+export function generateReservationReference() {
+    return crypto.randomUUID();
+}
+
+// Soma das quantidades retidas por variante (apenas reservas ativas e não expiradas)
+// Retorna Map(variantId -> quantidade reservada)
+export async function getReservedQuantities(variantIds, client = prisma) {
+    if (variantIds.length === 0) {
+        return new Map();
+    }
+
+    const grouped = await client.stockReservation.groupBy({
+        by: ['variantId'],
+        where: {
+            variantId: { in: variantIds },
+            status: 'active',
+            expiresAt: { gt: new Date() },
+        },
+        _sum: { quantity: true },
+    });
+
+    return new Map(grouped.map(row => [row.variantId, row._sum.quantity || 0]));
+}
+
+// Acrescenta availableStock (stock real menos reservas ativas) a uma lista de variantes
+export async function withAvailableStock(variants) {
+    const reserved = await getReservedQuantities(variants.map(variant => variant.id));
+
+    return variants.map(variant => ({
+        ...variant,
+        availableStock: Math.max(variant.stock - (reserved.get(variant.id) || 0), 0),
+    }));
+}
+
+// Sessões Stripe com reservas ativas de um carrinho (checkouts anteriores que o novo checkout substitui)
+export async function findActiveCheckoutSessionIds(cartId, client = prisma) {
+    const reservations = await client.stockReservation.findMany({
+        where: { cartId, status: 'active', stripeSessionId: { not: null } },
+        select: { stripeSessionId: true },
+        distinct: ['stripeSessionId'],
+    });
+
+    return reservations.map(r => r.stripeSessionId);
+}
+
+// Cria reservas para os itens de um checkout (items: [{ variantId, quantity, title }])
+// O fim definitivo é acertado por attachStripeSession com o expires_at enviado ao Stripe
+// As linhas das variantes são bloqueadas (SELECT ... FOR UPDATE) para serializar checkouts concorrentes
+// replacedSessionIds: sessões anteriores já expiradas no Stripe, cujas reservas são libertadas (o novo checkout substitui-as)
+// Lança erro com code 'INSUFFICIENT_STOCK' se alguma variante não tiver stock disponível
+export async function reserveStock({ reference, items, cartId = null, userId = null, replacedSessionIds = [] }) {
+    const expiresAt = reservationExpiry();
+    const variantIds = items.map(item => item.variantId);
+
+    return prisma.$transaction(async (tx) => {
+        // Limpeza: marcar reservas expiradas como libertadas
+        await tx.stockReservation.updateMany({
+            where: { status: 'active', expiresAt: { lte: new Date() } },
+            data: { status: 'released' },
+        });
+
+        if (replacedSessionIds.length > 0) {
+            await tx.stockReservation.updateMany({
+                where: { stripeSessionId: { in: replacedSessionIds }, status: 'active' },
+                data: { status: 'released' },
+            });
+        }
+
+        const lockedVariants = await tx.$queryRaw`
+            SELECT id, stock FROM "product_variants" WHERE id IN (${Prisma.join(variantIds)}) FOR UPDATE
+        `;
+        const reserved = await getReservedQuantities(variantIds, tx);
+
+        for (const item of items) {
+            const variant = lockedVariants.find(v => v.id === item.variantId);
+            const available = variant ? variant.stock - (reserved.get(item.variantId) || 0) : 0;
+
+            if (available < item.quantity) {
+                const error = new Error(`Stock insuficiente para ${item.title}. Disponível: ${Math.max(available, 0)}.`);
+                error.code = 'INSUFFICIENT_STOCK';
+                error.variantId = item.variantId;
+                throw error;
+            }
+        }
+
+        await tx.stockReservation.createMany({
+            data: items.map(item => ({
+                reference,
+                variantId: item.variantId,
+                cartId,
+                userId,
+                quantity: item.quantity,
+                expiresAt,
+            })),
+        });
+
+        return { expiresAt };
+    });
+}
+
+// Associa a sessão Stripe às reservas criadas antes da sessão existir
+// expiresAt é o fim da sessão Stripe: a reserva termina ao mesmo tempo
+export function attachStripeSession(reference, stripeSessionId, expiresAt) {
+    return prisma.stockReservation.updateMany({
+        where: { reference, status: 'active' },
+        data: { stripeSessionId, expiresAt },
+    });
+}
+
+// Liberta as reservas ativas de um checkout (sessão expirada ou falha ao criar a sessão)
+export function releaseReservations(reference, client = prisma) {
+    return client.stockReservation.updateMany({
+        where: { reference, status: 'active' },
+        data: { status: 'released' },
+    });
+}
+
+// Converte as reservas de um checkout pago (o stock real é decrementado pelo chamador na mesma transação)
+export function convertReservations(reference, client = prisma) {
+    return client.stockReservation.updateMany({
+        where: { reference, status: { in: ['active', 'released'] } },
+        data: { status: 'converted' },
+    });
+}
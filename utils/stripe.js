@@ -0,0 +1,29 @@
+// utils/stripe.js
+// Cliente Stripe partilhado (pagamentos, reembolsos) e conversão de montantes
+
+import Stripe from 'stripe';
+import 'dotenv/config';
+import { Decimal } from '@prisma/client/runtime/library';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Converte montante em euros (Decimal, string ou number) para cêntimos, como exigido pelo Stripe
+export const toCents = (amount) => Math.round(new Decimal(amount).toNumber() * 100);
+
+// Converte montante em cêntimos (Stripe) para euros
+export const fromCents = (cents) => new Decimal(cents).div(100).toNumber();
+
+// Apaga um cupão Stripe de utilização única (checkout que não chegou a ser pago)
+// Falhas só são registadas: um cupão órfão não afeta pagamentos
+export async function deleteStripeCoupon(couponId) {
+    try {
+        await stripe.coupons.del(couponId);
+    } catch (error) {
+        // resource_missing: já apagado (ex: evento reenviado)
+        if (error.code !== 'resource_missing') {
+            console.warn(`Aviso: Não foi possível apagar o cupão Stripe ${couponId}: ${error.message}`);
+        }
+    }
+}
+
+export default stripe;
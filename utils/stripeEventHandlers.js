@@ -0,0 +1,442 @@
+// utils/stripeEventHandlers.js
+// Tratamento dos eventos Stripe (criação da encomenda, reservas expiradas, reembolsos)
+// Usado pelo webhook (routes/payment.js) e pelo replay de eventos do admin, através do registo de utils/stripeEvents.js
+
+import prisma from '../db.js';
+import stripe, { toCents, fromCents, deleteStripeCoupon } from './stripe.js';
+import { Prisma } from '@prisma/client';
+import { Decimal } from '@prisma/client/runtime/library';
+import { createAdminAlert, ALERT_TYPES } from './adminAlerts.js';
+import { recordRefundTransaction, recomputeFinancialStatus } from './refunds.js';
+import { recordOrderCreated } from './orderStateMachine.js';
+import { releaseReservations, convertReservations } from './stockReservations.js';
+import { redeemCoupon } from './coupons.js';
+import { calculateTaxForAddress } from './tax.js';
+
+// Estado do reembolso automático por overselling (Order.oversellRefundStatus)
+const OVERSELL_REFUND_STATUS = {
+    PENDING: 'pending',
+    REFUNDED: 'refunded',
+    FAILED: 'failed',
+};
+
+// Encaminha um evento Stripe para o handler correspondente (usado pelo webhook e pelo replay do admin)
+// Retorna false para tipos de evento não tratados; erros são propagados para o registo de eventos
+export async function dispatchStripeEvent(event) {
+    switch (event.type) {
+        case 'checkout.session.completed':
+            // O pagamento foi bem-sucedido
+            await handleCheckoutSessionCompleted(event.data.object);
+            break;
+
+        case 'checkout.session.expired':
+            // A sessão expirou: libertar o stock reservado e apagar o cupão Stripe da sessão
+            await handleCheckoutSessionExpired(event.data.object);
+            break;
+
+        case 'charge.refunded':
+            // Reembolso emitido (pela API de admin ou diretamente no dashboard Stripe)
+            await handleChargeRefunded(event.data.object);
+            break;
+
+        case 'charge.refund.updated':
+            // Reembolso mudou de estado (ex: pending -> succeeded/failed)
+            await handleRefundUpdated(event.data.object);
+            break;
+
+        // Adicione outros eventos importantes (ex: payment_intent.succeeded) se o checkout não for usado
+
+        default:
+            console.log(`Tipo de evento Stripe não tratado: ${event.type}`);
+            return false;
+    }
+
+    return true;
+}
+
+/**
+ * Lógica executada quando o Stripe confirma o pagamento.
+ * CRÍTICO: Deve ser atómico (transação) para garantir que stock e order são criados/atualizados.
+ * Em caso de overselling, a encomenda é criada na mesma (on_hold ou cancelled), as unidades
+ * sem stock são reembolsadas no Stripe e o caso é colocado na fila de atenção do admin.
+ */
+async function handleCheckoutSessionCompleted(session) {
+    try {
+        const { userId, cartId, reservationRef, couponId, couponDiscount } = session.metadata;
+
+        const userIdNum = parseInt(userId);
+        const cartIdNum = parseInt(cartId);
+
+        // 0. Encomenda já criada para este pagamento (segunda linha de defesa além do registo de eventos)
+        // Um reembolso por overselling ainda pendente (processo interrompido após a transação) é retomado
+        const existingPayment = await prisma.orderTransaction.findUnique({ where: { stripeId: session.payment_intent } });
+        if (existingPayment) {
+            const existingOrder = await prisma.order.findUnique({
+                where: { id: existingPayment.orderId },
+                select: { id: true, orderNumber: true, oversellRefundAmount: true, oversellRefundStatus: true },
+            });
+
+            if (existingOrder?.oversellRefundStatus === OVERSELL_REFUND_STATUS.PENDING) {
+                console.log(`[WEBHOOK] Encomenda ${existingOrder.orderNumber} com reembolso por overselling pendente. A retomar.`);
+                await refundOversoldOrder(session, existingOrder);
+                return;
+            }
+
+            console.log(`[WEBHOOK] Pagamento ${session.payment_intent} já associado à encomenda ${existingPayment.orderId}. Ignorado.`);
+            return;
+        }
+        
+        // 1. Obter o carrinho (agora com as relações completas necessárias)
+        const cart = await prisma.shoppingCart.findUnique({
+            where: { id: cartIdNum },
+            include: {
+                items: {
+                    include: {
+                        variant: { select: { id: true, price: true, sku: true, stock: true, title: true } },
+                        product: { select: { id: true, name: true, isTaxable: true, taxClass: true } }
+                    }
+                }
+            },
+        });
+
+        if (!cart) {
+            throw new Error(`Carrinho ${cartIdNum} não encontrado para criação de pedido.`);
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userIdNum },
+            select: { email: true },
+        });
+
+        // 2. Preparar dados para o Pedido
+        const orderNumber = `ORD-${Date.now()}-${userId}`;
+        const amountPaid = session.amount_total !== null && session.amount_total !== undefined
+            ? fromCents(session.amount_total)
+            : null;
+
+        // Desconto efetivamente aplicado pelo Stripe (promoções automáticas + cupão do carrinho)
+        const discountAmount = fromCents(session.total_details?.amount_discount || 0);
+        const coupon = couponId
+            ? await prisma.coupon.findUnique({ where: { id: parseInt(couponId) }, select: { id: true, code: true } })
+            : null;
+
+        // Portes efetivamente cobrados pelo Stripe (linha de envio da sessão)
+        const shippingAmount = fromCents(session.shipping_cost?.amount_total || 0);
+
+        // IVA por linha para o destino da morada de envio (o mesmo cálculo usado na criação da sessão)
+        const tax = await calculateTaxForAddress(
+            cart.items.map(item => ({ ...item, itemPrice: item.variant.price })),
+            cart.checkoutShippingAddress,
+            { discountAmount }
+        );
+
+        // 3. TRANSAÇÃO PRISMA: Garante integridade atómica
+        const result = await prisma.$transaction(async (tx) => {
+
+            // 3.1. CONFIRMAÇÃO FINAL DE STOCK
+            // Bloqueia as variantes (FOR UPDATE) para que webhooks concorrentes não deduzam o mesmo stock
+            const variantIds = cart.items.map(item => item.variantId);
+            const lockedVariants = await tx.$queryRaw`
+                SELECT id, stock FROM "product_variants" WHERE id IN (${Prisma.join(variantIds)}) FOR UPDATE
+            `;
+
+            let totalAmount = new Decimal(0);
+            let refundAmount = new Decimal(0);
+            let fulfillableUnits = 0;
+            const lineItemsData = [];
+            const oversoldLines = [];
+
+            for (const [index, item] of cart.items.entries()) {
+                const lineTax = tax.lines[index];
+                const variantPrice = new Decimal(item.variant.price);
+                const itemTotal = variantPrice.mul(item.quantity);
+                totalAmount = totalAmount.add(itemTotal);
+
+                const stock = lockedVariants.find(v => v.id === item.variantId)?.stock ?? 0;
+                const fulfillableQty = Math.max(Math.min(stock, item.quantity), 0);
+                const missingQty = item.quantity - fulfillableQty;
+
+                if (missingQty > 0) {
+                    console.error(`[WEBHOOK] Overselling detectado para Variant ${item.variantId}: pedido ${item.quantity}, stock ${stock}. ${missingQty} unidade(s) a reembolsar.`);
+                    // Reembolso do que foi pago pelas unidades em falta: valor da linha após a sua parte do desconto
+                    // e, sem IVA incluído no preço, o imposto da linha
+                    const paidLineTotal = itemTotal.sub(lineTax.discountAmount).add(tax.pricesIncludeTax ? 0 : lineTax.taxAmount);
+                    refundAmount = refundAmount.add(paidLineTotal.mul(missingQty).div(item.quantity)).toDecimalPlaces(2);
+                    oversoldLines.push({
+                        variantId: item.variantId,
+                        sku: item.variant.sku,
+                        title: `${item.product.name} (${item.variant.title})`,
+                        requested: item.quantity,
+                        available: fulfillableQty,
+                        refundedQuantity: missingQty,
+                    });
+                }
+
+                // 3.2. DEDUÇÃO DE STOCK (apenas das unidades efetivamente disponíveis)
+                if (fulfillableQty > 0) {
+                    await tx.productVariant.update({
+                        where: { id: item.variantId },
+                        data: { stock: { decrement: fulfillableQty } },
+                    });
+                    fulfillableUnits += fulfillableQty;
+                }
+
+                lineItemsData.push({
+                    productId: item.productId,
+                    variantId: item.variantId,
+                    quantity: item.quantity,
+                    price: variantPrice.toNumber(),
+                    total: itemTotal.toNumber(),
+                    title: item.product.name,
+                    variantTitle: item.variant.title,
+                    sku: item.variant.sku,
+                    refundedQuantity: missingQty,
+                    taxRate: lineTax.taxRate,
+                    taxAmount: lineTax.taxAmount,
+                });
+            }
+
+            // O valor do Stripe é sempre a fonte da verdade, mas vamos usar o nosso cálculo interno
+            // como o Stripe não fornece o subtotal diretamente no objecto de sessão (portes e desconto vêm da sessão).
+            const orderTotal = totalAmount.toNumber();
+            const isOversold = oversoldLines.length > 0;
+            const isFullRefund = isOversold && fulfillableUnits === 0;
+
+            // 3.3. CONVERSÃO DAS RESERVAS (o stock retido passa a decremento real)
+            if (reservationRef) {
+                await convertReservations(reservationRef, tx);
+            }
+            
+            // 3.4. CRIAÇÃO DA ENCOMENDA (ORDER)
+            // Sem nenhuma unidade disponível a encomenda é cancelada; com parte disponível fica em espera
+            const newOrder = await tx.order.create({
+                data: {
+                    orderNumber,
+                    userId: userIdNum,
+                    email: user.email,
+                    subtotal: orderTotal,
+                    taxAmount: tax.taxAmount,
+                    pricesIncludeTax: tax.pricesIncludeTax,
+                    shippingAmount,
+                    shippingMethod: cart.checkoutShippingMethod ?? undefined,
+                    discountAmount,
+                    totalAmount: new Decimal(Math.max(orderTotal - discountAmount, 0))
+                        .add(tax.pricesIncludeTax ? 0 : tax.taxAmount)
+                        .add(shippingAmount)
+                        .toNumber(),
+                    couponCode: coupon ? coupon.code : null,
+                    appliedPromotions: cart.checkoutPromotions ?? undefined,
+                    status: isFullRefund ? 'cancelled' : (isOversold ? 'on_hold' : 'processing'),
+                    financialStatus: 'paid',
+                    fulfillmentStatus: 'unfulfilled',
+                    notes: isOversold
+                        ? `Overselling: ${oversoldLines.length} linha(s) sem stock suficiente. Reembolso automático de ${refundAmount.toFixed(2)} EUR.`
+                        : null,
+                    shippingAddress: cart.checkoutShippingAddress ?? undefined,
+                    billingAddress: cart.checkoutBillingAddress ?? undefined,
+                    // Reembolso gravado como pendente na mesma transação: emitido a seguir (ou num reenvio do evento)
+                    ...(isOversold && {
+                        oversellRefundAmount: isFullRefund && amountPaid !== null ? amountPaid : refundAmount.toNumber(),
+                        oversellRefundStatus: OVERSELL_REFUND_STATUS.PENDING,
+                    }),
+                    lineItems: {
+                        create: lineItemsData, // Cria todos os OrderLineItem
+                    },
+                },
+            });
+            
+            // 3.4.1. HISTÓRICO: estados iniciais da encomenda
+            await recordOrderCreated(newOrder, {
+                reason: isOversold ? 'Pagamento Stripe confirmado com overselling' : 'Pagamento Stripe confirmado',
+            }, tx);
+            
+            // 3.5. CRIAÇÃO DA TRANSAÇÃO (ORDER TRANSACTION)
+            await tx.orderTransaction.create({
+                data: {
+                    orderId: newOrder.id, // CRÍTICO: Usa o ID da nova encomenda
+                    stripeId: session.payment_intent,
+                    stripeObjectType: 'checkout.session',
+                    status: 'succeeded',
+                    paymentMethod: session.payment_method_types?.[0] || 'card',
+                    amount: amountPaid ?? orderTotal,
+                    feeAmount: 0.00, // Preencher com a lógica de taxa do Stripe
+                },
+            });
+
+            // 3.5.1. UTILIZAÇÃO DO CUPÃO (o pagamento já foi cobrado: o limite global não é imposto aqui)
+            if (coupon) {
+                await redeemCoupon({
+                    couponId: coupon.id,
+                    orderId: newOrder.id,
+                    userId: userIdNum,
+                    discountAmount: couponDiscount !== undefined ? parseFloat(couponDiscount) : discountAmount,
+                    enforceLimit: false,
+                }, tx);
+            }
+
+            // 3.6. FILA DE ATENÇÃO DO ADMIN
+            if (isOversold) {
+                await createAdminAlert({
+                    type: ALERT_TYPES.OVERSELLING,
+                    orderId: newOrder.id,
+                    message: `Encomenda ${orderNumber}: overselling em ${oversoldLines.length} linha(s). ${isFullRefund ? 'Encomenda cancelada.' : 'Encomenda em espera.'}`,
+                    details: { stripeSessionId: session.id, paymentIntent: session.payment_intent, oversoldLines },
+                }, tx);
+            }
+            
+            // 3.7. LIMPEZA DO CARRINHO (REMOVE ITENS)
+            await tx.shoppingCart.update({
+                where: { id: cartIdNum },
+                data: {
+                    // Remove todos os itens do carrinho após a criação do pedido
+                    items: { deleteMany: {} }, 
+                    checkoutShippingAddress: Prisma.DbNull,
+                    checkoutBillingAddress: Prisma.DbNull,
+                    checkoutPromotions: Prisma.DbNull,
+                    checkoutShippingMethod: Prisma.DbNull,
+                    couponId: null,
+                },
+            });
+
+            console.log(`[WEBHOOK] Encomenda ${orderNumber} criada e stock deduzido com sucesso.`);
+            return { order: newOrder, isOversold };
+        });
+
+        // 4. REEMBOLSO AUTOMÁTICO DAS UNIDADES SEM STOCK (fora da transação: chamada externa ao Stripe)
+        if (result.isOversold) {
+            await refundOversoldOrder(session, result.order);
+        }
+
+    } catch (error) {
+        console.error('[WEBHOOK] Erro CRÍTICO ao processar pagamento concluído:', error);
+        // Propagar para o registo de eventos (fica 'failed', visível e reprocessável no admin)
+        throw error;
+    }
+}
+
+// Reembolsa no Stripe o montante pendente por overselling (order.oversellRefundAmount) e regista o reembolso
+// Reembolso total (encomenda cancelada) devolve o montante integral cobrado
+// Se o Stripe falhar, o reembolso fica 'failed' e o caso vai para a fila de atenção para reembolso manual
+async function refundOversoldOrder(session, order) {
+    const amount = new Decimal(order.oversellRefundAmount);
+
+    try {
+        const refund = await stripe.refunds.create({
+            payment_intent: session.payment_intent,
+            amount: Math.min(toCents(amount), session.amount_total ?? Infinity),
+            metadata: { orderId: order.id.toString(), reason: 'overselling' },
+        }, {
+            // Evita reembolsos duplicados se o Stripe reenviar o evento
+            idempotencyKey: `oversell-refund-${session.id}`,
+        });
+
+        // Estado financeiro recalculado: refunded (total) ou partially_refunded
+        await prisma.$transaction(async (tx) => {
+            await recordRefundTransaction({
+                orderId: order.id,
+                refund,
+                paymentMethod: session.payment_method_types?.[0] || 'card',
+                reason: 'Overselling: unidades sem stock',
+            }, tx);
+            await recomputeFinancialStatus(order.id, tx);
+            await tx.order.update({
+                where: { id: order.id },
+                data: { oversellRefundStatus: OVERSELL_REFUND_STATUS.REFUNDED },
+            });
+        });
+
+        console.log(`[WEBHOOK] Reembolso ${refund.id} (${fromCents(refund.amount)} EUR) emitido para a encomenda ${order.orderNumber}.`);
+    } catch (error) {
+        console.error(`[WEBHOOK] Falha no reembolso automático da encomenda ${order.orderNumber}:`, error);
+        // Deixa de ser retomado automaticamente: o reembolso passa a ser manual
+        await prisma.order.update({
+            where: { id: order.id },
+            data: { oversellRefundStatus: OVERSELL_REFUND_STATUS.FAILED },
+        });
+        await createAdminAlert({
+            type: ALERT_TYPES.REFUND_FAILED,
+            orderId: order.id,
+            message: `Reembolso automático por overselling falhou para a encomenda ${order.orderNumber}. Reembolsar manualmente.`,
+            details: { paymentIntent: session.payment_intent, amount: amount.toNumber(), error: error.message },
+        });
+    }
+}
+
+async function handleCheckoutSessionExpired(session) {
+    try {
+        const reservationRef = session.metadata?.reservationRef;
+
+        // Cupão de utilização única criado para esta sessão (promoções + cupão do carrinho)
+        if (session.metadata?.stripeCouponId) {
+            await deleteStripeCoupon(session.metadata.stripeCouponId);
+        }
+
+        if (!reservationRef) {
+            console.log(`[WEBHOOK] Sessão de checkout expirada: ${session.id}. Sem reservas associadas.`);
+            return;
+        }
+
+        const { count } = await releaseReservations(reservationRef);
+        console.log(`[WEBHOOK] Sessão de checkout expirada: ${session.id}. ${count} reserva(s) de stock libertada(s).`);
+    } catch (error) {
+        console.error('[WEBHOOK] Erro ao processar sessão expirada:', error);
+        throw error;
+    }
+}
+
+// Sincroniza os reembolsos de uma charge com as OrderTransaction da encomenda
+// Reembolsos já registados pela API de admin são apenas atualizados (stripeId único)
+async function handleChargeRefunded(charge) {
+    try {
+        const payment = await prisma.orderTransaction.findUnique({ where: { stripeId: charge.payment_intent } });
+
+        if (!payment) {
+            console.error(`[WEBHOOK] Reembolso para payment_intent ${charge.payment_intent} sem encomenda associada.`);
+            return;
+        }
+
+        // A lista de reembolsos não vem expandida na charge: obter diretamente do Stripe
+        const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+
+        await prisma.$transaction(async (tx) => {
+            for (const refund of refunds.data) {
+                await recordRefundTransaction({
+                    orderId: payment.orderId,
+                    refund,
+                    paymentMethod: payment.paymentMethod,
+                    reason: refund.metadata?.reason || 'Reembolso emitido no Stripe',
+                }, tx);
+            }
+            await recomputeFinancialStatus(payment.orderId, tx);
+        });
+
+        console.log(`[WEBHOOK] ${refunds.data.length} reembolso(s) sincronizado(s) para a encomenda ${payment.orderId}.`);
+    } catch (error) {
+        console.error('[WEBHOOK] Erro ao processar charge.refunded:', error);
+        throw error;
+    }
+}
+
+async function handleRefundUpdated(refund) {
+    try {
+        const payment = await prisma.orderTransaction.findUnique({ where: { stripeId: refund.payment_intent } });
+
+        if (!payment) {
+            console.error(`[WEBHOOK] Reembolso ${refund.id} sem encomenda associada.`);
+            return;
+        }
+
+        await prisma.$transaction(async (tx) => {
+            await recordRefundTransaction({
+                orderId: payment.orderId,
+                refund,
+                paymentMethod: payment.paymentMethod,
+                reason: refund.metadata?.reason || null,
+            }, tx);
+            await recomputeFinancialStatus(payment.orderId, tx);
+        });
+    } catch (error) {
+        console.error('[WEBHOOK] Erro ao processar charge.refund.updated:', error);
+        throw error;
+    }
+}
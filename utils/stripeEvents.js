@@ -0,0 +1,76 @@
+// utils/stripeEvents.js
+// Registo persistente dos eventos Stripe (idempotência dos webhooks, replay e auditoria)
+
+import prisma from '../db.js';
+
+// Evento em 'processing' há mais tempo do que isto é considerado abandonado (processo terminou a meio)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Obtém o direito exclusivo de processar um evento
+// Eventos novos são gravados; eventos já conhecidos só são reprocessados se falharam ou ficaram presos
+// Retorna false se o evento já foi (ou está a ser) processado
+async function claimStripeEvent(event, { replay = false } = {}) {
+    if (!replay) {
+        try {
+            await prisma.stripeEvent.create({
+                data: {
+                    id: event.id,
+                    type: event.type,
+                    livemode: Boolean(event.livemode),
+                    payload: event,
+                    status: 'processing',
+                    attempts: 1,
+                },
+            });
+            return true;
+        } catch (error) {
+            // P2002: evento já registado (reenvio do Stripe)
+            if (error.code !== 'P2002') {
+                throw error;
+            }
+        }
+    }
+
+    const { count } = await prisma.stripeEvent.updateMany({
+        where: {
+            id: event.id,
+            OR: [
+                { status: 'failed' },
+                { status: 'processing', updatedAt: { lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+            ],
+        },
+        data: { status: 'processing', attempts: { increment: 1 }, error: null },
+    });
+
+    return count === 1;
+}
+
+// Processa um evento Stripe com registo de estado (processing -> processed/ignored/failed)
+// handler(event) deve lançar erro em caso de falha e retornar false se o tipo de evento não é tratado
+// Retorna { skipped: true } se o evento já tinha sido processado; relança o erro do handler
+export async function processStripeEvent(event, handler, { replay = false } = {}) {
+    const claimed = await claimStripeEvent(event, { replay });
+
+    if (!claimed) {
+        return { skipped: true };
+    }
+
+    try {
+        const handled = await handler(event);
+
+        await prisma.stripeEvent.update({
+            where: { id: event.id },
+            data: { status: handled === false ? 'ignored' : 'processed', processedAt: new Date() },
+        });
+
+        return { skipped: false };
+    } catch (error) {
+        await prisma.stripeEvent.update({
+            where: { id: event.id },
+            data: { status: 'failed', error: error.stack || error.message },
+        }).catch((logError) => {
+            console.error(`[WEBHOOK] Não foi possível registar a falha do evento ${event.id}:`, logError);
+        });
+        throw error;
+    }
+}
@@ -0,0 +1,153 @@
+// utils/tax.js
+// Motor de IVA: taxa pelo destino (país/região da morada de envio) e pela classe de imposto do produto
+// O imposto é calculado por linha, sobre o valor após descontos (promoções + cupão)
+
+import { Decimal } from '@prisma/client/runtime/library';
+import prisma from '../db.js';
+import stripe from './stripe.js';
+
+// Preços do catálogo com IVA incluído (predefinição) ou sem IVA (o imposto é acrescentado ao total)
+export const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX !== 'false';
+
+// Destino usado enquanto não há morada de envio (ex: carrinho de visitante): Portugal continental
+export const DEFAULT_TAX_DESTINATION = { country: 'PT', region: null };
+
+// Nomes de país aceites nas moradas (texto livre) e o respetivo código ISO
+const COUNTRY_CODES = {
+    portugal: 'PT',
+    espanha: 'ES',
+    spain: 'ES',
+    'frança': 'FR',
+    france: 'FR',
+    alemanha: 'DE',
+    germany: 'DE',
+    'itália': 'IT',
+    italy: 'IT',
+};
+
+// Normaliza o país da morada (nome ou código ISO de 2 letras); null se desconhecido
+export function normalizeCountry(country) {
+    if (!country) return DEFAULT_TAX_DESTINATION.country;
+
+    const value = country.trim();
+    if (/^[a-z]{2}$/i.test(value)) return value.toUpperCase();
+
+    return COUNTRY_CODES[value.toLowerCase()] ?? null;
+}
+
+// Regiões autónomas pelo código postal: Madeira (9000-9499) e Açores (9500-9999)
+function resolvePortugueseRegion(postalCode) {
+    const prefix = parseInt(String(postalCode || '').replace(/\D/g, '').slice(0, 4));
+
+    if (prefix >= 9000 && prefix <= 9499) return 'PT-30';
+    if (prefix >= 9500 && prefix <= 9999) return 'PT-20';
+    return null;
+}
+
+// Destino fiscal { country, region } a partir de uma morada (snapshot ou UserAddress)
+export function resolveTaxDestination(address) {
+    if (!address) return DEFAULT_TAX_DESTINATION;
+
+    const country = normalizeCountry(address.country);
+    return {
+        country,
+        region: country === 'PT' ? resolvePortugueseRegion(address.postalCode) : null,
+    };
+}
+
+// Taxas ativas do destino indexadas por classe de imposto (a taxa da região substitui a do país)
+// País sem taxas configuradas = sem IVA
+export async function getTaxRates(destination, client = prisma) {
+    const byClass = new Map();
+    if (!destination.country) return byClass;
+
+    const rates = await client.taxRate.findMany({
+        where: {
+            country: destination.country,
+            isActive: true,
+            OR: [{ region: null }, ...(destination.region ? [{ region: destination.region }] : [])],
+        },
+    });
+
+    for (const rate of rates.filter(r => r.region === null)) byClass.set(rate.taxClass, rate);
+    for (const rate of rates.filter(r => r.region !== null)) byClass.set(rate.taxClass, rate);
+
+    return byClass;
+}
+
+// Reparte o desconto total pelas linhas proporcionalmente ao seu valor (a última linha recebe o arredondamento)
+// Retorna a parte de cada linha (Decimal), pela ordem de lineTotals
+export function allocateDiscount(lineTotals, discountAmount) {
+    const subtotal = lineTotals.reduce((total, lineTotal) => total.add(lineTotal), new Decimal(0));
+    const discount = Decimal.min(new Decimal(discountAmount), subtotal);
+
+    let allocated = new Decimal(0);
+
+    return lineTotals.map((lineTotal, index) => {
+        const share = index === lineTotals.length - 1
+            ? discount.sub(allocated)
+            : (subtotal.gt(0) ? discount.mul(lineTotal).div(subtotal).toDecimalPlaces(2) : new Decimal(0));
+        allocated = allocated.add(share);
+        return share;
+    });
+}
+
+// Calcula o IVA de cada linha (items com product: { isTaxable, taxClass })
+// O imposto incide sobre o valor da linha após a sua parte do desconto (allocateDiscount)
+// Com preços com IVA incluído o imposto é extraído do valor; sem IVA incluído é acrescentado
+// Retorna { lines: [{ taxRateId, taxRate, taxAmount, discountAmount }], taxAmount, pricesIncludeTax } (pela ordem de items)
+export function calculateTax(items, rates, { discountAmount = 0, pricesIncludeTax = PRICES_INCLUDE_TAX } = {}) {
+    const lineTotals = items.map(item => new Decimal(item.itemPrice).mul(item.quantity));
+    const shares = allocateDiscount(lineTotals, discountAmount);
+
+    let taxAmount = new Decimal(0);
+
+    const lines = items.map((item, index) => {
+        const share = shares[index];
+
+        const taxRate = item.product?.isTaxable === false ? null : rates.get(item.product?.taxClass ?? 'standard');
+        if (!taxRate) {
+            return { taxRateId: null, taxRate: 0, taxAmount: 0, discountAmount: share.toNumber() };
+        }
+
+        const rate = new Decimal(taxRate.rate);
+        const net = Decimal.max(lineTotals[index].sub(share), 0);
+        const lineTax = (pricesIncludeTax ? net.mul(rate).div(rate.add(100)) : net.mul(rate).div(100)).toDecimalPlaces(2);
+        taxAmount = taxAmount.add(lineTax);
+
+        return { taxRateId: taxRate.id, taxRate: rate.toNumber(), taxAmount: lineTax.toNumber(), discountAmount: share.toNumber() };
+    });
+
+    return { lines, taxAmount: taxAmount.toNumber(), pricesIncludeTax };
+}
+
+// Atalho: resolve o destino pela morada, carrega as taxas e calcula o IVA das linhas
+export async function calculateTaxForAddress(items, address, { discountAmount = 0, client = prisma } = {}) {
+    const rates = await getTaxRates(resolveTaxDestination(address), client);
+    return { ...calculateTax(items, rates, { discountAmount }), rates };
+}
+
+// Taxa equivalente no Stripe para os line items do checkout (criada uma vez e guardada na TaxRate)
+// Taxas Stripe são imutáveis: uma nova é criada se a taxa ou o modo (incluído/excluído) mudarem
+export async function getStripeTaxRateId(taxRate, pricesIncludeTax = PRICES_INCLUDE_TAX) {
+    if (taxRate.stripeTaxRateId && taxRate.stripeTaxRateInclusive === pricesIncludeTax) {
+        return taxRate.stripeTaxRateId;
+    }
+
+    const stripeTaxRate = await stripe.taxRates.create({
+        display_name: 'IVA',
+        description: taxRate.name,
+        percentage: new Decimal(taxRate.rate).toNumber(),
+        inclusive: pricesIncludeTax,
+        country: taxRate.country,
+        ...(taxRate.region && { jurisdiction: taxRate.region }),
+        metadata: { taxRateId: taxRate.id.toString() },
+    });
+
+    await prisma.taxRate.update({
+        where: { id: taxRate.id },
+        data: { stripeTaxRateId: stripeTaxRate.id, stripeTaxRateInclusive: pricesIncludeTax },
+    });
+
+    return stripeTaxRate.id;
+}
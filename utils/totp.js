@@ -0,0 +1,113 @@
+// utils/totp.js
+// TOTP (RFC 6238) implementado localmente: segredos base32, códigos de 6 dígitos e URI otpauth:// para apps autenticadoras
+// Sem dependências externas nem chamadas de rede (testável offline)
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+// Codifica bytes em base32 (RFC 4648, sem padding), o formato usado pelas apps autenticadoras
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+// Descodifica base32 (ignora espaços, hífenes e padding; aceita minúsculas)
+export function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Carácter base32 inválido: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Segredo aleatório de 160 bits em base32
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226): HMAC-SHA1 do contador com truncagem dinâmica
+export function hotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Intervalo de tempo (contador TOTP) de um instante
+export const totpStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+export const generateTotp = (secret, timestamp = Date.now()) => hotp(secret, totpStep(timestamp));
+
+// Verifica o código aceitando ±window intervalos (desvio de relógio)
+// Retorna o intervalo correspondente (para rejeitar reutilização do mesmo código) ou null
+export function verifyTotp(secret, code, { window = 1, timestamp = Date.now() } = {}) {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+    const current = totpStep(timestamp);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = Buffer.from(hotp(secret, current + offset));
+        if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+}
+
+// URI otpauth:// (QR code) para registar a conta numa app autenticadora
+export function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
@@ -0,0 +1,198 @@
+// utils/twoFactor.js
+// Autenticação de dois fatores (TOTP): configuração, códigos de recuperação e desafio do login em dois passos
+// Opcional para clientes; obrigatória para contas da equipa (requirePermission bloqueia até estar ativa)
+// Configuração: TWO_FACTOR_ISSUER (nome mostrado na app autenticadora)
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+import { generateTotpSecret, buildOtpauthUri, verifyTotp } from './totp.js';
+import { isStaffRole, ROLE_SELECT } from './permissions.js';
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Loja Online';
+
+// Papéis com permissões de administração só acedem às áreas protegidas com 2FA ativa
+export const isTwoFactorRequired = (role) => isStaffRole(role);
+
+// Validade do desafio entre a password e o código (segundo passo do login)
+export const LOGIN_CHALLENGE_TTL = '5m';
+const LOGIN_CHALLENGE_AUDIENCE = 'login-2fa';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Formato XXXXX-XXXXX; a comparação ignora hífenes, espaços e maiúsculas/minúsculas
+const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[\s-]/g, '');
+
+const generateRecoveryCode = () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+// Token do primeiro passo do login (password correta): só serve para POST /api/users/login/2fa
+// Não tem sessão (sid), por isso authenticateToken não o aceita como access token
+export const signLoginChallenge = (user) => jwt.sign(
+    { sub: user.id },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_TTL, audience: LOGIN_CHALLENGE_AUDIENCE }
+);
+
+// Retorna o userId do desafio; lança httpError 401 se for inválido ou tiver expirado
+export const verifyLoginChallenge = (challengeToken) => {
+    try {
+        const payload = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: LOGIN_CHALLENGE_AUDIENCE });
+        return payload.sub;
+    } catch (error) {
+        throw httpError(401, 'Desafio de login inválido ou expirado. Faça login novamente.');
+    }
+};
+
+// Substitui os códigos de recuperação do utilizador; retorna os códigos em claro (mostrados uma única vez)
+async function replaceRecoveryCodes(userId, client) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await client.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+    await client.twoFactorRecoveryCode.createMany({
+        data: codes.map(code => ({ userId, codeHash: hashCode(normalizeRecoveryCode(code)) })),
+    });
+
+    return codes;
+}
+
+// Aceita o código TOTP uma única vez: o intervalo aceite tem de ser posterior ao último usado
+async function consumeTotp(user, code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) return false;
+
+    const { count } = await prisma.user.updateMany({
+        where: {
+            id: user.id,
+            OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+        },
+        data: { twoFactorLastStep: step },
+    });
+
+    return count > 0;
+}
+
+async function consumeRecoveryCode(userId, recoveryCode) {
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+        where: { userId, codeHash: hashCode(normalizeRecoveryCode(recoveryCode)), usedAt: null },
+        data: { usedAt: new Date() },
+    });
+
+    return count > 0;
+}
+
+// Verifica o segundo fator (código da app ou código de recuperação) de um utilizador com 2FA ativa
+// user tem de incluir id, twoFactorSecret e twoFactorEnabledAt
+// Retorna { valid, method: 'totp' | 'recovery_code' }
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+    if (!user.twoFactorEnabledAt || !user.twoFactorSecret) {
+        return { valid: false, method: null };
+    }
+
+    if (recoveryCode) {
+        return { valid: await consumeRecoveryCode(user.id, recoveryCode), method: 'recovery_code' };
+    }
+
+    return { valid: await consumeTotp(user, code), method: 'totp' };
+}
+
+// Estado da 2FA do utilizador (perfil)
+export async function getTwoFactorStatus(userId) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { role: ROLE_SELECT, twoFactorEnabledAt: true },
+    });
+
+    const recoveryCodesRemaining = user.twoFactorEnabledAt
+        ? await prisma.twoFactorRecoveryCode.count({ where: { userId, usedAt: null } })
+        : 0;
+
+    return {
+        enabled: user.twoFactorEnabledAt !== null,
+        enabledAt: user.twoFactorEnabledAt,
+        required: isTwoFactorRequired(user.role),
+        recoveryCodesRemaining,
+    };
+}
+
+// Primeiro passo da configuração: gera um segredo novo (ainda inativo) e o URI otpauth:// para o QR code
+// Lança httpError 409 se a 2FA já estiver ativa
+export async function beginTwoFactorSetup(userId) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { email: true, twoFactorEnabledAt: true },
+    });
+
+    if (user.twoFactorEnabledAt) {
+        throw httpError(409, 'A autenticação de dois fatores já está ativa.');
+    }
+
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorSecret: secret, twoFactorLastStep: null },
+    });
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }),
+    };
+}
+
+// Segundo passo da configuração: confirma um código gerado pela app e ativa a 2FA
+// Retorna os códigos de recuperação em claro
+// Lança httpError 409 se já estiver ativa, 400 se a configuração não foi iniciada ou o código for inválido
+export async function enableTwoFactor(userId, code) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { twoFactorSecret: true, twoFactorEnabledAt: true },
+    });
+
+    if (user.twoFactorEnabledAt) {
+        throw httpError(409, 'A autenticação de dois fatores já está ativa.');
+    }
+    if (!user.twoFactorSecret) {
+        throw httpError(400, 'Inicie primeiro a configuração da autenticação de dois fatores.');
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) {
+        throw httpError(400, 'Código inválido. Confirme a hora do dispositivo e tente novamente.');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        // Condicional: dois pedidos concorrentes não ativam (nem geram códigos) duas vezes
+        const { count } = await tx.user.updateMany({
+            where: { id: userId, twoFactorSecret: user.twoFactorSecret, twoFactorEnabledAt: null },
+            data: { twoFactorEnabledAt: new Date(), twoFactorLastStep: step },
+        });
+
+        if (count === 0) {
+            throw httpError(409, 'A autenticação de dois fatores já está ativa.');
+        }
+
+        return replaceRecoveryCodes(userId, tx);
+    });
+}
+
+// Gera novos códigos de recuperação (os anteriores deixam de ser válidos)
+export function regenerateRecoveryCodes(userId) {
+    return prisma.$transaction((tx) => replaceRecoveryCodes(userId, tx));
+}
+
+// Desativa a 2FA e apaga o segredo e os códigos de recuperação
+export function disableTwoFactor(userId) {
+    return prisma.$transaction([
+        prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+        prisma.user.update({
+            where: { id: userId },
+            data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null },
+        }),
+    ]);
+}
@@ -0,0 +1,58 @@
+// utils/userTokens.js
+// Tokens de utilização única enviados por email (recuperação de password, confirmação de email)
+// O token só existe no email; na BD fica o hash, a validade e a data de utilização
+
+import crypto from 'crypto';
+import prisma from '../db.js';
+import { httpError } from './httpError.js';
+
+// Validade de cada tipo de token, em minutos
+export const USER_TOKEN_TTL_MINUTES = {
+    password_reset: 60,
+    email_verification: 24 * 60,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Emite um token novo para o utilizador; os tokens anteriores do mesmo tipo ainda por usar deixam de ser válidos
+// Retorna o token em claro (para o link do email)
+export async function issueUserToken(userId, purpose, { requestedIp = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    await prisma.$transaction([
+        prisma.userToken.updateMany({
+            where: { userId, purpose, usedAt: null, expiresAt: { gt: now } },
+            data: { expiresAt: now },
+        }),
+        prisma.userToken.create({
+            data: {
+                userId,
+                purpose,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(now.getTime() + USER_TOKEN_TTL_MINUTES[purpose] * 60 * 1000),
+                requestedIp,
+            },
+        }),
+    ]);
+
+    return token;
+}
+
+// Marca o token como usado e devolve o userId (a marcação é condicional: um token só é aceite uma vez)
+// Lança httpError 400 se o token não existir, já tiver sido usado ou tiver expirado
+export async function consumeUserToken(token, purpose, client = prisma) {
+    const tokenHash = hashToken(token);
+
+    const { count } = await client.userToken.updateMany({
+        where: { tokenHash, purpose, usedAt: null, expiresAt: { gt: new Date() } },
+        data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+        throw httpError(400, 'Link inválido ou expirado. Peça um novo.');
+    }
+
+    const { userId } = await client.userToken.findUnique({ where: { tokenHash }, select: { userId: true } });
+    return userId;
+}